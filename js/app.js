@@ -9,6 +9,8 @@ const App = (() => {
   let categoriesData = null;
   let supplementsData = null;
   let stacksData = null;
+  let synergiesData = null;
+  let dataPromise = null;
 
   // ──────────────────────────────
   // DATA LOADING
@@ -20,16 +22,30 @@ const App = (() => {
     return response.json();
   }
 
-  async function loadData() {
-    const [catResult, suppResult, stackResult] = await Promise.all([
+  async function fetchData() {
+    const [catResult, suppResult, stackResult, synergyResult] = await Promise.all([
       loadJSON('data/categories.json'),
       loadJSON('data/supplements.json'),
-      loadJSON('data/stacks.json').catch(() => ({ stacks: [] }))
+      loadJSON('data/stacks.json').catch(() => ({ stacks: [] })),
+      loadJSON('data/synergies.json').catch(() => ({ synergies: [] }))
     ]);
     categoriesData = catResult.categories;
     supplementsData = suppResult.supplements;
     stacksData = stackResult.stacks || [];
-    return { categories: categoriesData, supplements: supplementsData, stacks: stacksData };
+    synergiesData = synergyResult.synergies || [];
+    return { categories: categoriesData, supplements: supplementsData, stacks: stacksData, synergies: synergiesData };
+  }
+
+  // Page initializers, the scoring panel and inline page scripts all ask
+  // for the data; fetch it once per page and share the result
+  function loadData() {
+    if (!dataPromise) {
+      dataPromise = fetchData().catch(err => {
+        dataPromise = null;
+        throw err;
+      });
+    }
+    return dataPromise;
   }
 
   // ──────────────────────────────
@@ -41,10 +57,14 @@ const App = (() => {
     return params.get(name);
   }
 
+  // A null or empty value removes the parameter
   function setQueryParam(name, value) {
     const params = new URLSearchParams(window.location.search);
-    params.set(name, value);
-    const newUrl = `${window.location.pathname}?${params.toString()}`;
+    if (value === null || value === undefined || value === '') params.delete(name);
+    else params.set(name, value);
+    // Commas separate list values (?ids=a,b) and needn't be escaped
+    const query = params.toString().replace(/%2C/gi, ',');
+    const newUrl = query ? `${window.location.pathname}?${query}` : window.location.pathname;
     window.history.replaceState({}, '', newUrl);
   }
 
@@ -55,8 +75,18 @@ const App = (() => {
   async function initHomePage() {
     const { categories, supplements, stacks } = await loadData();
     const container = document.getElementById('app');
-    container.innerHTML = Render.homePage(categories, supplements, stacks);
+    const facetState = SupplementFacets.parseState(getQueryParam, categories.map(c => c.id));
+    container.innerHTML = Render.homePage(categories, supplements, stacks, facetState);
+    initSupplementBrowser(container, supplements, categories, facetState);
     initSearch(supplements, categories);
+    initCompare(supplements);
+
+    // The list's view state is mirrored in the URL, so re-read it
+    onScoringChange(() => {
+      const state = SupplementFacets.parseState(getQueryParam, categories.map(c => c.id));
+      container.innerHTML = Render.homePage(categories, supplements, stacks, state);
+      syncCompareButtons();
+    });
   }
 
   async function initCategoryPage() {
@@ -75,35 +105,124 @@ const App = (() => {
       return;
     }
 
-    const sortMode = getQueryParam('sort') || 'evidence';
     const container = document.getElementById('app');
-    container.innerHTML = Render.categoryPage(category, supplements, categories, sortMode);
-
-    // Sort controls
-    document.querySelectorAll('.sort-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const newSort = btn.dataset.sort;
-        setQueryParam('sort', newSort);
-        container.innerHTML = Render.categoryPage(category, supplements, categories, newSort);
-        // Re-attach sort listeners
-        attachSortListeners(category, supplements, categories, container);
-      });
+    const facetState = SupplementFacets.parseState(getQueryParam, categories.map(c => c.id));
+    container.innerHTML = Render.categoryPage(category, supplements, categories, facetState);
+    initSupplementBrowser(container, supplements, categories, facetState, { categoryId: category.id });
+    initCompare(supplements);
+
+    onScoringChange(() => {
+      const state = SupplementFacets.parseState(getQueryParam, categories.map(c => c.id));
+      container.innerHTML = Render.categoryPage(category, supplements, categories, state);
+      syncCompareButtons();
     });
   }
 
-  function attachSortListeners(category, supplements, categories, container) {
-    document.querySelectorAll('.sort-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const newSort = btn.dataset.sort;
-        setQueryParam('sort', newSort);
-        container.innerHTML = Render.categoryPage(category, supplements, categories, newSort);
-        attachSortListeners(category, supplements, categories, container);
-      });
+  /**
+   * Wire up the sort buttons and facet controls of a rendered
+   * Render.supplementBrowser. Each change updates the view state, mirrors
+   * it into the URL and re-renders the browser in place.
+   */
+  function initSupplementBrowser(container, supplements, categories, initialState, options = {}) {
+    let index = SupplementFacets.createIndex(supplements, options.categoryId);
+    let state = initialState;
+
+    // Assessments are cached in the index
+    onScoringChange(() => {
+      index = SupplementFacets.createIndex(supplements, options.categoryId);
+    });
+
+    function update(changes) {
+      state = { ...state, ...changes };
+      Object.entries(SupplementFacets.toParams(state)).forEach(([name, value]) => setQueryParam(name, value));
+
+      // Keep typing in the form filter uninterrupted across the re-render
+      const typing = document.activeElement && document.activeElement.matches('.facet__input');
+      document.getElementById('supplement-browser').outerHTML = Render.supplementBrowser(index, categories, state, options);
+      syncCompareButtons();
+      if (typing) {
+        const input = container.querySelector('.facet__input');
+        input.focus();
+        input.setSelectionRange(input.value.length, input.value.length);
+      }
+    }
+
+    // Toggle a value in a multi-select facet, keeping the facet's own order
+    function toggle(key, value, order) {
+      const values = state[key].includes(value)
+        ? state[key].filter(v => v !== value)
+        : order.filter(v => v === value || state[key].includes(v));
+      update({ [key]: values });
+    }
+
+    container.addEventListener('click', (e) => {
+      const sortBtn = e.target.closest('#supplement-browser .sort-btn');
+      const chip = e.target.closest('#supplement-browser .facet-chip');
+      if (sortBtn) {
+        update({ sort: sortBtn.dataset.sort });
+      } else if (chip && chip.dataset.facet === 'tier') {
+        toggle('tiers', chip.dataset.value, SupplementFacets.TIERS);
+      } else if (chip && chip.dataset.facet === 'cat') {
+        toggle('categories', chip.dataset.value, categories.map(c => c.id));
+      } else if (e.target.closest('#supplement-browser [data-facet-clear]')) {
+        update({ ...SupplementFacets.DEFAULT_STATE, sort: state.sort });
+      }
+    });
+
+    container.addEventListener('change', (e) => {
+      if (e.target.matches('#supplement-browser .facet__select')) {
+        update({ [e.target.dataset.facet]: e.target.value });
+      }
+    });
+
+    container.addEventListener('input', (e) => {
+      if (e.target.matches('#supplement-browser .facet__input')) {
+        update({ form: e.target.value.trim() });
+      }
     });
   }
 
+  /**
+   * A supplement's partners elsewhere in the encyclopedia: the synergies
+   * it takes part in and the supplements it has a known interaction with.
+   * @returns {Object} { synergies: [{ synergy, partners }], conflicts: [{ partner, edge }] }
+   */
+  function findPairings(supplement, supplements, synergies) {
+    const byId = id => supplements.find(s => s.id === id);
+
+    const pairsWell = synergies
+      .filter(syn => syn.supplements.includes(supplement.id))
+      .map(syn => ({
+        synergy: syn,
+        partners: syn.supplements.filter(id => id !== supplement.id).map(byId).filter(Boolean)
+      }))
+      .filter(p => p.partners.length > 0);
+
+    const graph = InteractionGraph.build(supplements);
+    const conflicts = InteractionGraph.partnersOf(graph, supplement.id)
+      .map(({ partnerId, edge }) => ({ partner: byId(partnerId), edge }))
+      .filter(c => c.partner);
+
+    return { synergies: pairsWell, conflicts };
+  }
+
+  /**
+   * Every stack item that references a supplement, grouped by stack.
+   * @returns {Array} [{ stack, uses: [{ block, item }] }]
+   */
+  function findStackAppearances(supplement, stacks) {
+    return stacks
+      .map(stack => ({
+        stack,
+        uses: stack.blocks.flatMap(block => block.items
+          .filter(item => item.supplementId === supplement.id)
+          .map(item => ({ block, item })))
+      }))
+      .filter(appearance => appearance.uses.length > 0);
+  }
+
   async function initSupplementPage() {
-    const { categories, supplements } = await loadData();
+    const { categories, supplements, stacks, synergies } = await loadData();
     const supplementId = getQueryParam('id');
     const supplement = supplements.find(s => s.id === supplementId);
 
@@ -119,18 +238,33 @@ const App = (() => {
     }
 
     const container = document.getElementById('app');
-    container.innerHTML = Render.supplementPage(supplement, categories);
-
-    // Smooth scroll for sidebar links
-    document.querySelectorAll('.sidebar-nav__link').forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        const targetId = link.getAttribute('href').slice(1);
-        const target = document.getElementById(targetId);
-        if (target) {
-          target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        }
+    const pairings = findPairings(supplement, supplements, synergies);
+    const appearances = findStackAppearances(supplement, stacks);
+    container.innerHTML = Render.supplementPage(supplement, categories, pairings, appearances);
+    onScoringChange(() => {
+      container.innerHTML = Render.supplementPage(supplement, categories, pairings, appearances);
+      initScrollSpy();
+    });
+
+    // "Why this score" what-if: project the score with the added studies
+    container.addEventListener('input', (e) => {
+      if (!e.target.matches('[data-whatif]')) return;
+      const extra = {};
+      container.querySelectorAll('[data-whatif]').forEach(input => {
+        extra[input.dataset.whatif] = Math.max(0, parseInt(input.value, 10) || 0);
       });
+      document.getElementById('score-projection').innerHTML = Render.scoreProjection(supplement.evidence, extra);
+    });
+
+    // Smooth scroll for sidebar links (delegated, so it survives re-renders)
+    container.addEventListener('click', (e) => {
+      const link = e.target.closest('.sidebar-nav__link, .evidence-detail__why');
+      if (!link) return;
+      e.preventDefault();
+      const target = document.getElementById(link.getAttribute('href').slice(1));
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
     });
 
     // Highlight active sidebar section on scroll
@@ -138,7 +272,7 @@ const App = (() => {
   }
 
   async function initStackPage() {
-    const { categories, supplements, stacks } = await loadData();
+    const { categories, supplements, stacks, synergies } = await loadData();
     const stackId = getQueryParam('id');
     const stack = stacks.find(s => s.id === stackId);
 
@@ -154,18 +288,25 @@ const App = (() => {
     }
 
     const container = document.getElementById('app');
-    container.innerHTML = Render.stackPage(stack, supplements, categories);
-
-    // Smooth scroll for sidebar links
-    document.querySelectorAll('.sidebar-nav__link').forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        const targetId = link.getAttribute('href').slice(1);
-        const target = document.getElementById(targetId);
-        if (target) {
-          target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        }
-      });
+    container.innerHTML = Render.stackPage(stack, supplements, categories, synergies);
+    onScoringChange(() => {
+      container.innerHTML = Render.stackPage(stack, supplements, categories, synergies);
+      initScrollSpy();
+    });
+
+    // The page renders after load, so jump to a deep link (#block-…) ourselves
+    const hashTarget = window.location.hash && document.getElementById(window.location.hash.slice(1));
+    if (hashTarget) hashTarget.scrollIntoView({ block: 'start' });
+
+    // Smooth scroll for sidebar links (delegated, so it survives re-renders)
+    container.addEventListener('click', (e) => {
+      const link = e.target.closest('.sidebar-nav__link');
+      if (!link) return;
+      e.preventDefault();
+      const target = document.getElementById(link.getAttribute('href').slice(1));
+      if (target) {
+        target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      }
     });
 
     initScrollSpy();
@@ -175,51 +316,32 @@ const App = (() => {
   // SEARCH
   // ──────────────────────────────
 
+  // Dropdown length; the builder catalog shows every match
+  const SEARCH_RESULT_LIMIT = 8;
+
   function initSearch(supplements, categories) {
     const searchInput = document.getElementById('search-input');
     const searchResults = document.getElementById('search-results');
     if (!searchInput || !searchResults) return;
 
+    let index = SupplementSearch.createIndex(supplements, categories);
+    // Tier and score filters read assessments cached in the index
+    onScoringChange(() => {
+      index = SupplementSearch.createIndex(supplements, categories);
+    });
+
     searchInput.addEventListener('input', (e) => {
-      const query = e.target.value.trim().toLowerCase();
+      const query = e.target.value.trim();
       if (query.length < 2) {
         searchResults.innerHTML = '';
         searchResults.classList.remove('active');
         return;
       }
 
-      const matches = supplements.filter(s => {
-        const searchText = [
-          s.name,
-          ...s.aliases,
-          s.tagline,
-          ...s.categories
-        ].join(' ').toLowerCase();
-        return searchText.includes(query);
-      });
-
-      if (matches.length === 0) {
-        searchResults.innerHTML = '<div class="search-result search-result--empty">No supplements found</div>';
-        searchResults.classList.add('active');
-        return;
-      }
-
-      searchResults.innerHTML = matches.slice(0, 8).map(s => {
-        const assessment = EvidenceScoring.assess(s.evidence);
-        return `
-          <a href="supplement.html?id=${s.id}" class="search-result">
-            <span class="search-result__badge" style="color: ${assessment.color}">${assessment.tier}</span>
-            <div class="search-result__info">
-              <span class="search-result__name">${s.name}</span>
-              <span class="search-result__cats">${s.categories.map(cid => {
-                const cat = categories.find(c => c.id === cid);
-                return cat ? cat.name : cid;
-              }).join(', ')}</span>
-            </div>
-          </a>
-        `;
-      }).join('');
+      const results = SupplementSearch.search(index, query, { limit: SEARCH_RESULT_LIMIT });
+      searchResults.innerHTML = Render.searchResults(results, categories, SupplementSearch.parseQuery(query));
       searchResults.classList.add('active');
+      syncCompareButtons();
     });
 
     // Close search on outside click
@@ -240,16 +362,156 @@ const App = (() => {
     });
   }
 
+  // ──────────────────────────────
+  // COMPARISON
+  // ──────────────────────────────
+
+  // The supplements picked for comparison persist across pages
+  const COMPARE_STORAGE_KEY = 'compareIds';
+  const MAX_COMPARE = 4;
+
+  function getCompareIds() {
+    try {
+      const ids = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY) || '[]');
+      return Array.isArray(ids) ? ids.slice(0, MAX_COMPARE) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function setCompareIds(ids) {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(ids.slice(0, MAX_COMPARE)));
+  }
+
+  /**
+   * Reflect the comparison list on every rendered "+ Compare" button.
+   * Call again after re-rendering a list or the search dropdown.
+   */
+  function syncCompareButtons() {
+    const ids = getCompareIds();
+    document.querySelectorAll('.compare-toggle[data-compare-add]').forEach(btn => {
+      const picked = ids.includes(btn.dataset.compareAdd);
+      btn.classList.toggle('compare-toggle--active', picked);
+      btn.setAttribute('aria-pressed', String(picked));
+      btn.disabled = !picked && ids.length >= MAX_COMPARE;
+      btn.textContent = picked ? '✓ Comparing' : '+ Compare';
+      btn.title = picked ? 'Remove from comparison' : (btn.disabled ? `Up to ${MAX_COMPARE} supplements can be compared` : 'Add to comparison');
+    });
+  }
+
+  /**
+   * Handle "+ Compare" buttons and the comparison tray.
+   * @param {Array} supplements
+   * @param {Object} [options] - { showTray: false } to skip the tray,
+   *   onChange(ids) to react to the list changing
+   */
+  function initCompare(supplements, options = {}) {
+    const showTray = options.showTray !== false;
+    let tray = null;
+    if (showTray) {
+      tray = document.createElement('div');
+      tray.id = 'compare-tray';
+      tray.className = 'compare-tray';
+      document.body.appendChild(tray);
+    }
+
+    function renderTray() {
+      if (!tray) return;
+      const picked = getCompareIds().map(id => supplements.find(s => s.id === id)).filter(Boolean);
+      tray.innerHTML = Render.compareTray(picked, MAX_COMPARE);
+      tray.classList.toggle('active', picked.length > 0);
+    }
+
+    function refresh() {
+      renderTray();
+      syncCompareButtons();
+      if (options.onChange) options.onChange(getCompareIds());
+    }
+
+    document.addEventListener('click', (e) => {
+      const add = e.target.closest('[data-compare-add]');
+      if (add) {
+        const id = add.dataset.compareAdd;
+        const ids = getCompareIds();
+        if (ids.includes(id)) setCompareIds(ids.filter(i => i !== id));
+        else if (ids.length < MAX_COMPARE) setCompareIds([...ids, id]);
+        refresh();
+      } else if (e.target.closest('[data-compare-clear]')) {
+        setCompareIds([]);
+        refresh();
+      }
+    });
+
+    renderTray();
+    syncCompareButtons();
+  }
+
+  async function initComparePage() {
+    const { categories, supplements } = await loadData();
+    const container = document.getElementById('app');
+    const graph = InteractionGraph.build(supplements);
+    const byId = id => supplements.find(s => s.id === id);
+
+    // The URL wins; without ?ids= the page opens the saved comparison
+    const param = getQueryParam('ids');
+    const fromUrl = param !== null ? param.split(',').map(id => id.trim()) : getCompareIds();
+    let ids = [...new Set(fromUrl)].filter(byId).slice(0, MAX_COMPARE);
+
+    function render() {
+      setQueryParam('ids', ids.join(','));
+      setCompareIds(ids);
+      const selected = ids.map(byId);
+      const conflicts = InteractionGraph.among(graph, ids)
+        .map(edge => ({ names: edge.ids.map(id => byId(id).name), edge }));
+      container.innerHTML = Render.comparePage(selected, supplements, categories, { max: MAX_COMPARE, conflicts });
+      document.title = selected.length >= 2
+        ? `${selected.map(s => s.name).join(' vs ')} — Supplements Encyclopedia`
+        : 'Compare — Supplements Encyclopedia';
+      syncCompareButtons();
+    }
+
+    container.addEventListener('click', (e) => {
+      const remove = e.target.closest('[data-compare-remove]');
+      if (remove) {
+        ids = ids.filter(id => id !== remove.dataset.compareRemove);
+        render();
+      }
+    });
+
+    container.addEventListener('change', (e) => {
+      if (e.target.matches('[data-compare-select]') && e.target.value) {
+        ids = [...ids, e.target.value].slice(0, MAX_COMPARE);
+        render();
+      }
+    });
+
+    render();
+    onScoringChange(render);
+    initSearch(supplements, categories);
+    // "+ Compare" in the search dropdown adds a column right away
+    initCompare(supplements, {
+      showTray: false,
+      onChange: (newIds) => {
+        ids = newIds.filter(byId);
+        render();
+      }
+    });
+  }
+
   // ──────────────────────────────
   // SCROLL SPY (Supplement page sidebar)
   // ──────────────────────────────
 
+  let scrollSpy = null;
+
+  // Safe to call again after a re-render: the previous observer is dropped
   function initScrollSpy() {
+    if (scrollSpy) scrollSpy.disconnect();
     const sections = document.querySelectorAll('.content-section');
     const navLinks = document.querySelectorAll('.sidebar-nav__link');
     if (sections.length === 0 || navLinks.length === 0) return;
 
-    const observer = new IntersectionObserver((entries) => {
+    scrollSpy = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
         if (entry.isIntersecting) {
           navLinks.forEach(link => link.classList.remove('active'));
@@ -262,7 +524,127 @@ const App = (() => {
       threshold: 0
     });
 
-    sections.forEach(section => observer.observe(section));
+    sections.forEach(section => scrollSpy.observe(section));
+  }
+
+  // ──────────────────────────────
+  // SCORING PROFILE
+  // ──────────────────────────────
+
+  const SCORING_STORAGE_KEY = 'scoringProfile';
+
+  // Page re-renders to run when the profile changes (onScoringChange)
+  const scoringListeners = [];
+
+  /**
+   * Re-run `listener` whenever the scoring profile changes, so rankings,
+   * badges and tiers on the page are re-scored.
+   */
+  function onScoringChange(listener) {
+    scoringListeners.push(listener);
+  }
+
+  function loadScoringSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(SCORING_STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Restore the saved scoring profile and add the profile picker to the
+   * navbar. Call before the page initializer so the first render already
+   * uses the saved profile.
+   */
+  function initScoringProfile() {
+    const saved = loadScoringSettings();
+    let custom = EvidenceScoring.customProfile(saved.custom);
+    EvidenceScoring.setProfile(saved.id === 'custom' ? custom : (saved.id || 'default'));
+
+    const actions = document.querySelector('.navbar__actions');
+    if (!actions) return;
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'scoring-menu';
+    wrapper.innerHTML = `
+      <button type="button" id="scoring-toggle" class="scoring-toggle" aria-expanded="false"></button>
+      <div id="scoring-panel" class="scoring-panel" hidden></div>
+    `;
+    actions.insertBefore(wrapper, actions.firstChild);
+    const toggle = wrapper.querySelector('#scoring-toggle');
+    const panel = wrapper.querySelector('#scoring-panel');
+    let supplements = null;
+
+    function save() {
+      localStorage.setItem(SCORING_STORAGE_KEY, JSON.stringify({
+        id: EvidenceScoring.getProfile().id,
+        custom: { weights: custom.weights, normFactor: custom.normFactor }
+      }));
+    }
+
+    function changes() {
+      return supplements ? EvidenceScoring.tierChanges(supplements) : [];
+    }
+
+    function renderSummary() {
+      const profile = EvidenceScoring.getProfile();
+      const count = changes().length;
+      toggle.textContent = `Scoring: ${profile.name}${count > 0 ? ` (${count} tier change${count !== 1 ? 's' : ''})` : ''}`;
+      toggle.title = 'Choose how evidence is scored';
+      const summary = panel.querySelector('.scoring-panel__changes');
+      if (summary && supplements) summary.innerHTML = Render.scoringChanges(changes(), supplements.length);
+    }
+
+    function renderPanel() {
+      panel.innerHTML = Render.scoringPanel(custom, supplements ? Render.scoringChanges(changes(), supplements.length) : '');
+      renderSummary();
+    }
+
+    function applyProfile(profile) {
+      EvidenceScoring.setProfile(profile);
+      save();
+      renderSummary();
+      scoringListeners.forEach(listener => listener());
+    }
+
+    toggle.addEventListener('click', () => {
+      panel.hidden = !panel.hidden;
+      toggle.setAttribute('aria-expanded', String(!panel.hidden));
+    });
+
+    document.addEventListener('click', (e) => {
+      if (!wrapper.contains(e.target)) {
+        panel.hidden = true;
+        toggle.setAttribute('aria-expanded', 'false');
+      }
+    });
+
+    panel.addEventListener('change', (e) => {
+      if (e.target.name !== 'scoring-profile') return;
+      applyProfile(e.target.value === 'custom' ? custom : e.target.value);
+      renderPanel();
+    });
+
+    // Sliders re-score live; the panel itself is left alone mid-drag
+    panel.addEventListener('input', (e) => {
+      const slider = e.target;
+      if (!slider.matches('[data-weight], [data-norm]')) return;
+      const settings = { weights: { ...custom.weights }, normFactor: custom.normFactor };
+      if (slider.dataset.weight) settings.weights[slider.dataset.weight] = slider.value;
+      else settings.normFactor = slider.value;
+      custom = EvidenceScoring.customProfile(settings);
+      slider.nextElementSibling.textContent = slider.value;
+      applyProfile(custom);
+    });
+
+    renderPanel();
+    // If the data can't be loaded the panel stays as rendered, without the
+    // ranking-change preview
+    loadData().then(data => {
+      supplements = data.supplements;
+      renderPanel();
+    }).catch(() => {});
   }
 
   // ──────────────────────────────
@@ -327,8 +709,15 @@ const App = (() => {
     initCategoryPage,
     initSupplementPage,
     initStackPage,
+    initComparePage,
+    initCompare,
     initThemeToggle,
     initStyleToggle,
+    initScoringProfile,
+    onScoringChange,
+    initSearch,
+    findPairings,
+    findStackAppearances,
     loadData
   };
 
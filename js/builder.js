@@ -14,43 +14,18 @@ const StackBuilder = (() => {
 
   let allSupplements = [];
   let allCategories = [];
+  let allNutrients = [];
+  let allSynergies = []; // data/synergies.json
+  let searchIndex = null; // SupplementSearch.createIndex(allSupplements)
+  let interactionGraph = null; // InteractionGraph.build(allSupplements)
   let selectedSupplements = []; // array of { supplement, config: { dose, unit, timing, withFood, frequency, notes } }
   let savedStacks = [];
   let currentStackName = '';
   let currentStackId = null;
   let expandedConfigId = null; // which supplement's config panel is open
 
-  const TIMING_OPTIONS = [
-    { value: '', label: 'Not set' },
-    { value: 'morning', label: 'Morning' },
-    { value: 'midday', label: 'Midday' },
-    { value: 'afternoon', label: 'Afternoon' },
-    { value: 'evening', label: 'Evening' },
-    { value: 'bedtime', label: 'Bedtime' },
-    { value: 'pre-workout', label: 'Pre-Workout' },
-    { value: 'post-workout', label: 'Post-Workout' },
-    { value: 'split', label: 'Split Doses' }
-  ];
-
-  const FOOD_OPTIONS = [
-    { value: '', label: 'Not set' },
-    { value: 'with-food', label: 'With food' },
-    { value: 'without-food', label: 'On empty stomach' },
-    { value: 'with-fat', label: 'With fat-containing meal' },
-    { value: 'either', label: 'Either way' }
-  ];
-
-  const FREQUENCY_OPTIONS = [
-    { value: '', label: 'Not set' },
-    { value: 'once-daily', label: 'Once daily' },
-    { value: 'twice-daily', label: 'Twice daily' },
-    { value: 'three-daily', label: 'Three times daily' },
-    { value: 'as-needed', label: 'As needed' },
-    { value: 'cycling', label: 'Cycling (on/off)' },
-    { value: 'weekly', label: 'Weekly' }
-  ];
-
-  const UNIT_OPTIONS = ['mg', 'g', 'µg', 'mcg', 'IU', 'mL', 'drops', 'capsules', 'tablets'];
+  // Config vocabulary is shared with dosage.regimen (js/dosage.js)
+  const { TIMING_OPTIONS, FOOD_OPTIONS, FREQUENCY_OPTIONS, UNIT_OPTIONS } = Dosage;
 
   function defaultConfig() {
     return { dose: '', unit: 'mg', timing: '', withFood: '', frequency: '', notes: '' };
@@ -58,214 +33,29 @@ const StackBuilder = (() => {
 
   const STORAGE_KEY = 'supplementsEncy_customStacks';
 
-  // ──────────────────────────────
-  // KNOWN SYNERGY DATABASE
-  // Built from research + existing stack data
-  // ──────────────────────────────
-
-  const SYNERGY_DB = [
-    {
-      ids: ['nac', 'glycine'],
-      name: 'GlyNAC Protocol',
-      type: 'biochemical-synergy',
-      strength: 'strong',
-      evidenceLevel: 'strong',
-      description: 'NAC provides cysteine and glycine provides the other key substrate for glutathione (GSH) synthesis — the body\'s master antioxidant. This is the basis of the GlyNAC protocol, which has shown remarkable results in aging studies.',
-      mechanism: 'Glutathione = γ-glutamyl-cysteinyl-glycine. NAC → cysteine (rate-limiting). Glycine is the final amino acid. Co-supplementation ensures neither substrate is limiting.'
-    },
-    {
-      ids: ['vitamin-d3-k2', 'magnesium'],
-      name: 'Vitamin D Activation Triad',
-      type: 'cofactor-dependency',
-      strength: 'strong',
-      evidenceLevel: 'strong',
-      description: 'Magnesium is required for the enzymatic activation of vitamin D — specifically CYP27B1 that converts 25(OH)D to active 1,25(OH)₂D. K2 directs calcium mobilized by active vitamin D to bones rather than arteries.',
-      mechanism: 'Mg²⁺ is a cofactor for CYP27B1 (1α-hydroxylase) and CYP2R1 (25-hydroxylase). K2 activates osteocalcin and matrix GLA protein.'
-    },
-    {
-      ids: ['magnesium', 'taurine', 'glycine'],
-      name: 'GABAergic Convergence',
-      type: 'GABAergic-convergence',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'All three converge on inhibitory neurotransmission. Magnesium blocks NMDA receptors and potentiates GABA-A. Taurine activates GABA-A and glycine receptors. Glycine activates inhibitory glycine receptors.',
-      mechanism: 'Mg²⁺ → NMDA blockade + GABA-A PAM. Taurine → GABA-A + GlyR agonism. Glycine → GlyR agonism. Net: enhanced inhibitory tone.'
-    },
-    {
-      ids: ['magnesium', 'taurine'],
-      name: 'Dual Inhibitory Support',
-      type: 'GABAergic-synergy',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Magnesium and taurine both enhance inhibitory neurotransmission through complementary mechanisms — NMDA blockade and GABA-A agonism respectively.',
-      mechanism: 'Mg²⁺ → NMDA blockade. Taurine → GABA-A agonism. Combined: reduced neuronal excitability.'
-    },
-    {
-      ids: ['magnesium', 'glycine'],
-      name: 'Relaxation & Sleep Support',
-      type: 'complementary-mechanisms',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Magnesium promotes relaxation via NMDA antagonism and GABA potentiation. Glycine lowers core body temperature via peripheral vasodilation to accelerate sleep onset.',
-      mechanism: 'Mg²⁺ → neural inhibition. Glycine → thermoregulatory sleep onset. Different endpoints, complementary sleep benefits.'
-    },
-    {
-      ids: ['curcumin', 'omega-3'],
-      name: 'Anti-Inflammatory Convergence',
-      type: 'anti-inflammatory-convergence',
-      strength: 'strong',
-      evidenceLevel: 'strong',
-      description: 'Curcumin inhibits NF-κB and COX-2 (upstream inflammatory switches). Omega-3 fatty acids serve as substrates for specialized pro-resolving mediators (SPMs) that actively resolve inflammation.',
-      mechanism: 'Curcumin → NF-κB inhibition + COX-2 downregulation. EPA/DHA → SPM biosynthesis → active resolution. Combined: suppress + resolve.'
-    },
-    {
-      ids: ['l-tyrosine', 'elvanse'],
-      name: 'Dopamine Substrate Replenishment',
-      type: 'substrate-replenishment',
-      strength: 'strong',
-      evidenceLevel: 'moderate',
-      description: 'Elvanse promotes dopamine release and blocks reuptake, depleting presynaptic stores. L-Tyrosine provides the rate-limiting precursor for dopamine biosynthesis.',
-      mechanism: 'Tyrosine hydroxylase converts L-Tyrosine to L-DOPA → Dopamine. Amphetamines increase dopamine turnover, making substrate availability rate-limiting.'
-    },
-    {
-      ids: ['l-tyrosine', 'ritalin'],
-      name: 'Dopamine Precursor Support',
-      type: 'substrate-replenishment',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Ritalin blocks dopamine reuptake, increasing synaptic dopamine. L-Tyrosine ensures adequate dopamine precursor availability to maintain synthesis rates.',
-      mechanism: 'Methylphenidate → DAT blockade → increased synaptic DA. Tyrosine → dopamine synthesis substrate.'
-    },
-    {
-      ids: ['ashwagandha', 'magnesium'],
-      name: 'HPA Axis Modulation',
-      type: 'HPA-axis-modulation',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Ashwagandha reduces cortisol via HPA axis modulation (14–28% reduction). Magnesium independently modulates the HPA axis and reduces stress-related cortisol.',
-      mechanism: 'Ashwagandha withanolides → hypothalamic-pituitary cortisol modulation. Mg²⁺ → normalizes ACTH sensitivity. Combined: multi-level HPA buffering.'
-    },
-    {
-      ids: ['myo-inositol', 'magnesium'],
-      name: 'Anxiolytic Synergy',
-      type: 'anxiolytic-synergy',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Myo-inositol normalizes serotonin receptor signaling (5-HT₂ second messenger). Magnesium reduces neuronal excitability via NMDA blockade. Together they address anxiety from two angles.',
-      mechanism: 'Inositol → PI/PIP2/IP3 cycle → 5-HT₂ receptor normalization. Mg²⁺ → NMDA blockade → reduced glutamatergic overactivation.'
-    },
-    {
-      ids: ['trazodone', 'melatonin'],
-      name: 'Complementary Sleep Mechanisms',
-      type: 'complementary-sleep-mechanisms',
-      strength: 'strong',
-      evidenceLevel: 'strong',
-      description: 'Melatonin signals sleep onset via the SCN. Trazodone improves sleep maintenance via 5-HT₂A antagonism and increases slow-wave sleep. Together they address onset and continuity.',
-      mechanism: 'Melatonin → MT1/MT2 activation → circadian phase advance. Trazodone → 5-HT₂A antagonism → deep sleep enhancement.'
-    },
-    {
-      ids: ['creatine-monohydrate', 'magnesium'],
-      name: 'ATP Production Support',
-      type: 'energy-metabolism',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Creatine regenerates ATP via the phosphocreatine system. Magnesium is a cofactor in over 300 ATP-dependent reactions and is required for ATP to be biologically active (Mg-ATP complex).',
-      mechanism: 'Creatine → PCr → ATP regeneration. Mg²⁺ → ATP cofactor (Mg-ATP complex required for kinase activity).'
-    },
-    {
-      ids: ['creatine-monohydrate', 'omega-3'],
-      name: 'Neuroprotective Stack',
-      type: 'neuroprotective-synergy',
-      strength: 'moderate',
-      evidenceLevel: 'emerging',
-      description: 'Creatine supports neuronal ATP regeneration. Omega-3 DHA maintains neuronal membrane fluidity and supports synaptic function. Together they protect neurons from multiple angles.',
-      mechanism: 'Creatine → brain ATP buffering. DHA → membrane phospholipid integration → synaptic health.'
-    },
-    {
-      ids: ['berberine', 'gn-digestive-enzymes'],
-      name: 'Metabolic Optimization',
-      type: 'metabolic-optimization',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Berberine activates AMPK for glucose uptake but can alter gut motility. Digestive enzymes ensure macronutrient absorption remains efficient despite berberine\'s GI effects.',
-      mechanism: 'Berberine → AMPK → GLUT4 → glucose clearance. Enzymes → mechanical nutrient breakdown → optimal absorption.'
-    },
-    {
-      ids: ['elvanse', 'huperzine-a'],
-      name: 'Dual Neurotransmitter Enhancement',
-      type: 'dual-neurotransmitter',
-      strength: 'moderate',
-      evidenceLevel: 'emerging',
-      description: 'Elvanse enhances dopaminergic/noradrenergic signaling. Huperzine A boosts acetylcholine. This dual approach targets both motivational (DA) and attentional (ACh) cognitive dimensions.',
-      mechanism: 'Dopaminergic (Elvanse) + cholinergic (Huperzine A) = complementary frontal executive + hippocampal memory activation.'
-    },
-    {
-      ids: ['coenzyme-q10', 'omega-3'],
-      name: 'Mitochondrial & Membrane Support',
-      type: 'cellular-health',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'CoQ10 supports mitochondrial electron transport and energy production. Omega-3 maintains cell membrane fluidity and integrity. Together they support cellular health at both the energy and structural level.',
-      mechanism: 'CoQ10 → ETC Complex I/III → ATP production. DHA/EPA → membrane phospholipid integration → fluidity.'
-    },
-    {
-      ids: ['lions-mane', 'huperzine-a'],
-      name: 'Cholinergic & Neurotrophic Stack',
-      type: 'cognitive-synergy',
-      strength: 'moderate',
-      evidenceLevel: 'emerging',
-      description: 'Lion\'s Mane stimulates NGF (nerve growth factor) production for long-term neuronal health. Huperzine A acutely boosts acetylcholine. Together: acute cognitive enhancement + long-term neuroprotection.',
-      mechanism: 'Lion\'s Mane hericenones/erinacines → NGF synthesis → neuronal growth. Huperzine A → AChE inhibition → acute ACh increase.'
-    },
-    {
-      ids: ['lions-mane', 'omega-3'],
-      name: 'Brain Structure & Growth',
-      type: 'neurotrophic-synergy',
-      strength: 'moderate',
-      evidenceLevel: 'emerging',
-      description: 'Lion\'s Mane promotes NGF and neuronal growth. Omega-3 DHA provides the structural building blocks (phospholipids) for new neuronal membranes. Growth factor + building material.',
-      mechanism: 'Lion\'s Mane → NGF → neurogenesis signal. DHA → phospholipid substrate for new membrane synthesis.'
-    },
-    {
-      ids: ['ashwagandha', 'l-tyrosine'],
-      name: 'Stress-Resilient Performance',
-      type: 'adaptogenic-synergy',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'Ashwagandha reduces cortisol and stress response. L-Tyrosine maintains catecholamine levels under stress. Together: stress resilience + maintained cognitive performance under pressure.',
-      mechanism: 'Ashwagandha → cortisol reduction via HPA modulation. Tyrosine → catecholamine availability under stress-induced depletion.'
-    },
-    {
-      ids: ['nac', 'coenzyme-q10'],
-      name: 'Antioxidant & Mitochondrial Synergy',
-      type: 'cellular-defense',
-      strength: 'moderate',
-      evidenceLevel: 'moderate',
-      description: 'NAC boosts glutathione (cytoplasmic antioxidant). CoQ10 protects mitochondrial membranes from oxidative damage. Together: comprehensive cellular antioxidant defense at two compartments.',
-      mechanism: 'NAC → cysteine → glutathione → cytoplasmic ROS scavenging. CoQ10 → mitochondrial membrane antioxidant → lipid peroxidation prevention.'
-    },
-    {
-      ids: ['creatine-monohydrate', 'l-tyrosine'],
-      name: 'Cognitive Energy Stack',
-      type: 'cognitive-energy',
-      strength: 'moderate',
-      evidenceLevel: 'emerging',
-      description: 'Creatine supports brain ATP regeneration for cognitive endurance. L-Tyrosine provides dopamine precursors for sustained attention. Together: energy + neurotransmitter support for mental performance.',
-      mechanism: 'Creatine → brain PCr → ATP regeneration under cognitive demand. Tyrosine → dopamine synthesis → sustained attentional resources.'
-    }
-  ];
+  const DOSE_RANGE_LABELS = {
+    below: 'Below range',
+    within: 'In range',
+    above: 'Above range'
+  };
 
   // ──────────────────────────────
   // DATA LOADING
   // ──────────────────────────────
 
+  // The shared files come from App.loadData, which the scoring panel also
+  // uses, so each is fetched once per page; nutrients are builder-only
   async function loadData() {
-    const [catResult, suppResult] = await Promise.all([
-      fetch('data/categories.json').then(r => r.json()),
-      fetch('data/supplements.json').then(r => r.json())
+    const [shared, nutrientResult] = await Promise.all([
+      App.loadData(),
+      fetch('data/nutrients.json').then(r => r.json())
     ]);
-    allCategories = catResult.categories;
-    allSupplements = suppResult.supplements;
+    allCategories = shared.categories;
+    allSupplements = shared.supplements;
+    allNutrients = nutrientResult.nutrients;
+    allSynergies = shared.synergies;
+    interactionGraph = InteractionGraph.build(allSupplements);
+    searchIndex = SupplementSearch.createIndex(allSupplements, allCategories);
   }
 
   // ──────────────────────────────
@@ -382,52 +172,66 @@ const StackBuilder = (() => {
     renderPage();
   }
 
+  /**
+   * Fill an entry's config from the supplement's structured regimen.
+   * Does not re-render — callers batch updates and render once.
+   */
+  function applyRecommendedConfig(entry) {
+    const regimen = entry.supplement.dosage.regimen;
+    if (!regimen) return;
+    Object.assign(entry.config, Dosage.toConfig(regimen));
+  }
+
   function autoFillFromRecommended(supplementId) {
     const entry = selectedSupplements.find(s => s.supplement.id === supplementId);
     if (!entry) return;
-    const supp = entry.supplement;
-    const dosage = supp.dosage;
-
-    // Parse dose + unit from standard dosage string
-    const doseMatch = dosage.standard.match(/([\d.,–\-]+)\s*(mg|g|µg|mcg|IU|mL)/i);
-    if (doseMatch) {
-      entry.config.dose = doseMatch[1];
-      entry.config.unit = doseMatch[2].toLowerCase() === 'mcg' ? 'µg' : doseMatch[2];
-    }
+    applyRecommendedConfig(entry);
+    renderPage();
+  }
 
-    // Parse timing hints
-    const timingStr = (dosage.timing || '').toLowerCase();
-    if (timingStr.includes('morning') || timingStr.includes('upon waking')) {
-      entry.config.timing = 'morning';
-    } else if (timingStr.includes('evening') || timingStr.includes('bedtime') || timingStr.includes('before bed')) {
-      entry.config.timing = timingStr.includes('bedtime') || timingStr.includes('before bed') ? 'bedtime' : 'evening';
-    } else if (timingStr.includes('pre-workout')) {
-      entry.config.timing = 'pre-workout';
-    } else if (timingStr.includes('split') || timingStr.includes('divided') || timingStr.includes('am/pm')) {
-      entry.config.timing = 'split';
-    }
+  function autoFillAll() {
+    selectedSupplements.forEach(applyRecommendedConfig);
+    renderPage();
+  }
 
-    // Parse food hints
-    if (timingStr.includes('empty stomach')) {
-      entry.config.withFood = 'without-food';
-    } else if (timingStr.includes('fat-containing') || timingStr.includes('fat-soluble') || timingStr.includes('with dietary fat')) {
-      entry.config.withFood = 'with-fat';
-    } else if (timingStr.includes('with a meal') || timingStr.includes('with meal') || timingStr.includes('with food') || timingStr.includes('with breakfast')) {
-      entry.config.withFood = 'with-food';
-    } else if (timingStr.includes('with or without')) {
-      entry.config.withFood = 'either';
-    }
+  /**
+   * Parse an entry's configured dose into per-dose and daily quantities
+   * and check it for a likely unit mix-up against the regimen.
+   * @returns {Object|null} { perDose, daily, dailyMass, unitMistake, range } or null if no dose is set
+   */
+  function analyzeDose(entry) {
+    const { supplement, config } = entry;
+    const perDose = Units.parse(config.dose, config.unit);
+    if (!perDose) return null;
+
+    const regimen = supplement.dosage.regimen;
+    const daily = Units.dailyTotal(perDose, config.frequency);
+    // IU doses also get their mass equivalent when the substance is known
+    const dailyMass = daily.unit === 'IU' && regimen && regimen.substance
+      ? Units.convert(daily, 'μg', regimen.substance)
+      : null;
 
-    // Default frequency
-    if (timingStr.includes('twice') || timingStr.includes('2×') || timingStr.includes('split')) {
-      entry.config.frequency = 'twice-daily';
-    } else if (timingStr.includes('three') || timingStr.includes('3×')) {
-      entry.config.frequency = 'three-daily';
-    } else {
-      entry.config.frequency = 'once-daily';
-    }
+    return {
+      perDose,
+      daily,
+      dailyMass,
+      unitMistake: Units.detectUnitMistake(perDose, regimen),
+      range: Units.assessRange(daily, regimen, regimen && nutrientUpperLimit(regimen.substance))
+    };
+  }
 
-    renderPage();
+  function nutrientUpperLimit(nutrientId) {
+    const nutrient = allNutrients.find(n => n.id === nutrientId);
+    return nutrient && nutrient.upperLimit
+      ? { min: nutrient.upperLimit, max: nutrient.upperLimit, unit: nutrient.unit }
+      : null;
+  }
+
+  function describeUnitMistake(supplement, dose) {
+    const { ratio, direction, suggestedUnit, recommended } = dose.unitMistake;
+    const entered = Units.format(dose.perDose);
+    const guess = suggestedUnit ? ` — did you mean ${Units.format({ ...dose.perDose, unit: suggestedUnit })}?` : '.';
+    return `${supplement.name}: ${entered} is ~${Math.round(ratio).toLocaleString('en-US')}× ${direction} the recommended ${Units.format(recommended)} per dose${guess}`;
   }
 
   // ──────────────────────────────
@@ -438,6 +242,7 @@ const StackBuilder = (() => {
     if (selectedSupplements.length === 0) return null;
 
     const supplements = selectedSupplements.map(s => s.supplement);
+    const nutrients = analyzeNutrients();
 
     return {
       categoryCoverage: analyzeCategoryCoverage(supplements),
@@ -446,8 +251,10 @@ const StackBuilder = (() => {
       benefits: aggregateBenefits(supplements),
       sideEffects: aggregateSideEffects(supplements),
       evidence: aggregateEvidence(supplements),
-      warnings: generateWarnings(supplements),
+      warnings: generateWarnings(supplements, nutrients),
       dosageSummary: generateDosageSummary(supplements),
+      doseRanges: analyzeDoseRanges(),
+      nutrients,
       costEstimate: null // could be extended
     };
   }
@@ -462,7 +269,8 @@ const StackBuilder = (() => {
         // Calculate a potency score: more contributions + higher evidence = higher score
         let score = 0;
         contributing.forEach(s => {
-          const evidence = EvidenceScoring.calculateScore(s.evidence);
+          // Scored on the evidence for this category's outcome, not overall
+          const evidence = EvidenceScoring.calculateScore(EvidenceScoring.categoryEvidence(s, cat.id).evidence);
           // Base contribution: 2 points per supplement, +0-3 bonus for evidence quality
           score += 2 + (evidence / 33); // evidence 0-100 → bonus 0-3
         });
@@ -486,12 +294,12 @@ const StackBuilder = (() => {
     const ids = new Set(supplements.map(s => s.id));
     const found = [];
 
-    SYNERGY_DB.forEach(synergy => {
-      const matchCount = synergy.ids.filter(id => ids.has(id)).length;
-      if (matchCount === synergy.ids.length) {
+    allSynergies.forEach(synergy => {
+      const matchCount = synergy.supplements.filter(id => ids.has(id)).length;
+      if (matchCount === synergy.supplements.length) {
         found.push({
           ...synergy,
-          supplementNames: synergy.ids.map(id => {
+          supplementNames: synergy.supplements.map(id => {
             const s = supplements.find(sup => sup.id === id);
             return s ? s.name : id;
           })
@@ -502,44 +310,31 @@ const StackBuilder = (() => {
     return found;
   }
 
+  /**
+   * Interactions between the selected supplements, from the id-based
+   * interaction graph (js/interactions.js). One entry per pair; `notes`
+   * holds each side's own description when both declare it.
+   */
   function detectInteractions(supplements) {
-    const interactions = [];
-    const seen = new Set();
+    const nameOf = id => (allSupplements.find(s => s.id === id) || { name: id }).name;
 
-    supplements.forEach(supp => {
-      if (!supp.interactions) return;
-      supp.interactions.forEach(interaction => {
-        // Check if the interacting substance is in our selected supplements
-        const matchedSupp = supplements.find(s =>
-          s.id !== supp.id && (
-            s.name.toLowerCase().includes(interaction.substance.toLowerCase()) ||
-            s.aliases.some(a => a.toLowerCase().includes(interaction.substance.toLowerCase())) ||
-            interaction.substance.toLowerCase().includes(s.name.toLowerCase()) ||
-            interaction.substance.toLowerCase().includes(s.name.split(' ')[0].toLowerCase())
-          )
-        );
-
-        if (matchedSupp) {
-          const key = [supp.id, matchedSupp.id].sort().join(':') + ':' + interaction.substance;
-          if (!seen.has(key)) {
-            seen.add(key);
-            interactions.push({
-              from: supp.name,
-              to: matchedSupp.name,
-              substance: interaction.substance,
-              effect: interaction.effect,
-              severity: interaction.severity
-            });
-          }
-        }
+    return InteractionGraph.among(interactionGraph, supplements.map(s => s.id)).map(edge => {
+      // Label each note by who declared it, plus the entry when one side declares it twice
+      const notes = edge.notes.map(n => {
+        const repeated = edge.notes.filter(o => o.from === n.from).length > 1;
+        return { ...n, label: repeated ? `${nameOf(n.from)} (${n.substance})` : nameOf(n.from) };
       });
+      // Lead with the note that set the pair's severity
+      const lead = notes.find(n => n.severity === edge.severity) || notes[0];
+      const otherId = edge.ids.find(id => id !== lead.from);
+      return {
+        from: nameOf(lead.from),
+        to: nameOf(otherId),
+        severity: edge.severity,
+        effect: lead.effect,
+        notes
+      };
     });
-
-    // Sort by severity (severe first)
-    const severityOrder = { severe: 0, moderate: 1, mild: 2 };
-    interactions.sort((a, b) => (severityOrder[a.severity] || 3) - (severityOrder[b.severity] || 3));
-
-    return interactions;
   }
 
   function aggregateBenefits(supplements) {
@@ -591,11 +386,11 @@ const StackBuilder = (() => {
     supplements.forEach(supp => {
       const assessment = EvidenceScoring.assess(supp.evidence);
       totalScore += assessment.score;
-      totalStudies += supp.evidence.totalStudies || 0;
-      totalHuman += supp.evidence.humanStudies || 0;
-      totalRCTs += supp.evidence.rcts || 0;
-      totalMeta += supp.evidence.metaAnalyses || 0;
-      totalSR += supp.evidence.systematicReviews || 0;
+      totalStudies += EvidenceScoring.count(supp.evidence.totalStudies);
+      totalHuman += EvidenceScoring.count(supp.evidence.humanStudies);
+      totalRCTs += EvidenceScoring.count(supp.evidence.rcts);
+      totalMeta += EvidenceScoring.count(supp.evidence.metaAnalyses);
+      totalSR += EvidenceScoring.count(supp.evidence.systematicReviews);
       tiers[assessment.tier] = (tiers[assessment.tier] || 0) + 1;
     });
 
@@ -630,7 +425,134 @@ const StackBuilder = (() => {
     };
   }
 
-  function generateWarnings(supplements) {
+  /**
+   * Classify every configured dose against its supplement's recommended
+   * daily range. Entries without a dose or with units that can't be
+   * compared to the regimen are left out.
+   */
+  function analyzeDoseRanges() {
+    return selectedSupplements
+      .map(entry => ({ supplement: entry.supplement, dose: analyzeDose(entry) }))
+      .filter(({ dose }) => dose && dose.range)
+      .map(({ supplement, dose }) => ({
+        id: supplement.id,
+        name: supplement.name,
+        daily: dose.daily,
+        ...dose.range
+      }));
+  }
+
+  /**
+   * Daily amount of each nutrient one stack entry supplies, in the
+   * nutrient's unit. The regimen's `substance` is the nutrient the dose
+   * itself measures; `composition` adds the nutrients in each serving.
+   *
+   * Uses the configured dose when it can be read in the regimen's unit,
+   * otherwise the recommended range (flagged as `assumed`).
+   *
+   * @returns {Array} [{ nutrientId, amount: { min, max, unit }, assumed, primary }]
+   */
+  function nutrientContributions(entry) {
+    const { supplement, config } = entry;
+    const regimen = supplement.dosage.regimen;
+    if (!regimen) return [];
+
+    const configured = Units.parse(config.dose, config.unit);
+    const perDose = configured && Units.convert(configured, regimen.unit, regimen.substance);
+    const assumed = !perDose;
+    const daily = assumed
+      ? Units.dailyTotal({ min: regimen.min, max: regimen.max, unit: regimen.unit }, regimen.frequency)
+      : Units.dailyTotal(perDose, config.frequency);
+
+    const contributions = [];
+    const toNutrientUnit = (nutrientId, quantity) => {
+      const nutrient = allNutrients.find(n => n.id === nutrientId);
+      const amount = nutrient && Units.convert(quantity, nutrient.unit, nutrientId);
+      return amount ? { nutrientId, amount } : null;
+    };
+
+    if (regimen.substance) {
+      const primary = toNutrientUnit(regimen.substance, daily);
+      if (primary) contributions.push({ ...primary, assumed, primary: true });
+    }
+
+    // Products dosed in servings/capsules/tablets declare nutrients per unit;
+    // products dosed by weight declare what comes along with each dose
+    const servings = Units.COUNT_UNITS.includes(regimen.unit)
+      ? { min: daily.min, max: daily.max }
+      : { min: daily.dosesPerDay, max: daily.dosesPerDay };
+    (supplement.composition || []).forEach(c => {
+      const part = toNutrientUnit(c.nutrient, { min: c.amount * servings.min, max: c.amount * servings.max, unit: c.unit });
+      if (part) contributions.push({ ...part, assumed, primary: false });
+    });
+
+    return contributions;
+  }
+
+  /**
+   * Sum every nutrient across the stack and flag totals above the
+   * tolerable upper intake level, plus products made redundant because the
+   * rest of the stack already reaches their recommended minimum.
+   *
+   * Only configured doses count towards `overUpperLimit`; when the total
+   * passes the limit only with assumed (unconfigured) products at the top
+   * of their recommended range, the row is `mayExceedUpperLimit` instead.
+   *
+   * @returns {Object} { totals: [{ nutrient, total, sources, overUpperLimit, mayExceedUpperLimit }], redundant: [...] }
+   */
+  function analyzeNutrients() {
+    const byNutrient = new Map();
+
+    selectedSupplements.forEach(entry => {
+      nutrientContributions(entry).forEach(c => {
+        if (!byNutrient.has(c.nutrientId)) {
+          const nutrient = allNutrients.find(n => n.id === c.nutrientId);
+          byNutrient.set(c.nutrientId, { nutrient, total: { min: 0, max: 0, unit: nutrient.unit }, sources: [] });
+        }
+        const row = byNutrient.get(c.nutrientId);
+        row.total.min += c.amount.min;
+        row.total.max += c.amount.max;
+        row.sources.push({ supplement: entry.supplement, amount: c.amount, assumed: c.assumed, primary: c.primary });
+      });
+    });
+
+    const totals = [...byNutrient.values()].map(row => {
+      const limit = row.nutrient.upperLimit;
+      const configuredMax = row.sources.filter(src => !src.assumed).reduce((sum, src) => sum + src.amount.max, 0);
+      const overUpperLimit = !!limit && configuredMax > limit;
+      return {
+        ...row,
+        overUpperLimit,
+        mayExceedUpperLimit: !!limit && !overUpperLimit && row.total.max > limit
+      };
+    });
+
+    const redundant = [];
+    totals.filter(row => row.sources.length > 1).forEach(row => {
+      row.sources.filter(src => src.primary).forEach(src => {
+        const regimen = src.supplement.dosage.regimen;
+        const recommended = Units.convert(
+          Units.dailyTotal({ min: regimen.min, max: regimen.max, unit: regimen.unit }, regimen.frequency),
+          row.nutrient.unit, regimen.substance
+        );
+        const others = row.sources.filter(o => o !== src);
+        const fromOthers = others.reduce((sum, o) => sum + o.amount.min, 0);
+        if (recommended && fromOthers >= recommended.min) {
+          redundant.push({
+            supplement: src.supplement,
+            nutrient: row.nutrient,
+            coveredBy: others.map(o => o.supplement),
+            fromOthers: { min: fromOthers, max: fromOthers, unit: row.nutrient.unit },
+            recommendedMin: { min: recommended.min, max: recommended.min, unit: recommended.unit }
+          });
+        }
+      });
+    });
+
+    return { totals, redundant };
+  }
+
+  function generateWarnings(supplements, nutrients) {
     const warnings = [];
 
     // Check for prescription medications
@@ -686,6 +608,47 @@ const StackBuilder = (() => {
       });
     }
 
+    // Check for doses entered in the wrong unit
+    selectedSupplements.forEach(entry => {
+      const dose = analyzeDose(entry);
+      if (dose && dose.unitMistake) {
+        warnings.push({
+          severity: 'moderate',
+          text: `Possible unit mistake — ${describeUnitMistake(entry.supplement, dose)}`
+        });
+      }
+    });
+
+    // Check nutrient totals (single products and overlaps) against upper intake levels
+    nutrients.totals.filter(row => row.overUpperLimit).forEach(row => {
+      const { total, nutrient } = row;
+      const amount = total.min === total.max
+        ? Units.format(total, { humanize: true })
+        : `up to ${Units.format({ min: total.max, max: total.max, unit: total.unit }, { humanize: true })}`;
+      const from = row.sources.length > 1 ? ` (from ${row.sources.map(src => src.supplement.name).join(' + ')})` : ` (${row.sources[0].supplement.name})`;
+      warnings.push({
+        severity: 'moderate',
+        text: `${nutrient.name}: ${amount} per day${from} exceeds the tolerable upper intake level of ${nutrient.upperLimit} ${nutrient.unit} per day (${nutrient.upperLimitSource}).`
+      });
+    });
+    nutrients.totals.filter(row => row.mayExceedUpperLimit).forEach(row => {
+      const { total, nutrient } = row;
+      const unset = row.sources.filter(src => src.assumed).map(src => src.supplement.name);
+      const amount = Units.format({ min: total.max, max: total.max, unit: total.unit }, { humanize: true });
+      warnings.push({
+        severity: 'mild',
+        text: `${nutrient.name} may exceed the tolerable upper intake level of ${nutrient.upperLimit} ${nutrient.unit} per day (up to ${amount}) if ${unset.join(' + ')} ${unset.length > 1 ? 'are' : 'is'} taken at the top of the recommended range. Set a dose to check.`
+      });
+    });
+
+    // Check for products whose main nutrient is already covered by the rest of the stack
+    nutrients.redundant.forEach(r => {
+      warnings.push({
+        severity: 'mild',
+        text: `${r.supplement.name} may be redundant — ${r.coveredBy.map(s => s.name).join(' + ')} already supplies ${Units.format(r.fromOthers, { humanize: true })} of ${r.nutrient.name} per day, which meets its recommended minimum of ${Units.format(r.recommendedMin, { humanize: true })}.`
+      });
+    });
+
     // General warning if stack is large
     if (supplements.length > 10) {
       warnings.push({
@@ -704,7 +667,8 @@ const StackBuilder = (() => {
       standard: entry.supplement.dosage.standard,
       optimal: entry.supplement.dosage.optimal,
       timing: entry.supplement.dosage.timing,
-      config: entry.config
+      config: entry.config,
+      dose: analyzeDose(entry)
     }));
   }
 
@@ -741,6 +705,7 @@ const StackBuilder = (() => {
                   id="builder-search" 
                   class="builder-picker__search" 
                   placeholder="Search supplements…" 
+                  title="Filters: cat:sleep  tier:A  tier&gt;=B  rcts&gt;50  interacts:caffeine  -cat:medication"
                   autocomplete="off"
                 >
               </div>
@@ -765,29 +730,22 @@ const StackBuilder = (() => {
   }
 
   function renderCatalog(query) {
-    const q = query.toLowerCase().trim();
-    let filtered = allSupplements;
-
-    if (q.length >= 2) {
-      filtered = allSupplements.filter(s => {
-        const searchText = [s.name, ...s.aliases, s.tagline, ...s.categories].join(' ').toLowerCase();
-        return searchText.includes(q);
-      });
-    }
+    const q = query.trim();
+    const results = q.length >= 2 ? SupplementSearch.search(searchIndex, q) : [];
 
     // Group by category
     const selectedIds = new Set(selectedSupplements.map(s => s.supplement.id));
 
     if (q.length >= 2) {
-      // Flat list for search results
-      return filtered.map(supp => {
+      // Flat list for search results, best match first
+      return Render.searchFilters(SupplementSearch.parseQuery(q)) + (results.map(({ supplement: supp, terms }) => {
         const isSelected = selectedIds.has(supp.id);
         const assessment = EvidenceScoring.assess(supp.evidence);
         return `
           <div class="catalog-item ${isSelected ? 'catalog-item--selected' : ''}" data-id="${supp.id}">
             <div class="catalog-item__info">
               <span class="catalog-item__tier" style="color: ${assessment.color}">${assessment.tier}</span>
-              <span class="catalog-item__name">${supp.name}</span>
+              <span class="catalog-item__name">${SupplementSearch.highlight(supp.name, terms)}</span>
             </div>
             <button class="catalog-item__btn ${isSelected ? 'catalog-item__btn--remove' : ''}" 
                     data-action="${isSelected ? 'remove' : 'add'}" data-id="${supp.id}">
@@ -795,7 +753,7 @@ const StackBuilder = (() => {
             </button>
           </div>
         `;
-      }).join('') || '<p class="builder-empty-search">No supplements match your search.</p>';
+      }).join('') || '<p class="builder-empty-search">No supplements match your search.</p>');
     }
 
     // Grouped by category (default view)
@@ -862,7 +820,9 @@ const StackBuilder = (() => {
   function renderSelectedSupplements() {
     if (selectedSupplements.length === 0) return '';
 
-    const cards = selectedSupplements.map(({ supplement: s, config }) => {
+    const cards = selectedSupplements.map(entry => {
+      const { supplement: s, config } = entry;
+      const dose = analyzeDose(entry);
       const assessment = EvidenceScoring.assess(s.evidence);
       const isExpanded = expandedConfigId === s.id;
       const hasConfig = config.dose || config.timing || config.withFood || config.frequency;
@@ -870,6 +830,8 @@ const StackBuilder = (() => {
       // Summary chips for collapsed view
       const chips = [];
       if (config.dose) chips.push(`${config.dose} ${config.unit}`);
+      if (dose && dose.daily.dosesPerDay > 1) chips.push(`${Units.format(dose.daily, { humanize: true })}/day`);
+      const rangeBadge = dose && dose.range ? renderDoseRangeBadge(dose.range) : '';
       const timingOpt = TIMING_OPTIONS.find(t => t.value === config.timing);
       if (timingOpt && config.timing) chips.push(timingOpt.label);
       const foodOpt = FOOD_OPTIONS.find(f => f.value === config.withFood);
@@ -890,7 +852,9 @@ const StackBuilder = (() => {
             </div>
             ${!isExpanded && chips.length > 0 ? `
               <div class="stack-card__chips">
+                ${dose && dose.unitMistake ? `<span class="stack-card__chip stack-card__chip--warning" title="${describeUnitMistake(s, dose)}">${SI('⚠️ ', '! ')}Check unit</span>` : ''}
                 ${chips.map(c => `<span class="stack-card__chip">${c}</span>`).join('')}
+                ${rangeBadge}
               </div>
             ` : ''}
             <div class="stack-card__actions">
@@ -936,6 +900,7 @@ const StackBuilder = (() => {
                   </select>
                 </div>
               </div>
+              <div class="stack-card__dose-info" data-dose-info="${s.id}">${renderDoseInfo(entry, dose)}</div>
               <div class="stack-card__field stack-card__field--notes">
                 <input type="text" class="stack-card__input stack-card__input--notes" placeholder="Personal notes…" 
                   value="${(config.notes || '').replace(/"/g, '&quot;')}" data-field="notes" data-id="${s.id}">
@@ -968,6 +933,45 @@ const StackBuilder = (() => {
     `;
   }
 
+  /**
+   * Daily total line (and unit warning) under the dose fields.
+   * Re-rendered in place while the user types — see refreshDoseInfo().
+   */
+  function renderDoseInfo(entry, dose) {
+    if (!dose) return '';
+
+    const { daily, dailyMass, perDose } = dose;
+    const breakdown = daily.dosesPerDay > 1 ? ` <span class="stack-card__daily-breakdown">(${Units.format(perDose)} × ${daily.dosesPerDay})</span>` : '';
+    const mass = dailyMass ? ` <span class="stack-card__daily-breakdown">≈ ${Units.format(dailyMass, { humanize: true })}</span>` : '';
+    const per = daily.dosingDaysOnly ? 'per dosing day' : 'per day';
+
+    return `
+      <div class="stack-card__daily">
+        <span class="stack-card__label">Total</span>
+        <span class="stack-card__daily-amount">${Units.format(daily, { humanize: true })}</span> ${per}${breakdown}${mass}
+        ${dose.range ? renderDoseRangeBadge(dose.range) : ''}
+      </div>
+      ${dose.unitMistake ? `
+        <div class="stack-card__dose-warning">${SI('⚠️ ', '! ')}${describeUnitMistake(entry.supplement, dose)}</div>
+      ` : ''}
+    `;
+  }
+
+  function renderDoseRangeBadge(range) {
+    const title = `Recommended: ${Units.format(range.recommended, { humanize: true })} per day` +
+      (range.upperLimit ? ` · Upper limit: ${Units.format(range.upperLimit)} per day` : '');
+    const badge = `<span class="dose-range-badge dose-range-badge--${range.status}" title="${title}">${DOSE_RANGE_LABELS[range.status]}</span>`;
+    return range.overUpperLimit
+      ? `${badge}<span class="dose-range-badge dose-range-badge--over-limit" title="${title}">Above UL</span>`
+      : badge;
+  }
+
+  function refreshDoseInfo(supplementId) {
+    const entry = selectedSupplements.find(s => s.supplement.id === supplementId);
+    const el = document.querySelector(`[data-dose-info="${supplementId}"]`);
+    if (entry && el) el.innerHTML = renderDoseInfo(entry, analyzeDose(entry));
+  }
+
   function renderEmptyState() {
     return `
       <div class="builder-empty">
@@ -990,6 +994,8 @@ const StackBuilder = (() => {
   function renderAnalysis(analysis) {
     return `
       ${renderDosageGuide(analysis.dosageSummary)}
+      ${renderDoseCheck(analysis.doseRanges)}
+      ${renderNutrientTotals(analysis.nutrients)}
       ${renderRisks(analysis.interactions, analysis.warnings)}
       ${renderSynergies(analysis.synergies)}
       ${renderCategoryRadar(analysis.categoryCoverage)}
@@ -1080,6 +1086,86 @@ const StackBuilder = (() => {
     `;
   }
 
+  function renderDoseCheck(doseRanges) {
+    if (doseRanges.length === 0) return '';
+
+    const rows = doseRanges.map(d => `
+      <div class="builder-dose-check__row">
+        <a href="supplement.html?id=${d.id}" class="builder-dose-check__name">${d.name}</a>
+        <span class="builder-dose-check__amount">${Units.format(d.daily, { humanize: true })}</span>
+        <span class="builder-dose-check__recommended">rec. ${Units.format(d.recommended, { humanize: true })}${d.upperLimit ? ` · UL ${Units.format(d.upperLimit)}` : ''}</span>
+        ${renderDoseRangeBadge(d)}
+      </div>
+    `).join('');
+
+    const counts = ['below', 'within', 'above']
+      .map(status => ({ status, n: doseRanges.filter(d => d.status === status).length }))
+      .filter(c => c.n > 0)
+      .map(c => `${c.n} ${DOSE_RANGE_LABELS[c.status].toLowerCase()}`)
+      .join(' · ');
+
+    return `
+      <section class="builder-section">
+        <h2 class="builder-section__title">${SI('🎯 ', '')}Dose Check</h2>
+        <p class="builder-section__hint">Daily amounts compared with the evidence-based range for each supplement: ${counts}.</p>
+        <div class="builder-dose-check">${rows}</div>
+      </section>
+    `;
+  }
+
+  function renderNutrientRow(row) {
+    const { nutrient, total } = row;
+    const pct = nutrient.upperLimit ? Math.min(100, (total.max / nutrient.upperLimit) * 100) : 0;
+    // Show the IU equivalent when any product in the row is dosed in IU
+    const dosedInIU = row.sources.some(src => src.supplement.dosage.regimen.unit === 'IU');
+    const iu = dosedInIU ? Units.convert(total, 'IU', nutrient.id) : null;
+    const sources = row.sources.map(src =>
+      `<span class="builder-nutrient__source${src.assumed ? ' builder-nutrient__source--assumed' : ''}"${src.assumed ? ' title="Dose not set — recommended range used"' : ''}>${src.supplement.name} ${Units.format(src.amount)}</span>`
+    ).join('<span class="builder-nutrient__plus">+</span>');
+
+    return `
+      <div class="builder-nutrient ${row.overUpperLimit ? 'builder-nutrient--over' : row.mayExceedUpperLimit ? 'builder-nutrient--may-exceed' : ''}">
+        <div class="builder-nutrient__header">
+          <span class="builder-nutrient__name">${nutrient.name}</span>
+          <span class="builder-nutrient__total">${Units.format(total)}${iu ? ` <span class="builder-nutrient__alt">(${Units.format(iu)})</span>` : ''}</span>
+          ${row.sources.length > 1 ? `<span class="dose-range-badge dose-range-badge--overlap">${row.sources.length} sources</span>` : ''}
+          ${row.overUpperLimit ? '<span class="dose-range-badge dose-range-badge--over-limit">Above UL</span>' : ''}
+          ${row.mayExceedUpperLimit ? '<span class="dose-range-badge dose-range-badge--may-exceed" title="Only if products without a set dose are taken at the top of their recommended range">May exceed UL</span>' : ''}
+        </div>
+        ${nutrient.upperLimit ? `
+          <div class="builder-nutrient__bar-container" title="Upper limit: ${nutrient.upperLimit} ${nutrient.unit}/day (${nutrient.upperLimitSource})">
+            <div class="builder-nutrient__bar" style="width: ${pct}%"></div>
+          </div>
+        ` : ''}
+        <div class="builder-nutrient__sources">${sources}</div>
+      </div>
+    `;
+  }
+
+  function renderNutrientTotals(nutrients) {
+    if (nutrients.totals.length === 0) return '';
+
+    // Overlaps and excesses first; single-source nutrients are tucked away
+    const flagged = nutrients.totals.filter(row => row.sources.length > 1 || row.overUpperLimit || row.mayExceedUpperLimit);
+    const rest = nutrients.totals.filter(row => !flagged.includes(row));
+
+    return `
+      <section class="builder-section">
+        <h2 class="builder-section__title">${SI('🧮 ', '')}Nutrient Totals</h2>
+        <p class="builder-section__hint">Daily amounts summed across all products. Bars show the share of the tolerable upper intake level; items without a configured dose use their recommended range.</p>
+        ${flagged.length > 0
+          ? `<div class="builder-nutrients">${flagged.map(renderNutrientRow).join('')}</div>`
+          : '<p class="builder-section__empty builder-section__empty--good">No nutrient is supplied by more than one product.</p>'}
+        ${rest.length > 0 ? `
+          <details class="builder-nutrients__more">
+            <summary class="builder-nutrients__more-summary">Other nutrients (${rest.length})</summary>
+            <div class="builder-nutrients">${rest.map(renderNutrientRow).join('')}</div>
+          </details>
+        ` : ''}
+      </section>
+    `;
+  }
+
   function renderRisks(interactions, warnings) {
     if (interactions.length === 0 && warnings.length === 0) {
       return `
@@ -1108,7 +1194,9 @@ const StackBuilder = (() => {
             <h4 class="interaction__substance">${int.from} × ${int.to}</h4>
             <span class="interaction__severity">${int.severity.charAt(0).toUpperCase() + int.severity.slice(1)}</span>
           </div>
-          <p class="interaction__effect">${int.effect}</p>
+          ${int.notes.length > 1
+            ? int.notes.map(n => `<p class="interaction__effect"><strong>${n.label}:</strong> ${n.effect}</p>`).join('')
+            : `<p class="interaction__effect">${int.effect}</p>`}
         </div>
       `;
     }).join('');
@@ -1237,6 +1325,7 @@ const StackBuilder = (() => {
                 <div class="dosage-timeline__item">
                   <a href="supplement.html?id=${d.id}" class="dosage-timeline__name">${d.name}</a>
                   <span class="dosage-timeline__dose">${d.config?.dose ? `${d.config.dose} ${d.config.unit}` : d.standard}</span>
+                  ${d.dose && d.dose.daily.dosesPerDay > 1 ? `<span class="dosage-timeline__tag">${Units.format(d.dose.daily, { humanize: true })}/day</span>` : ''}
                   ${foodLabel ? `<span class="dosage-timeline__tag">${foodLabel}</span>` : ''}
                 </div>
               `;
@@ -1299,32 +1388,7 @@ const StackBuilder = (() => {
     // Auto-fill all button
     const autofillAllBtn = document.getElementById('btn-autofill-all');
     if (autofillAllBtn) {
-      autofillAllBtn.addEventListener('click', () => {
-        selectedSupplements.forEach(s => {
-          // Inline autofill without re-render
-          const supp = s.supplement;
-          const dosage = supp.dosage;
-          const doseMatch = dosage.standard.match(/([\d.,\u2013\-]+)\s*(mg|g|µg|mcg|IU|mL)/i);
-          if (doseMatch) {
-            s.config.dose = doseMatch[1];
-            s.config.unit = doseMatch[2].toLowerCase() === 'mcg' ? 'µg' : doseMatch[2];
-          }
-          const timingStr = (dosage.timing || '').toLowerCase();
-          if (timingStr.includes('morning') || timingStr.includes('upon waking')) s.config.timing = 'morning';
-          else if (timingStr.includes('bedtime') || timingStr.includes('before bed')) s.config.timing = 'bedtime';
-          else if (timingStr.includes('evening')) s.config.timing = 'evening';
-          else if (timingStr.includes('pre-workout')) s.config.timing = 'pre-workout';
-          else if (timingStr.includes('split') || timingStr.includes('divided') || timingStr.includes('am/pm')) s.config.timing = 'split';
-          if (timingStr.includes('empty stomach')) s.config.withFood = 'without-food';
-          else if (timingStr.includes('fat-containing') || timingStr.includes('fat-soluble') || timingStr.includes('with dietary fat')) s.config.withFood = 'with-fat';
-          else if (timingStr.includes('with a meal') || timingStr.includes('with meal') || timingStr.includes('with food') || timingStr.includes('with breakfast')) s.config.withFood = 'with-food';
-          else if (timingStr.includes('with or without')) s.config.withFood = 'either';
-          if (timingStr.includes('twice') || timingStr.includes('2×') || timingStr.includes('split')) s.config.frequency = 'twice-daily';
-          else if (timingStr.includes('three') || timingStr.includes('3×')) s.config.frequency = 'three-daily';
-          else s.config.frequency = 'once-daily';
-        });
-        renderPage();
-      });
+      autofillAllBtn.addEventListener('click', autoFillAll);
     }
 
     // Config field changes (inputs, selects, textareas)
@@ -1332,6 +1396,7 @@ const StackBuilder = (() => {
       const eventType = el.tagName === 'SELECT' ? 'change' : 'input';
       el.addEventListener(eventType, () => {
         updateConfig(el.dataset.id, el.dataset.field, el.value);
+        if (['dose', 'unit', 'frequency'].includes(el.dataset.field)) refreshDoseInfo(el.dataset.id);
       });
     });
 
@@ -1385,65 +1450,44 @@ const StackBuilder = (() => {
         }
       });
     });
-
-    // Global search (navbar)
-    const globalSearch = document.getElementById('search-input');
-    const globalResults = document.getElementById('search-results');
-    if (globalSearch && globalResults) {
-      globalSearch.addEventListener('input', (e) => {
-        const query = e.target.value.trim().toLowerCase();
-        if (query.length < 2) {
-          globalResults.innerHTML = '';
-          globalResults.classList.remove('active');
-          return;
-        }
-
-        const matches = allSupplements.filter(s => {
-          const searchText = [s.name, ...s.aliases, s.tagline, ...s.categories].join(' ').toLowerCase();
-          return searchText.includes(query);
-        });
-
-        if (matches.length === 0) {
-          globalResults.innerHTML = '<div class="search-result search-result--empty">No supplements found</div>';
-          globalResults.classList.add('active');
-          return;
-        }
-
-        globalResults.innerHTML = matches.slice(0, 8).map(s => {
-          const assessment = EvidenceScoring.assess(s.evidence);
-          return `
-            <a href="supplement.html?id=${s.id}" class="search-result">
-              <span class="search-result__badge" style="color: ${assessment.color}">${assessment.tier}</span>
-              <div class="search-result__info">
-                <span class="search-result__name">${s.name}</span>
-                <span class="search-result__cats">${s.categories.map(cid => {
-                  const cat = allCategories.find(c => c.id === cid);
-                  return cat ? cat.name : cid;
-                }).join(', ')}</span>
-              </div>
-            </a>
-          `;
-        }).join('');
-        globalResults.classList.add('active');
-      });
-
-      document.addEventListener('click', (e) => {
-        if (!globalSearch.contains(e.target) && !globalResults.contains(e.target)) {
-          globalResults.innerHTML = '';
-          globalResults.classList.remove('active');
-        }
-      });
-    }
   }
 
   // ──────────────────────────────
   // INITIALIZATION
   // ──────────────────────────────
 
+  /**
+   * Pre-select supplements from `?add=id1,id2` (the supplement page's
+   * "Add both to Stack Builder" links), then drop the parameter so a
+   * reload doesn't add them again.
+   */
+  function applyAddParam() {
+    const params = new URLSearchParams(window.location.search);
+    const ids = (params.get('add') || '').split(',').filter(Boolean);
+    if (ids.length === 0) return;
+
+    ids.forEach(id => {
+      const supp = allSupplements.find(s => s.id === id);
+      if (supp && !selectedSupplements.some(s => s.supplement.id === id)) {
+        selectedSupplements.push({ supplement: supp, config: defaultConfig() });
+      }
+    });
+    params.delete('add');
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? '?' + query : ''}`);
+  }
+
   async function init() {
     await loadData();
     loadSavedStacks();
+    applyAddParam();
     renderPage();
+    App.initSearch(allSupplements, allCategories);
+    App.initCompare(allSupplements);
+    App.onScoringChange(() => {
+      searchIndex = SupplementSearch.createIndex(allSupplements, allCategories);
+      renderPage();
+    });
   }
 
   return { init };
@@ -0,0 +1,124 @@
+/**
+ * Certainty Module
+ *
+ * GRADE-style certainty of evidence for key findings. Where EvidenceScoring
+ * measures how much research exists, certainty asks how far a finding can
+ * be trusted. The two are shown side by side and never combined.
+ *
+ * Each finding may carry a `grade` block rating the five GRADE domains:
+ *
+ *   "grade": {
+ *     "riskOfBias": "serious",          // each one of CONCERNS
+ *     "inconsistency": "none",
+ *     "indirectness": "none",
+ *     "imprecision": "serious",
+ *     "publicationBias": "none",
+ *     "start": "low"                    // optional, see below
+ *   }
+ *
+ * A finding starts at the level its study design earns (randomized
+ * evidence high, observational low — see START_BY_DESIGN, or `start` to
+ * override, e.g. a meta-analysis of cohort studies) and drops one level per
+ * serious concern, two per very serious one, down to very low.
+ */
+
+const Certainty = (() => {
+
+  // Lowest first
+  const LEVELS = [
+    { id: 'very-low', label: 'Very low', symbol: '⊕◯◯◯', description: 'The true effect is probably markedly different from the estimate.' },
+    { id: 'low', label: 'Low', symbol: '⊕⊕◯◯', description: 'The true effect might be markedly different from the estimate.' },
+    { id: 'moderate', label: 'Moderate', symbol: '⊕⊕⊕◯', description: 'The true effect is probably close to the estimate.' },
+    { id: 'high', label: 'High', symbol: '⊕⊕⊕⊕', description: 'Further research is very unlikely to change confidence in the estimate.' }
+  ];
+
+  const DOMAINS = [
+    { key: 'riskOfBias', label: 'Risk of bias' },
+    { key: 'inconsistency', label: 'Inconsistency' },
+    { key: 'indirectness', label: 'Indirectness' },
+    { key: 'imprecision', label: 'Imprecision' },
+    { key: 'publicationBias', label: 'Publication bias' }
+  ];
+
+  // Levels each concern costs
+  const CONCERNS = { none: 0, serious: 1, 'very-serious': 2 };
+
+  // Starting level by study design (EffectSizes.STUDY_DESIGNS)
+  const START_BY_DESIGN = {
+    'meta-analysis': 'high',
+    'systematic-review': 'high',
+    'rct': 'high',
+    'cohort': 'low',
+    'case-control': 'low',
+    'cross-sectional': 'low',
+    'preclinical': 'low',
+    'review': 'low'
+  };
+
+  function levelIndex(id) {
+    return LEVELS.findIndex(l => l.id === id);
+  }
+
+  function getLevel(id) {
+    return LEVELS.find(l => l.id === id) || null;
+  }
+
+  /**
+   * Certainty of one finding.
+   * @param {Object} finding - keyFindings entry
+   * @returns {Object|null} { level, start, downgrades: [{ key, label, concern, levels }] }
+   *   with level and start as LEVELS entries; null if the finding is not rated
+   */
+  function rate(finding) {
+    const grade = finding && finding.grade;
+    if (!grade) return null;
+    const start = getLevel(grade.start) || getLevel(START_BY_DESIGN[finding.design]) || getLevel('high');
+    const downgrades = DOMAINS
+      .map(d => ({ key: d.key, label: d.label, concern: grade[d.key], levels: CONCERNS[grade[d.key]] || 0 }))
+      .filter(d => d.levels > 0);
+    const drop = downgrades.reduce((sum, d) => sum + d.levels, 0);
+    return {
+      level: LEVELS[Math.max(0, levelIndex(start.id) - drop)],
+      start,
+      downgrades
+    };
+  }
+
+  /**
+   * Certainty across a supplement's rated findings: the median level (the
+   * higher middle one for an even count), so one strong trial cannot stand
+   * in for a weak body of evidence and one mechanism study, rated very low
+   * as indirect, cannot sink a strong one.
+   * @param {Array} findings - keyFindings entries
+   * @returns {Object|null} { level, counts: { [level id]: n }, rated, total };
+   *   null if no finding is rated
+   */
+  function summarize(findings) {
+    const list = findings || [];
+    const ratings = list.map(rate).filter(Boolean);
+    if (ratings.length === 0) return null;
+
+    const counts = {};
+    LEVELS.forEach(l => { counts[l.id] = 0; });
+    ratings.forEach(r => { counts[r.level.id]++; });
+
+    const sorted = ratings.map(r => levelIndex(r.level.id)).sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return { level: LEVELS[median], counts, rated: ratings.length, total: list.length };
+  }
+
+  return {
+    LEVELS,
+    DOMAINS,
+    CONCERNS,
+    START_BY_DESIGN,
+    getLevel,
+    rate,
+    summarize
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Certainty;
+}
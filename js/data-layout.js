@@ -0,0 +1,85 @@
+/**
+ * Data Layout Module
+ *
+ * Serializes data records in the hand-edited layout the files in data/
+ * use (2-space indent, inline alias/category lists, one-line
+ * form/interaction/finding/reference objects and one-line regimens and
+ * count ranges), so tool and editor output produce minimal diffs.
+ *
+ * Runs in the browser (editor.html exports) and in Node
+ * (tools/lib/data-files.js).
+ */
+
+const DataLayout = (() => {
+
+  // Arrays of short strings kept on one line, e.g. "aliases": ["Mg", "Magnesium Glycinate"]
+  const INLINE_ARRAYS = new Set(['aliases', 'categories', 'drugClasses', 'supplements']);
+
+  // Arrays whose objects are written one per line, e.g. { "name": "…", "recommended": true }
+  const INLINE_OBJECTS = new Set(['forms', 'composition', 'interactions', 'keyFindings', 'outcomes', 'references', 'changelog']);
+  // Small objects written on a single line, e.g. "regimen": { "min": 3, "max": 5, … } or a study count range "rcts": { "min": 40, "max": 60 }
+  const INLINE_RECORDS = new Set(['regimen', 'totalStudies', 'humanStudies', 'rcts', 'metaAnalyses', 'systematicReviews', 'evidenceSource']);
+
+  function formatInline(value) {
+    if (Array.isArray(value)) return '[' + value.map(formatInline).join(', ') + ']';
+    if (value && typeof value === 'object') {
+      return '{ ' + Object.keys(value).map(k => `${JSON.stringify(k)}: ${formatInline(value[k])}`).join(', ') + ' }';
+    }
+    return JSON.stringify(value);
+  }
+
+  function formatValue(value, depth, key) {
+    const pad = '  '.repeat(depth);
+    const innerPad = '  '.repeat(depth + 1);
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '[]';
+      if (INLINE_ARRAYS.has(key) && value.every(v => v === null || typeof v !== 'object')) {
+        return formatInline(value);
+      }
+      const items = INLINE_OBJECTS.has(key)
+        ? value.map(v => innerPad + formatInline(v))
+        : value.map(v => innerPad + formatValue(v, depth + 1));
+      return `[\n${items.join(',\n')}\n${pad}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      if (INLINE_RECORDS.has(key)) return formatInline(value);
+      const keys = Object.keys(value);
+      if (keys.length === 0) return '{}';
+      const entries = keys.map(k => `${innerPad}${JSON.stringify(k)}: ${formatValue(value[k], depth + 1, k)}`);
+      return `{\n${entries.join(',\n')}\n${pad}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Serialize a whole data file.
+   * @param {Object} json
+   * @returns {string}
+   */
+  function formatJSON(json) {
+    return formatValue(json, 0) + '\n';
+  }
+
+  /**
+   * Serialize one entry of a data file's top-level array, indented to sit
+   * in it (e.g. a supplement, ready to paste into "supplements": […]).
+   * @param {Object} entry
+   * @returns {string}
+   */
+  function formatEntry(entry) {
+    return '    ' + formatValue(entry, 2);
+  }
+
+  return {
+    formatJSON,
+    formatEntry
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataLayout;
+}
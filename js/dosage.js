@@ -0,0 +1,141 @@
+/**
+ * Dosage Module
+ *
+ * Shared vocabulary and helpers for the machine-readable dosage block
+ * (`dosage.regimen`) on each supplement. The prose fields in `dosage`
+ * stay as display text; the regimen is what the Stack Builder and the
+ * supplement page read when they need numbers.
+ *
+ * Regimen shape:
+ *   {
+ *     min: 200, max: 400,        // amount per dose
+ *     unit: 'mg',                // one of REGIMEN_UNITS
+ *     frequency: 'once-daily',   // a FREQUENCY_OPTIONS value
+ *     windows: ['evening'],      // TIMING_OPTIONS values; [] = any time
+ *     food: 'either'             // a FOOD_OPTIONS value
+ *   }
+ */
+
+const Dosage = (() => {
+
+  const TIMING_OPTIONS = [
+    { value: '', label: 'Not set' },
+    { value: 'morning', label: 'Morning' },
+    { value: 'midday', label: 'Midday' },
+    { value: 'afternoon', label: 'Afternoon' },
+    { value: 'evening', label: 'Evening' },
+    { value: 'bedtime', label: 'Bedtime' },
+    { value: 'pre-workout', label: 'Pre-Workout' },
+    { value: 'post-workout', label: 'Post-Workout' },
+    { value: 'split', label: 'Split Doses' }
+  ];
+
+  const FOOD_OPTIONS = [
+    { value: '', label: 'Not set' },
+    { value: 'with-food', label: 'With food' },
+    { value: 'without-food', label: 'On empty stomach' },
+    { value: 'with-fat', label: 'With fat-containing meal' },
+    { value: 'either', label: 'Either way' }
+  ];
+
+  const FREQUENCY_OPTIONS = [
+    { value: '', label: 'Not set' },
+    { value: 'once-daily', label: 'Once daily' },
+    { value: 'twice-daily', label: 'Twice daily' },
+    { value: 'three-daily', label: 'Three times daily' },
+    { value: 'as-needed', label: 'As needed' },
+    { value: 'cycling', label: 'Cycling (on/off)' },
+    { value: 'weekly', label: 'Weekly' }
+  ];
+
+  const UNIT_OPTIONS = ['mg', 'g', 'µg', 'mcg', 'IU', 'mL', 'drops', 'capsules', 'tablets', 'servings'];
+
+  // Units allowed in dosage.regimen (WORKFLOW.md writes micrograms as μg)
+  const REGIMEN_UNITS = ['mg', 'g', 'μg', 'IU', 'mL', 'capsules', 'tablets', 'servings'];
+
+  // Regimen units that are spelled differently in the builder's unit picker
+  const CONFIG_UNITS = { 'μg': 'µg' };
+
+  // A window can't be 'split' or empty — those describe the builder config, not the data
+  const WINDOW_VALUES = TIMING_OPTIONS.map(o => o.value).filter(v => v && v !== 'split');
+  const FOOD_VALUES = FOOD_OPTIONS.map(o => o.value).filter(Boolean);
+  const FREQUENCY_VALUES = FREQUENCY_OPTIONS.map(o => o.value).filter(Boolean);
+
+  function label(options, value) {
+    const opt = options.find(o => o.value === value);
+    return opt && value ? opt.label : '';
+  }
+
+  function formatNumber(n) {
+    return n >= 1000 ? n.toLocaleString('en-US') : String(n);
+  }
+
+  /**
+   * Format the per-dose amount, e.g. "200–400 mg" or "5 g".
+   * @param {Object} regimen
+   * @returns {string}
+   */
+  function formatAmount(regimen) {
+    const { min, max, unit } = regimen;
+    const amount = min === max ? formatNumber(min) : `${formatNumber(min)}–${formatNumber(max)}`;
+    return `${amount} ${unit}`;
+  }
+
+  /**
+   * Human-readable labels for each part of a regimen.
+   * @param {Object} regimen
+   * @returns {Object} { amount, frequency, windows, food }
+   */
+  function describe(regimen) {
+    return {
+      amount: formatAmount(regimen),
+      frequency: label(FREQUENCY_OPTIONS, regimen.frequency),
+      windows: regimen.windows && regimen.windows.length > 0
+        ? regimen.windows.map(w => label(TIMING_OPTIONS, w)).join(' / ')
+        : 'Any time',
+      food: label(FOOD_OPTIONS, regimen.food)
+    };
+  }
+
+  /**
+   * Convert a regimen into a Stack Builder config
+   * ({ dose, unit, timing, withFood, frequency }).
+   *
+   * Multi-dose regimens spread over several windows become 'split';
+   * otherwise the first (preferred) window is used.
+   *
+   * @param {Object} regimen
+   * @returns {Object} Partial builder config
+   */
+  function toConfig(regimen) {
+    const windows = regimen.windows || [];
+    const multiDose = regimen.frequency === 'twice-daily' || regimen.frequency === 'three-daily';
+    const { min, max } = regimen;
+    return {
+      dose: min === max ? String(min) : `${min}–${max}`,
+      unit: CONFIG_UNITS[regimen.unit] || regimen.unit,
+      timing: multiDose && windows.length > 1 ? 'split' : (windows[0] || ''),
+      withFood: regimen.food || '',
+      frequency: regimen.frequency || ''
+    };
+  }
+
+  return {
+    TIMING_OPTIONS,
+    FOOD_OPTIONS,
+    FREQUENCY_OPTIONS,
+    UNIT_OPTIONS,
+    REGIMEN_UNITS,
+    WINDOW_VALUES,
+    FOOD_VALUES,
+    FREQUENCY_VALUES,
+    formatAmount,
+    describe,
+    toConfig
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Dosage;
+}
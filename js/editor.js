@@ -0,0 +1,974 @@
+/**
+ * Supplement Editor Module
+ *
+ * Local form-based editor for supplements.json entries (editor.html).
+ * Loads an entry (?id=…) or starts from the WORKFLOW.md template, and
+ * edits it through a structured form with repeatable rows for forms,
+ * interactions, key findings, references and the changelog. While you
+ * type it validates the entry (DataValidator, EditorialLinter), renders
+ * a live preview with Render.supplementPage and keeps the export in the
+ * data file's layout (DataLayout) up to date.
+ *
+ * Fields the form has no controls for (outcomes, composition,
+ * evidenceSource, a finding's effect size and GRADE rating, …) are edited
+ * as JSON, so an entry round-trips unchanged. Unsaved work is kept in
+ * localStorage per entry until it is discarded.
+ */
+
+const SupplementEditor = (() => {
+
+  // ──────────────────────────────
+  // STATE
+  // ──────────────────────────────
+
+  let dataFile = null; // parsed supplements.json, for the full-file export
+  let allSupplements = [];
+  let allCategories = [];
+  let allStacks = [];
+  let allSynergies = [];
+  let allNutrients = [];
+  let allDrugClasses = [];
+  let draft = null; // the entry being edited
+  let originalId = null; // id of the loaded entry; null for a new one
+  let restoredAt = null; // when the draft was restored from localStorage
+  let jsonErrors = {}; // data-path of a JSON field → parse error
+  let updateTimer = null;
+
+  const STORAGE_KEY = 'supplementsEncy_editorDrafts';
+  const NEW_DRAFT_KEY = '(new)';
+  const UPDATE_DELAY = 250; // ms after the last keystroke
+
+  // Key order of each record in WORKFLOW.md; keys not listed keep their place after these
+  const KEY_ORDER = {
+    entry: ['id', 'name', 'aliases', 'categories', 'drugClasses', 'tagline', 'overview', 'mechanismOfAction', 'forms', 'dosage', 'composition', 'benefits', 'sideEffects', 'interactions', 'evidence', 'evidenceSource', 'outcomes', 'keyFindings', 'safetyProfile', 'populationNotes', 'references', 'lastReviewed', 'changelog'],
+    dosage: ['standard', 'loading', 'optimal', 'timing', 'notes', 'regimen'],
+    regimen: ['min', 'max', 'unit', 'substance', 'frequency', 'windows', 'food'],
+    forms: ['name', 'description', 'recommended'],
+    interactions: ['substance', 'effect', 'severity', 'supplementIds', 'drugClasses'],
+    keyFindings: ['finding', 'source', 'ref', 'quality', 'outcome', 'effect', 'n', 'design', 'grade'],
+    references: ['id', 'authors', 'etAl', 'year', 'title', 'journal', 'volume', 'issue', 'pages', 'doi', 'pmid', 'note'],
+    changelog: ['date', 'summary']
+  };
+
+  // Entry fields with form controls; the rest are edited as JSON
+  const FORM_FIELDS = ['id', 'name', 'aliases', 'categories', 'drugClasses', 'tagline', 'overview', 'mechanismOfAction', 'forms', 'dosage', 'benefits', 'sideEffects', 'interactions', 'evidence', 'keyFindings', 'safetyProfile', 'populationNotes', 'references', 'lastReviewed', 'changelog'];
+  // Finding fields with form controls; effect, n, design, grade, … are edited as JSON
+  const FINDING_FORM_FIELDS = ['finding', 'source', 'ref', 'quality'];
+
+  const EVIDENCE_FIELDS = [
+    { key: 'totalStudies', label: 'Total studies' },
+    { key: 'humanStudies', label: 'Human studies' },
+    { key: 'rcts', label: 'RCTs' },
+    { key: 'metaAnalyses', label: 'Meta-analyses' },
+    { key: 'systematicReviews', label: 'Systematic reviews' }
+  ];
+
+  const DOSAGE_FIELDS = [
+    { key: 'standard', label: 'Standard dose' },
+    { key: 'loading', label: 'Loading' },
+    { key: 'optimal', label: 'Optimal' },
+    { key: 'timing', label: 'Timing' },
+    { key: 'notes', label: 'Notes' }
+  ];
+
+  // New rows of each repeatable list; the changelog is newest first, so its rows go on top
+  const ROW_TEMPLATES = {
+    forms: () => ({ name: '', description: '', recommended: false }),
+    interactions: () => ({ substance: '', effect: '', severity: 'mild' }),
+    keyFindings: () => ({ finding: '', source: '', quality: 'moderate' }),
+    references: () => ({ id: '', authors: [], year: new Date().getFullYear(), title: '', journal: '' }),
+    changelog: () => ({ date: Freshness.today(), summary: '' })
+  };
+
+  // The Quick-Start Template in WORKFLOW.md
+  function newEntry() {
+    const today = Freshness.today();
+    return {
+      id: '',
+      name: '',
+      aliases: [],
+      categories: [],
+      tagline: '',
+      overview: '',
+      mechanismOfAction: '',
+      forms: [ROW_TEMPLATES.forms()],
+      dosage: {
+        standard: '',
+        loading: '',
+        optimal: '',
+        timing: '',
+        notes: '',
+        regimen: { min: 0, max: 0, unit: 'mg', frequency: 'once-daily', windows: [], food: 'either' }
+      },
+      benefits: [],
+      sideEffects: [],
+      interactions: [],
+      evidence: { totalStudies: 0, humanStudies: 0, rcts: 0, metaAnalyses: 0, systematicReviews: 0 },
+      keyFindings: [],
+      safetyProfile: '',
+      populationNotes: '',
+      references: [],
+      lastReviewed: today,
+      changelog: [{ date: today, summary: 'Added monograph' }]
+    };
+  }
+
+  // ──────────────────────────────
+  // DATA LOADING
+  // ──────────────────────────────
+
+  async function loadData() {
+    const [catResult, suppResult, stackResult, synergyResult, nutrientResult, drugClassResult] = await Promise.all([
+      fetch('data/categories.json').then(r => r.json()),
+      fetch('data/supplements.json').then(r => r.json()),
+      fetch('data/stacks.json').then(r => r.json()),
+      fetch('data/synergies.json').then(r => r.json()),
+      fetch('data/nutrients.json').then(r => r.json()),
+      fetch('data/drug-classes.json').then(r => r.json())
+    ]);
+    dataFile = suppResult;
+    allCategories = catResult.categories;
+    allSupplements = suppResult.supplements;
+    allStacks = stackResult.stacks;
+    allSynergies = synergyResult.synergies;
+    allNutrients = nutrientResult.nutrients;
+    allDrugClasses = drugClassResult.drugClasses;
+  }
+
+  // ──────────────────────────────
+  // LOCALSTORAGE
+  // ──────────────────────────────
+
+  function loadDrafts() {
+    try {
+      const data = localStorage.getItem(STORAGE_KEY);
+      return data ? JSON.parse(data) : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function draftKey() {
+    return originalId || NEW_DRAFT_KEY;
+  }
+
+  function saveDraft() {
+    const drafts = loadDrafts();
+    drafts[draftKey()] = { entry: draft, savedAt: new Date().toISOString() };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+  }
+
+  function discardDraft() {
+    const drafts = loadDrafts();
+    delete drafts[draftKey()];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(drafts));
+    openEntry(originalId);
+  }
+
+  // ──────────────────────────────
+  // PATHS
+  // ──────────────────────────────
+
+  // Form controls are addressed with the validator's path syntax, e.g. "forms[0].name"
+  function parsePath(path) {
+    return (path.match(/[^.[\]]+/g) || []).map(part => (/^\d+$/.test(part) ? Number(part) : part));
+  }
+
+  function pathString(parts) {
+    return parts.reduce((str, part) =>
+      typeof part === 'number' ? `${str}[${part}]` : (str ? `${str}.${part}` : part), '');
+  }
+
+  function getAt(obj, parts) {
+    return parts.reduce((node, part) => (node == null ? undefined : node[part]), obj);
+  }
+
+  // An undefined value removes the key (optional fields left empty)
+  function setAt(obj, parts, value) {
+    const parent = getAt(obj, parts.slice(0, -1));
+    if (parent == null) return;
+    const key = parts[parts.length - 1];
+    if (value === undefined) delete parent[key];
+    else parent[key] = value;
+  }
+
+  // ──────────────────────────────
+  // VALUES
+  // ──────────────────────────────
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // A count is a number, a { min, max } range or an { estimate, confidence }
+  // — "120", "100–140" or "~60 (medium)"
+  function formatCount(value) {
+    if (value && typeof value === 'object') {
+      return value.estimate !== undefined ? `~${value.estimate} (${value.confidence})` : `${value.min}–${value.max}`;
+    }
+    return value === undefined ? '' : String(value);
+  }
+
+  // Text that isn't a count is kept as typed, so the validator reports it
+  function parseCount(text) {
+    const estimate = text.trim().match(/^~\s*(\d+)\s*\(\s*([a-z]+)\s*\)$/i);
+    if (estimate) return { estimate: Number(estimate[1]), confidence: estimate[2].toLowerCase() };
+    const match = text.trim().match(/^(\d+)(?:\s*[–-]\s*(\d+))?$/);
+    if (!match) return text;
+    return match[2] === undefined ? Number(match[1]) : { min: Number(match[1]), max: Number(match[2]) };
+  }
+
+  function splitList(text, separator) {
+    return text.split(separator).map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * The value a form control holds, by its data-kind. Optional controls
+   * (data-optional) give undefined when empty, which removes the field.
+   */
+  function readControl(el) {
+    const optional = el.dataset.optional === 'true';
+    const empty = items => (items.length === 0 && optional ? undefined : items);
+    switch (el.dataset.kind) {
+      case 'number': return el.value.trim() === '' ? undefined : Number(el.value);
+      case 'bool': return el.checked ? true : (optional ? undefined : false);
+      case 'list': return empty(splitList(el.value, ','));
+      case 'authors': return splitList(el.value, ';');
+      case 'lines': return splitList(el.value, '\n');
+      case 'count': return parseCount(el.value);
+      default: return el.value === '' && optional ? undefined : el.value;
+    }
+  }
+
+  /**
+   * The fields of a record that have no form control, as JSON text.
+   */
+  function extraFields(record, formFields) {
+    const extras = {};
+    Object.keys(record || {}).filter(key => !formFields.includes(key)).forEach(key => {
+      extras[key] = record[key];
+    });
+    return Object.keys(extras).length > 0 ? JSON.stringify(extras, null, 2) : '';
+  }
+
+  /**
+   * Replace a record's fields without form controls from edited JSON.
+   * @returns {string|null} The parse error, if any
+   */
+  function applyExtraFields(record, formFields, text) {
+    let extras;
+    try {
+      extras = text.trim() === '' ? {} : JSON.parse(text);
+    } catch (err) {
+      return `invalid JSON: ${err.message}`;
+    }
+    if (!extras || typeof extras !== 'object' || Array.isArray(extras)) return 'must be a JSON object';
+    const claimed = Object.keys(extras).filter(key => formFields.includes(key));
+    if (claimed.length > 0) return `${claimed.join(', ')} ${claimed.length === 1 ? 'has' : 'have'} a form field — edit it there`;
+
+    Object.keys(record).filter(key => !formFields.includes(key)).forEach(key => delete record[key]);
+    Object.assign(record, extras);
+    return null;
+  }
+
+  function ordered(record, order) {
+    const result = {};
+    order.filter(key => record[key] !== undefined).forEach(key => { result[key] = record[key]; });
+    Object.keys(record).filter(key => !order.includes(key)).forEach(key => { result[key] = record[key]; });
+    return result;
+  }
+
+  /**
+   * The draft with every record's keys in schema order, as it goes into
+   * the data file.
+   */
+  function exportEntry() {
+    const entry = ordered(draft, KEY_ORDER.entry);
+    if (entry.dosage && typeof entry.dosage === 'object') {
+      entry.dosage = ordered(entry.dosage, KEY_ORDER.dosage);
+      if (entry.dosage.regimen && typeof entry.dosage.regimen === 'object') {
+        entry.dosage.regimen = ordered(entry.dosage.regimen, KEY_ORDER.regimen);
+      }
+    }
+    ['forms', 'interactions', 'keyFindings', 'references', 'changelog'].forEach(list => {
+      if (Array.isArray(entry[list])) entry[list] = entry[list].map(row => ordered(row, KEY_ORDER[list]));
+    });
+    return entry;
+  }
+
+  // All supplements with the draft in place of the entry it was loaded from
+  function supplementsWithDraft() {
+    const index = allSupplements.findIndex(s => s.id === originalId);
+    if (index < 0) return [...allSupplements, draft];
+    return allSupplements.map((s, i) => (i === index ? draft : s));
+  }
+
+  // ──────────────────────────────
+  // FORM CONTROLS
+  // ──────────────────────────────
+
+  function attrs(path, kind, optional) {
+    return `data-path="${path}" data-kind="${kind}"${optional ? ' data-optional="true"' : ''}`;
+  }
+
+  function field(label, control, options = {}) {
+    const hint = options.hint ? `<span class="editor-field__hint">${options.hint}</span>` : '';
+    return `
+      <label class="editor-field${options.wide ? ' editor-field--wide' : ''}">
+        <span class="editor-field__label">${label}${options.optional ? ' <span class="editor-field__optional">optional</span>' : ''}</span>
+        ${control}
+        ${hint}
+      </label>
+    `;
+  }
+
+  function input(path, value, options = {}) {
+    const kind = options.kind || 'text';
+    const type = options.type || (kind === 'number' ? 'number' : 'text');
+    const placeholder = options.placeholder ? ` placeholder="${escapeHtml(options.placeholder)}"` : '';
+    return `<input type="${type}" class="editor-input" ${attrs(path, kind, options.optional)} value="${escapeHtml(value === undefined ? '' : value)}"${placeholder}>`;
+  }
+
+  function textarea(path, value, options = {}) {
+    const placeholder = options.placeholder ? ` placeholder="${escapeHtml(options.placeholder)}"` : '';
+    return `<textarea class="editor-input editor-input--text" rows="${options.rows || 3}" ${attrs(path, options.kind || 'text', options.optional)}${placeholder}>${escapeHtml(value === undefined ? '' : value)}</textarea>`;
+  }
+
+  // options: [{ value, label }]
+  function select(path, options, current, optional) {
+    return `
+      <select class="editor-input editor-input--select" ${attrs(path, 'text', optional)}>
+        ${options.map(o => `<option value="${escapeHtml(o.value)}" ${o.value === (current || '') ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+      </select>
+    `;
+  }
+
+  function checkbox(path, checked, label, optional) {
+    return `
+      <label class="editor-check">
+        <input type="checkbox" ${attrs(path, 'bool', optional)} ${checked ? 'checked' : ''}>
+        <span>${label}</span>
+      </label>
+    `;
+  }
+
+  // A set of checkboxes that toggles values in the array at `path`
+  function checkboxSet(path, options, current) {
+    const values = Array.isArray(current) ? current : [];
+    return `
+      <div class="editor-checks">
+        ${options.map(o => `
+          <label class="editor-check">
+            <input type="checkbox" data-path="${path}" data-kind="set" value="${escapeHtml(o.value)}" ${values.includes(o.value) ? 'checked' : ''}>
+            <span>${escapeHtml(o.label)}</span>
+          </label>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  function jsonField(path, record, formFields, label, hint) {
+    const text = extraFields(record, formFields);
+    return `
+      <details class="editor-json"${text ? ' open' : ''}>
+        <summary class="editor-json__summary">${label}</summary>
+        <textarea class="editor-input editor-input--json" rows="${Math.min(16, Math.max(3, text.split('\n').length))}" data-path="${path}" data-kind="json" spellcheck="false" placeholder="{}">${escapeHtml(text)}</textarea>
+        <span class="editor-field__hint">${hint}</span>
+      </details>
+    `;
+  }
+
+  function rowActions(list, index, count) {
+    return `
+      <span class="editor-row__actions">
+        <button type="button" class="btn btn--xs btn--outline" data-action="move-row" data-list="${list}" data-index="${index}" data-offset="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+        <button type="button" class="btn btn--xs btn--outline" data-action="move-row" data-list="${list}" data-index="${index}" data-offset="1" title="Move down" ${index === count - 1 ? 'disabled' : ''}>↓</button>
+        <button type="button" class="btn btn--xs btn--outline btn--danger" data-action="remove-row" data-list="${list}" data-index="${index}" title="Remove">✕</button>
+      </span>
+    `;
+  }
+
+  /**
+   * A repeatable list of rows with add / move / remove buttons.
+   * @param {string} list - Entry field holding the rows
+   * @param {string} noun - Singular name for the row titles and add button
+   * @param {Function} renderRow - (row, path, index) → fields HTML
+   */
+  function repeatable(list, noun, renderRow) {
+    const rows = Array.isArray(draft[list]) ? draft[list] : [];
+    return `
+      <div class="editor-rows">
+        ${rows.map((row, i) => `
+          <div class="editor-row">
+            <div class="editor-row__header">
+              <span class="editor-row__title">${noun} ${i + 1}</span>
+              ${rowActions(list, i, rows.length)}
+            </div>
+            <div class="editor-row__fields">
+              ${renderRow(row || {}, `${list}[${i}]`, i)}
+            </div>
+          </div>
+        `).join('')}
+        <button type="button" class="btn btn--sm btn--outline editor-rows__add" data-action="add-row" data-list="${list}">+ Add ${noun.toLowerCase()}</button>
+      </div>
+    `;
+  }
+
+  function section(id, title, content, description = '') {
+    return `
+      <fieldset class="editor-section" id="editor-${id}">
+        <legend class="editor-section__title">${title}</legend>
+        ${description ? `<p class="editor-section__description">${description}</p>` : ''}
+        <div class="editor-section__fields">${content}</div>
+      </fieldset>
+    `;
+  }
+
+  // ──────────────────────────────
+  // FORM
+  // ──────────────────────────────
+
+  function renderBasics() {
+    const categoryOptions = allCategories.map(c => ({ value: c.id, label: c.name }));
+    return section('basics', 'Basics', `
+      ${field('Id', input('id', draft.id, { placeholder: 'kebab-case, e.g. vitamin-d3' }))}
+      ${field('Name', input('name', draft.name))}
+      ${field('Aliases', input('aliases', (draft.aliases || []).join(', '), { kind: 'list' }), { hint: 'Comma-separated', wide: true })}
+      <div class="editor-field editor-field--wide">
+        <span class="editor-field__label">Categories</span>
+        ${checkboxSet('categories', categoryOptions, draft.categories)}
+      </div>
+      ${field('Drug classes', input('drugClasses', (draft.drugClasses || []).join(', '), { kind: 'list', optional: true }), {
+        optional: true, wide: true,
+        hint: `For prescription medications — ids from drug-classes.json, e.g. ${allDrugClasses.slice(0, 3).map(d => d.id).join(', ')}`
+      })}
+      ${field('Tagline', textarea('tagline', draft.tagline, { rows: 2 }), { hint: `One sentence, under ${EditorialLinter.TAGLINE_MAX} characters`, wide: true })}
+      ${field('Overview', textarea('overview', draft.overview, { rows: 8 }), { hint: '150–300 words', wide: true })}
+      ${field('Mechanism of action', textarea('mechanismOfAction', draft.mechanismOfAction, { rows: 8 }), { hint: '150–250 words', wide: true })}
+    `);
+  }
+
+  function renderForms() {
+    return section('forms', 'Forms & Variants', repeatable('forms', 'Form', (form, path) => `
+      ${field('Name', input(`${path}.name`, form.name))}
+      ${checkbox(`${path}.recommended`, form.recommended, 'Recommended')}
+      ${field('Description', textarea(`${path}.description`, form.description, { rows: 2 }), { wide: true })}
+    `));
+  }
+
+  function renderDosage() {
+    const dosage = draft.dosage || {};
+    const regimen = dosage.regimen || {};
+    const windowOptions = Dosage.TIMING_OPTIONS.filter(o => Dosage.WINDOW_VALUES.includes(o.value));
+    const unitOptions = Dosage.REGIMEN_UNITS.map(u => ({ value: u, label: u }));
+    const frequencyOptions = Dosage.FREQUENCY_OPTIONS.filter(o => o.value);
+    const foodOptions = Dosage.FOOD_OPTIONS.filter(o => o.value);
+
+    return section('dosage', 'Dosage', `
+      ${DOSAGE_FIELDS.map(f => field(f.label, textarea(`dosage.${f.key}`, dosage[f.key], { rows: 2 }), { wide: true })).join('')}
+      <div class="editor-subsection">
+        <h4 class="editor-subsection__title">Regimen</h4>
+        <p class="editor-section__description">The machine-readable dose used by the Stack Builder.</p>
+        <div class="editor-section__fields">
+          ${field('Min per dose', input('dosage.regimen.min', regimen.min, { kind: 'number' }))}
+          ${field('Max per dose', input('dosage.regimen.max', regimen.max, { kind: 'number' }))}
+          ${field('Unit', select('dosage.regimen.unit', unitOptions, regimen.unit))}
+          ${field('Substance', input('dosage.regimen.substance', regimen.substance, { optional: true, placeholder: allNutrients.slice(0, 2).map(n => n.id).join(', ') }), {
+            optional: true,
+            hint: 'Nutrient id — required for IU'
+          })}
+          ${field('Frequency', select('dosage.regimen.frequency', frequencyOptions, regimen.frequency))}
+          ${field('Food', select('dosage.regimen.food', foodOptions, regimen.food))}
+          <div class="editor-field editor-field--wide">
+            <span class="editor-field__label">Timing windows</span>
+            ${checkboxSet('dosage.regimen.windows', windowOptions, regimen.windows)}
+            <span class="editor-field__hint">Preferred first; none means any time</span>
+          </div>
+        </div>
+      </div>
+    `);
+  }
+
+  function renderLists() {
+    return section('lists', 'Benefits & Side Effects', `
+      ${field('Benefits', textarea('benefits', (draft.benefits || []).join('\n'), { kind: 'lines', rows: 6 }), { hint: 'One per line — 5–8', wide: true })}
+      ${field('Side effects', textarea('sideEffects', (draft.sideEffects || []).join('\n'), { kind: 'lines', rows: 5 }), { hint: 'One per line', wide: true })}
+    `);
+  }
+
+  function renderInteractions() {
+    const severities = DataValidator.SEVERITIES.map(s => ({ value: s, label: s }));
+    return section('interactions', 'Interactions', repeatable('interactions', 'Interaction', (int, path) => `
+      ${field('Substance', input(`${path}.substance`, int.substance))}
+      ${field('Severity', select(`${path}.severity`, severities, int.severity))}
+      ${field('Effect', textarea(`${path}.effect`, int.effect, { rows: 2 }), { wide: true })}
+      ${field('Supplement ids', input(`${path}.supplementIds`, (int.supplementIds || []).join(', '), { kind: 'list', optional: true }), { optional: true, hint: 'Comma-separated' })}
+      ${field('Drug classes', input(`${path}.drugClasses`, (int.drugClasses || []).join(', '), { kind: 'list', optional: true }), { optional: true, hint: 'Comma-separated' })}
+    `), 'Name the targets by id so the interaction reaches their pages (see Cross-Referencing in WORKFLOW.md).');
+  }
+
+  function renderEvidence() {
+    const evidence = draft.evidence || {};
+    return section('evidence', 'Evidence', `
+      ${EVIDENCE_FIELDS.map(f => field(f.label, input(`evidence.${f.key}`, formatCount(evidence[f.key]), { kind: 'count' }))).join('')}
+    `, `A number, a range such as 40–60, or an estimate such as ~60 (medium) — confidence ${Object.keys(EvidenceScoring.CONFIDENCE_SPREAD).join(', ')}.`);
+  }
+
+  function renderKeyFindings() {
+    const qualities = DataValidator.FINDING_QUALITIES.map(q => ({ value: q, label: q }));
+    const refOptions = [{ value: '', label: '— None —' }].concat((draft.references || [])
+      .filter(r => r && r.id)
+      .map(r => ({ value: r.id, label: r.id })));
+
+    return section('key-findings', 'Key Findings', repeatable('keyFindings', 'Finding', (f, path) => `
+      ${field('Finding', textarea(`${path}.finding`, f.finding, { rows: 3 }), { wide: true })}
+      ${field('Source', input(`${path}.source`, f.source, { placeholder: 'Author et al., Year — Study type' }))}
+      ${field('Quality', select(`${path}.quality`, qualities, f.quality))}
+      ${field('Reference', select(`${path}.ref`, refOptions, f.ref, true), { optional: true })}
+      ${jsonField(path, f, FINDING_FORM_FIELDS, 'Effect size, design & certainty (JSON)',
+        'outcome, effect, n, design and grade — see the key finding schema in WORKFLOW.md')}
+    `));
+  }
+
+  function renderSafety() {
+    return section('safety', 'Safety & Populations', `
+      ${field('Safety profile', textarea('safetyProfile', draft.safetyProfile, { rows: 4 }), { wide: true })}
+      ${field('Population notes', textarea('populationNotes', draft.populationNotes, { rows: 4 }), { wide: true })}
+    `);
+  }
+
+  function renderReferences() {
+    return section('references', 'References', repeatable('references', 'Reference', (ref, path) => `
+      ${field('Id', input(`${path}.id`, ref.id, { placeholder: 'surname-year' }))}
+      ${field('Year', input(`${path}.year`, ref.year, { kind: 'number' }))}
+      ${field('Authors', input(`${path}.authors`, (ref.authors || []).join('; '), { kind: 'authors', placeholder: 'Abbasi, B.; Kimiagar, M.' }), { hint: 'Semicolon-separated, "Surname, Initials."', wide: true })}
+      ${checkbox(`${path}.etAl`, ref.etAl, 'Author list is cut short (et al.)', true)}
+      ${field('Title', input(`${path}.title`, ref.title), { wide: true })}
+      ${field('Journal', input(`${path}.journal`, ref.journal), { wide: true })}
+      ${field('Volume', input(`${path}.volume`, ref.volume, { optional: true }), { optional: true })}
+      ${field('Issue', input(`${path}.issue`, ref.issue, { optional: true }), { optional: true })}
+      ${field('Pages', input(`${path}.pages`, ref.pages, { optional: true }), { optional: true })}
+      ${field('DOI', input(`${path}.doi`, ref.doi, { optional: true, placeholder: '10.…' }), { optional: true })}
+      ${field('PMID', input(`${path}.pmid`, ref.pmid, { optional: true }), { optional: true })}
+      ${field('Note', input(`${path}.note`, ref.note, { optional: true, placeholder: 'e.g. in press' }), { optional: true })}
+    `));
+  }
+
+  function renderReview() {
+    return section('review', 'Review & Changelog', `
+      ${field('Last reviewed', input('lastReviewed', draft.lastReviewed, { type: 'date' }))}
+      <div class="editor-field">
+        <span class="editor-field__label">&nbsp;</span>
+        <button type="button" class="btn btn--sm btn--outline" data-action="mark-reviewed">Reviewed today</button>
+      </div>
+      <div class="editor-field editor-field--wide">
+        ${repeatable('changelog', 'Change', (change, path) => `
+          ${field('Date', input(`${path}.date`, change.date, { type: 'date' }))}
+          ${field('Summary', input(`${path}.summary`, change.summary, { placeholder: 'What changed, for readers' }), { wide: true })}
+        `)}
+      </div>
+    `, 'Set the review date only after checking the whole entry; add a change for anything a reader would notice (see Reviews & Changelog in WORKFLOW.md).');
+  }
+
+  function renderOtherFields() {
+    return section('other', 'Other Fields', jsonField('', draft, FORM_FIELDS, 'Outcomes, composition, evidence source… (JSON)',
+      'Fields without a form — outcomes, composition, evidenceSource — as a JSON object'));
+  }
+
+  function renderForm() {
+    const form = document.getElementById('editor-form');
+    if (!form) return;
+    form.innerHTML = [
+      renderBasics(),
+      renderForms(),
+      renderDosage(),
+      renderLists(),
+      renderInteractions(),
+      renderEvidence(),
+      renderKeyFindings(),
+      renderSafety(),
+      renderReferences(),
+      renderReview(),
+      renderOtherFields()
+    ].join('');
+    markJsonErrors();
+  }
+
+  // ──────────────────────────────
+  // ISSUES
+  // ──────────────────────────────
+
+  /**
+   * Validator errors and editorial warnings for the draft, with paths
+   * relative to the entry.
+   * @returns {Array} [{ level: 'error'|'warning', path, message, suggestion? }]
+   */
+  function collectIssues() {
+    const issues = [];
+
+    Object.entries(jsonErrors).forEach(([path, message]) => {
+      issues.push({ level: 'error', path: path || '(other fields)', message });
+    });
+
+    const supplements = supplementsWithDraft();
+    const index = supplements.indexOf(draft);
+    const prefix = `supplements[${index}]`;
+    const files = {
+      categories: { categories: allCategories },
+      supplements: { supplements },
+      nutrients: { nutrients: allNutrients },
+      drugClasses: { drugClasses: allDrugClasses }
+    };
+    try {
+      DataValidator.validateAll(files)
+        .filter(issue => issue.file === 'supplements.json' && (issue.path === prefix || issue.path.startsWith(`${prefix}.`)))
+        // Reported on whichever copy comes second; checked below instead
+        .filter(issue => !issue.message.startsWith('duplicate id'))
+        .forEach(issue => issues.push({ level: 'error', path: issue.path.slice(prefix.length + 1), message: issue.message }));
+    } catch (err) {
+      issues.push({ level: 'error', path: '', message: `could not validate: ${err.message}` });
+    }
+
+    const clash = allSupplements.find(s => s.id === draft.id && s.id !== originalId);
+    if (clash) issues.push({ level: 'error', path: 'id', message: `already used by ${clash.name}` });
+
+    try {
+      EditorialLinter.lintSupplement(draft).forEach(issue => {
+        issues.push({ level: 'warning', path: pathString(issue.path), message: issue.message, suggestion: issue.suggestion });
+      });
+    } catch (err) {
+      issues.push({ level: 'warning', path: '', message: `could not lint: ${err.message}` });
+    }
+    return issues;
+  }
+
+  // The form control an issue belongs to: its own, or the nearest one above it (e.g. a JSON field)
+  function controlFor(path) {
+    const form = document.getElementById('editor-form');
+    const parts = parsePath(path);
+    for (let n = parts.length; n >= 0; n--) {
+      const el = form.querySelector(`[data-path="${pathString(parts.slice(0, n))}"]`);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  function renderIssues(issues) {
+    const errors = issues.filter(i => i.level === 'error');
+    const warnings = issues.filter(i => i.level === 'warning');
+    const summary = issues.length === 0
+      ? '<p class="editor-issues__ok">✓ Valid — no errors or editorial warnings</p>'
+      : `<p class="editor-issues__summary">${errors.length} error${errors.length !== 1 ? 's' : ''}, ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}</p>`;
+
+    return `
+      <h2 class="editor-panel__title">Checks</h2>
+      ${summary}
+      ${issues.length > 0 ? `
+        <ul class="editor-issues">
+          ${issues.map(issue => `
+            <li class="editor-issue editor-issue--${issue.level}">
+              <button type="button" class="editor-issue__path" data-action="focus-issue" data-path="${escapeHtml(issue.path)}">${escapeHtml(issue.path || 'entry')}</button>
+              <span class="editor-issue__message">${escapeHtml(issue.message)}</span>
+              ${issue.suggestion ? `<span class="editor-issue__suggestion">${escapeHtml(issue.suggestion)}</span>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    `;
+  }
+
+  function markIssues(issues) {
+    const form = document.getElementById('editor-form');
+    form.querySelectorAll('.editor-input--invalid').forEach(el => el.classList.remove('editor-input--invalid'));
+    issues.filter(i => i.level === 'error').forEach(issue => {
+      const el = controlFor(issue.path);
+      if (el) el.classList.add('editor-input--invalid');
+    });
+  }
+
+  function markJsonErrors() {
+    document.querySelectorAll('[data-kind="json"]').forEach(el => {
+      el.classList.toggle('editor-input--invalid', jsonErrors[el.dataset.path] !== undefined);
+    });
+  }
+
+  // ──────────────────────────────
+  // PREVIEW & EXPORT
+  // ──────────────────────────────
+
+  function renderPreview() {
+    const supplements = supplementsWithDraft();
+    try {
+      const pairings = App.findPairings(draft, supplements, allSynergies);
+      const appearances = App.findStackAppearances(draft, allStacks);
+      return Render.supplementPage(draft, allCategories, pairings, appearances);
+    } catch (err) {
+      return `<p class="editor-preview__error">Preview unavailable until the errors are fixed (${escapeHtml(err.message)}).</p>`;
+    }
+  }
+
+  function renderExport(issues) {
+    const errors = issues.filter(i => i.level === 'error').length;
+    return `
+      <h2 class="editor-panel__title">Export</h2>
+      <p class="editor-panel__text">
+        ${originalId ? `Replaces <code>${escapeHtml(originalId)}</code> in` : 'Appended to'} <code>data/supplements.json</code>.
+        ${errors > 0 ? `<strong class="editor-export__warning">Fix the ${errors} error${errors !== 1 ? 's' : ''} first.</strong>` : 'Run <code>node tools/validate-data.js</code> after saving.'}
+      </p>
+      <div class="editor-export__actions">
+        <button type="button" class="btn btn--sm" data-action="download-file">Download supplements.json</button>
+        <button type="button" class="btn btn--sm btn--outline" data-action="copy-entry">Copy entry</button>
+      </div>
+      <details class="editor-json">
+        <summary class="editor-json__summary">Entry JSON</summary>
+        <textarea class="editor-input editor-input--json" rows="16" readonly spellcheck="false">${escapeHtml(DataLayout.formatEntry(exportEntry()))}</textarea>
+      </details>
+    `;
+  }
+
+  function updatePreview() {
+    const issues = collectIssues();
+    markIssues(issues);
+    document.getElementById('editor-issues').innerHTML = renderIssues(issues);
+    document.getElementById('editor-export').innerHTML = renderExport(issues);
+    document.getElementById('editor-preview').innerHTML = renderPreview();
+  }
+
+  function scheduleUpdate() {
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(updatePreview, UPDATE_DELAY);
+  }
+
+  function downloadFile() {
+    const supplements = supplementsWithDraft().map(s => (s === draft ? exportEntry() : s));
+    const blob = new Blob([DataLayout.formatJSON({ ...dataFile, supplements })], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'supplements.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+  }
+
+  function copyEntry(button) {
+    const text = DataLayout.formatEntry(exportEntry());
+    navigator.clipboard.writeText(text).then(() => {
+      button.textContent = 'Copied';
+      setTimeout(() => { button.textContent = 'Copy entry'; }, 1500);
+    });
+  }
+
+  // ──────────────────────────────
+  // EDITING
+  // ──────────────────────────────
+
+  function changed() {
+    saveDraft();
+    renderStatus();
+    scheduleUpdate();
+  }
+
+  function updateField(el) {
+    const path = el.dataset.path;
+    const parts = parsePath(path);
+
+    if (el.dataset.kind === 'json') {
+      const formFields = path === '' ? FORM_FIELDS : FINDING_FORM_FIELDS;
+      const error = applyExtraFields(path === '' ? draft : getAt(draft, parts), formFields, el.value);
+      if (error) jsonErrors[path] = error;
+      else delete jsonErrors[path];
+      markJsonErrors();
+    } else if (el.dataset.kind === 'set') {
+      // Toggle in place, so the order of the values already there is kept
+      const values = (getAt(draft, parts) || []).filter(v => v !== el.value);
+      if (el.checked) values.push(el.value);
+      setAt(draft, parts, values);
+    } else {
+      setAt(draft, parts, readControl(el));
+    }
+    changed();
+  }
+
+  function editRows(action, list, index, offset) {
+    if (!Array.isArray(draft[list])) draft[list] = [];
+    const rows = draft[list];
+    if (action === 'add-row') {
+      if (list === 'changelog') rows.unshift(ROW_TEMPLATES[list]());
+      else rows.push(ROW_TEMPLATES[list]());
+    } else if (action === 'remove-row') {
+      rows.splice(index, 1);
+    } else if (action === 'move-row') {
+      const target = index + offset;
+      if (target < 0 || target >= rows.length) return;
+      [rows[index], rows[target]] = [rows[target], rows[index]];
+    }
+    // Row paths shift, so drop parse errors of JSON fields inside the list
+    Object.keys(jsonErrors).filter(path => path.startsWith(`${list}[`)).forEach(path => delete jsonErrors[path]);
+    renderForm();
+    changed();
+  }
+
+  function markReviewed() {
+    draft.lastReviewed = Freshness.today();
+    renderForm();
+    changed();
+  }
+
+  function focusIssue(path) {
+    const el = controlFor(path);
+    if (!el) return;
+    const details = el.closest('details');
+    if (details) details.open = true;
+    el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    el.focus({ preventScroll: true });
+  }
+
+  // ──────────────────────────────
+  // PAGE
+  // ──────────────────────────────
+
+  function renderStatus() {
+    const status = document.getElementById('editor-status');
+    if (!status) return;
+    const drafts = loadDrafts();
+    const saved = drafts[draftKey()];
+    status.innerHTML = saved
+      ? `${restoredAt ? `Restored the draft from ${new Date(restoredAt).toLocaleString()}. ` : ''}Changes are kept in this browser until you discard them.
+         <button type="button" class="btn btn--xs btn--outline btn--danger" data-action="discard-draft">Discard draft</button>`
+      : 'No unsaved changes.';
+  }
+
+  function renderPage() {
+    const container = document.getElementById('app');
+    const title = originalId ? `Editing ${escapeHtml(draft.name || originalId)}` : 'New Supplement';
+
+    container.innerHTML = `
+      <section class="builder-hero builder-hero--compact">
+        <div class="container">
+          <nav class="breadcrumb">
+            <a href="index.html">Home</a>
+            <span class="breadcrumb__sep">›</span>
+            <span>Editor</span>
+          </nav>
+          <h1 class="builder-hero__title">${SI('✏️ ', '')}${title}</h1>
+        </div>
+      </section>
+
+      <div class="container editor-toolbar">
+        <label class="editor-toolbar__pick">
+          <span class="editor-field__label">Entry</span>
+          <select id="editor-entry" class="editor-input editor-input--select">
+            <option value="">— New supplement —</option>
+            ${allSupplements.map(s => `<option value="${s.id}" ${s.id === originalId ? 'selected' : ''}>${s.name}</option>`).join('')}
+          </select>
+        </label>
+        <p id="editor-status" class="editor-toolbar__status"></p>
+      </div>
+
+      <div class="container editor-layout">
+        <form id="editor-form" class="editor-form" autocomplete="off" novalidate></form>
+        <aside class="editor-side">
+          <section id="editor-issues" class="editor-panel"></section>
+          <section id="editor-export" class="editor-panel"></section>
+          <section class="editor-panel editor-panel--preview">
+            <h2 class="editor-panel__title">Preview</h2>
+            <div id="editor-preview" class="editor-preview"></div>
+          </section>
+        </aside>
+      </div>
+    `;
+
+    renderForm();
+    renderStatus();
+    updatePreview();
+    attachEventListeners();
+  }
+
+  /**
+   * Load an entry into the form — its saved draft if there is one.
+   * @param {string|null} id - Supplement id, or null for a new entry
+   */
+  function openEntry(id) {
+    const supplement = allSupplements.find(s => s.id === id);
+    originalId = supplement ? supplement.id : null;
+    jsonErrors = {};
+
+    const saved = loadDrafts()[draftKey()];
+    draft = saved ? saved.entry : (supplement ? JSON.parse(JSON.stringify(supplement)) : newEntry());
+    restoredAt = saved ? saved.savedAt : null;
+
+    const params = new URLSearchParams(window.location.search);
+    if (originalId) params.set('id', originalId);
+    else params.delete('id');
+    const query = params.toString();
+    window.history.replaceState({}, '', `${window.location.pathname}${query ? '?' + query : ''}`);
+    document.title = `${originalId ? `Edit ${supplement.name}` : 'New Supplement'} — Supplements Encyclopedia`;
+
+    renderPage();
+  }
+
+  // ──────────────────────────────
+  // EVENT LISTENERS
+  // ──────────────────────────────
+
+  function attachEventListeners() {
+    const form = document.getElementById('editor-form');
+
+    // Form controls (delegated, so they survive form re-renders)
+    form.addEventListener('input', (e) => {
+      if (e.target.dataset.path !== undefined && e.target.tagName !== 'SELECT' && e.target.type !== 'checkbox') updateField(e.target);
+    });
+    form.addEventListener('change', (e) => {
+      if (e.target.dataset.path === undefined) return;
+      if (e.target.tagName === 'SELECT' || e.target.type === 'checkbox') updateField(e.target);
+      // Findings pick their reference by id
+      if (/^references\[\d+\]\.id$/.test(e.target.dataset.path)) renderForm();
+    });
+
+    document.getElementById('editor-entry').addEventListener('change', (e) => {
+      openEntry(e.target.value || null);
+    });
+  }
+
+  // Buttons anywhere on the page (delegated once — #app outlives the page renders)
+  function attachActions() {
+    document.getElementById('app').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      const action = button.dataset.action;
+      if (action === 'add-row' || action === 'remove-row' || action === 'move-row') {
+        editRows(action, button.dataset.list, Number(button.dataset.index), Number(button.dataset.offset));
+      } else if (action === 'mark-reviewed') {
+        markReviewed();
+      } else if (action === 'focus-issue') {
+        focusIssue(button.dataset.path);
+      } else if (action === 'download-file') {
+        downloadFile();
+      } else if (action === 'copy-entry') {
+        copyEntry(button);
+      } else if (action === 'discard-draft') {
+        if (confirm('Discard the unsaved changes to this entry?')) discardDraft();
+      }
+    });
+  }
+
+  // ──────────────────────────────
+  // INITIALIZATION
+  // ──────────────────────────────
+
+  async function init() {
+    await loadData();
+    attachActions();
+    openEntry(new URLSearchParams(window.location.search).get('id'));
+    App.initSearch(allSupplements, allCategories);
+    App.onScoringChange(updatePreview);
+  }
+
+  return { init };
+
+})();
@@ -0,0 +1,174 @@
+/**
+ * Effect Sizes Module
+ *
+ * Vocabulary and helpers for the optional structured fields on a
+ * supplement's `keyFindings` entries, which say how big an effect is
+ * rather than only that a study exists:
+ *
+ *   {
+ *     "finding": "…", "source": "…", "quality": "high",
+ *     "outcome": "Sleep onset latency",          // what was measured
+ *     "effect": { "type": "MD", "value": -7.06, "ci": [-9.75, -4.37], "unit": "min" },
+ *     "n": 1683,                                 // participants
+ *     "design": "meta-analysis"                  // a STUDY_DESIGNS value
+ *   }
+ *
+ * `ci` is the 95% confidence interval. Differences (SMD, MD) have no
+ * effect at 0 and are plotted on a linear axis; ratios (RR, OR, HR) have
+ * no effect at 1 and are plotted on a log axis.
+ */
+
+const EffectSizes = (() => {
+
+  const EFFECT_TYPES = [
+    { id: 'SMD', label: 'Standardized mean difference', ratio: false },
+    { id: 'MD', label: 'Mean difference', ratio: false },
+    { id: 'RR', label: 'Risk ratio', ratio: true },
+    { id: 'OR', label: 'Odds ratio', ratio: true },
+    { id: 'HR', label: 'Hazard ratio', ratio: true }
+  ];
+
+  const STUDY_DESIGNS = [
+    { value: 'meta-analysis', label: 'Meta-analysis' },
+    { value: 'systematic-review', label: 'Systematic review' },
+    { value: 'rct', label: 'RCT' },
+    { value: 'cohort', label: 'Cohort study' },
+    { value: 'case-control', label: 'Case-control study' },
+    { value: 'cross-sectional', label: 'Cross-sectional study' },
+    { value: 'preclinical', label: 'Preclinical study' },
+    { value: 'review', label: 'Narrative review' }
+  ];
+
+  function isRatio(type) {
+    const match = EFFECT_TYPES.find(t => t.id === type);
+    return !!(match && match.ratio);
+  }
+
+  /**
+   * The value meaning "no effect": 1 for ratios, 0 for differences.
+   */
+  function nullValue(type) {
+    return isRatio(type) ? 1 : 0;
+  }
+
+  function designLabel(design) {
+    const match = STUDY_DESIGNS.find(d => d.value === design);
+    return match ? match.label : design;
+  }
+
+  // ──────────────────────────────
+  // FORMATTING
+  // ──────────────────────────────
+
+  // Typographic minus, so negative values line up with the en dashes around them
+  function formatNumber(value) {
+    const text = String(Math.abs(value));
+    return value < 0 ? `−${text}` : text;
+  }
+
+  /**
+   * "MD −7.06 min (95% CI −9.75 to −4.37)"
+   * @param {Object} effect - { type, value, ci: [low, high], unit }
+   * @returns {string}
+   */
+  function formatEffect(effect) {
+    const unit = effect.unit ? ` ${effect.unit}` : '';
+    const [low, high] = effect.ci;
+    return `${effect.type} ${formatNumber(effect.value)}${unit} (95% CI ${formatNumber(low)} to ${formatNumber(high)})`;
+  }
+
+  // ──────────────────────────────
+  // FOREST PLOTS
+  // ──────────────────────────────
+
+  /**
+   * Findings with an effect size, grouped into one forest plot per outcome.
+   * Findings only share a plot when their effect type and unit match, so
+   * every plot has a single axis.
+   * @param {Array} findings - keyFindings entries
+   * @returns {Array} [{ outcome, type, unit, rows: [finding] }] in first-seen order
+   */
+  function forestGroups(findings) {
+    const groups = new Map();
+    (findings || []).forEach(f => {
+      if (!f.effect || !f.outcome) return;
+      const key = `${f.outcome}|${f.effect.type}|${f.effect.unit || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, { outcome: f.outcome, type: f.effect.type, unit: f.effect.unit || '', rows: [] });
+      }
+      groups.get(key).rows.push(f);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Axis for a forest plot: covers every interval and the no-effect line,
+   * with some padding. Ratios are laid out on a log scale.
+   * @param {Array} rows - Findings in one forest group
+   * @param {string} type - Effect type
+   * @returns {Object} { min, max, log, ticks, position(value) → 0..1 }
+   */
+  function forestAxis(rows, type) {
+    const log = isRatio(type);
+    const toAxis = v => (log ? Math.log(v) : v);
+    const values = [nullValue(type), ...rows.flatMap(f => f.effect.ci)].map(toAxis);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    const pad = (max - min) * 0.1 || 0.5;
+    min -= pad;
+    max += pad;
+
+    const position = value => (toAxis(value) - min) / (max - min);
+    const ticks = log ? ratioTicks(min, max) : niceTicks(min, max);
+    return { min, max, log, ticks, position };
+  }
+
+  const RATIO_TICKS = [0.1, 0.2, 0.25, 0.33, 0.5, 0.67, 0.75, 0.8, 0.9, 1, 1.1, 1.25, 1.5, 2, 3, 4, 5, 10];
+
+  // Round ratios between min and max (log units), at least a sixth of the axis apart, always with 1
+  function ratioTicks(min, max) {
+    const gap = (max - min) / 6;
+    const ticks = [];
+    RATIO_TICKS
+      .filter(t => Math.log(t) >= min && Math.log(t) <= max)
+      .forEach(t => {
+        const last = ticks[ticks.length - 1];
+        if (last === undefined || Math.log(t) - Math.log(last) >= gap) ticks.push(t);
+      });
+    if (!ticks.includes(1)) {
+      const near = ticks.findIndex(t => Math.abs(Math.log(t)) < gap);
+      if (near >= 0) ticks.splice(near, 1, 1);
+      else ticks.push(1);
+    }
+    return ticks.sort((a, b) => a - b);
+  }
+
+  // Up to ~5 round values between min and max
+  function niceTicks(min, max) {
+    const span = max - min;
+    const step = [0.1, 0.2, 0.25, 0.5, 1, 2, 2.5, 5, 10, 20, 25, 50, 100]
+      .find(s => span / s <= 5) || Math.pow(10, Math.ceil(Math.log10(span / 5)));
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max; t += step) {
+      ticks.push(Number(t.toFixed(6)));
+    }
+    return ticks;
+  }
+
+  return {
+    EFFECT_TYPES,
+    STUDY_DESIGNS,
+    isRatio,
+    nullValue,
+    designLabel,
+    formatNumber,
+    formatEffect,
+    forestGroups,
+    forestAxis
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EffectSizes;
+}
@@ -12,6 +12,17 @@
  * 
  * A sigmoid normalization is applied to produce a 0–100 score
  * with good differentiation across the full evidence spectrum.
+ *
+ * Study counts need not be exact: a count may be a range
+ * ({ "min": 40, "max": 60 }) or an estimate with a confidence level
+ * ({ "estimate": 50, "confidence": "low" }). Scores use the estimate (a
+ * range's midpoint); assess() also scores both ends and flags tiers that
+ * the interval straddles.
+ *
+ * The weights and normalization constant above form the default scoring
+ * profile. Other profiles (PROFILES, or custom weights via setProfile)
+ * re-score every assessment, ranking and tier that goes through this
+ * module; the active profile is chosen in the UI (App).
  */
 
 const EvidenceScoring = (() => {
@@ -28,17 +39,181 @@ const EvidenceScoring = (() => {
   // Higher value = more studies needed to reach high scores.
   const NORM_FACTOR = 200;
 
+  /**
+   * Named scoring profiles: { id, name, description, weights, normFactor }.
+   * A profile's normFactor keeps its scores on a comparable 0–100 spread.
+   */
+  const PROFILES = [
+    {
+      id: 'default',
+      name: 'Default',
+      description: 'Balanced weighting of meta-analyses, reviews, RCTs and study breadth.',
+      weights: { ...WEIGHTS },
+      normFactor: NORM_FACTOR
+    },
+    {
+      id: 'rct-heavy',
+      name: 'RCT-heavy',
+      description: 'Counts randomized trials directly; pooled analyses matter less.',
+      weights: { metaAnalyses: 6, systematicReviews: 3, rcts: 4, humanStudies: 0.1 },
+      normFactor: 250
+    },
+    {
+      id: 'meta-only',
+      name: 'Meta-only',
+      description: 'Only meta-analyses count. Systematic reviews, RCTs and other studies score nothing.',
+      weights: { metaAnalyses: 10, systematicReviews: 0, rcts: 0, humanStudies: 0 },
+      normFactor: 80
+    }
+  ];
+
+  const DEFAULT_PROFILE = PROFILES[0];
+
+  // Lowest (rounded) score of each tier, best tier first
+  const TIER_MIN_SCORES = { S: 90, A: 70, B: 50, C: 30, D: 0 };
+
+  // Counts that include others: an added RCT is also a human study and a
+  // study, an added meta-analysis or review is also a study
+  const INCLUDED_IN = {
+    rcts: ['humanStudies', 'totalStudies'],
+    humanStudies: ['totalStudies'],
+    metaAnalyses: ['totalStudies'],
+    systematicReviews: ['totalStudies']
+  };
+
+  // Bounds for custom profiles (the UI's sliders)
+  const CUSTOM_LIMITS = {
+    weights: { min: 0, max: 20 },
+    normFactor: { min: 20, max: 1000 }
+  };
+
+  // Share of an estimate either side of it, by confidence level
+  const CONFIDENCE_SPREAD = { high: 0.1, medium: 0.25, low: 0.5 };
+
+  const COUNT_FIELDS = ['totalStudies', 'humanStudies', 'rcts', 'metaAnalyses', 'systematicReviews'];
+
+  let activeProfile = DEFAULT_PROFILE;
+
+  // ──────────────────────────────
+  // COUNTS
+  // ──────────────────────────────
+
+  /**
+   * A study count as a range. Accepts an exact number, { min, max } or
+   * { estimate, confidence }; anything else (e.g. a missing count) is 0.
+   * @returns {Object} { min, max, estimate }
+   */
+  function countRange(value) {
+    if (typeof value === 'number') return { min: value, max: value, estimate: value };
+    if (value && typeof value === 'object') {
+      if (typeof value.estimate === 'number') {
+        const spread = CONFIDENCE_SPREAD[value.confidence] || 0;
+        return {
+          min: Math.round(value.estimate * (1 - spread)),
+          max: Math.round(value.estimate * (1 + spread)),
+          estimate: value.estimate
+        };
+      }
+      if (typeof value.min === 'number' && typeof value.max === 'number') {
+        return { min: value.min, max: value.max, estimate: Math.round((value.min + value.max) / 2) };
+      }
+    }
+    return { min: 0, max: 0, estimate: 0 };
+  }
+
+  /**
+   * The point value of a study count (a range's midpoint).
+   */
+  function count(value) {
+    return countRange(value).estimate;
+  }
+
+  /**
+   * "700" or "40–60"
+   */
+  function formatCount(value) {
+    const { min, max } = countRange(value);
+    return min === max ? min.toLocaleString() : `${min.toLocaleString()}–${max.toLocaleString()}`;
+  }
+
+  /**
+   * Evidence with every count pinned to one end of its range.
+   * @param {Object} evidence
+   * @param {string} bound - 'min', 'max' or 'estimate'
+   * @returns {Object} Evidence of plain numbers
+   */
+  function evidenceAt(evidence, bound) {
+    const pinned = {};
+    COUNT_FIELDS.forEach(key => { pinned[key] = countRange(evidence[key])[bound]; });
+    return pinned;
+  }
+
+  /**
+   * Whether any count in the evidence is a range rather than exact.
+   */
+  function isUncertain(evidence) {
+    return COUNT_FIELDS.some(key => {
+      const { min, max } = countRange(evidence[key]);
+      return min !== max;
+    });
+  }
+
+  function clamp(value, { min, max }, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  }
+
+  /**
+   * A custom profile from user-chosen weights. Missing or invalid values
+   * fall back to the default profile's.
+   * @param {Object} settings - { weights, normFactor }
+   * @returns {Object} profile with id 'custom'
+   */
+  function customProfile(settings = {}) {
+    const weights = {};
+    Object.keys(WEIGHTS).forEach(key => {
+      weights[key] = clamp((settings.weights || {})[key], CUSTOM_LIMITS.weights, WEIGHTS[key]);
+    });
+    return {
+      id: 'custom',
+      name: 'Custom',
+      description: 'Your own weights.',
+      weights,
+      normFactor: clamp(settings.normFactor, CUSTOM_LIMITS.normFactor, NORM_FACTOR)
+    };
+  }
+
+  /**
+   * Switch the profile used by every score, tier and ranking.
+   * @param {string|Object} profile - A PROFILES id, or { weights, normFactor } for a custom profile
+   * @returns {Object} The now active profile
+   */
+  function setProfile(profile) {
+    if (typeof profile === 'string') {
+      activeProfile = PROFILES.find(p => p.id === profile) || DEFAULT_PROFILE;
+    } else {
+      activeProfile = profile ? customProfile(profile) : DEFAULT_PROFILE;
+    }
+    return activeProfile;
+  }
+
+  function getProfile() {
+    return activeProfile;
+  }
+
   /**
    * Calculate the raw weighted evidence value.
    * @param {Object} evidence - Evidence data object
+   * @param {Object} [profile] - Scoring profile (defaults to the active one)
    * @returns {number} Raw weighted score
    */
-  function rawScore(evidence) {
+  function rawScore(evidence, profile = activeProfile) {
+    const weights = profile.weights;
     return (
-      (evidence.metaAnalyses || 0)      * WEIGHTS.metaAnalyses +
-      (evidence.systematicReviews || 0) * WEIGHTS.systematicReviews +
-      (evidence.rcts || 0)              * WEIGHTS.rcts +
-      (evidence.humanStudies || 0)      * WEIGHTS.humanStudies
+      count(evidence.metaAnalyses)      * weights.metaAnalyses +
+      count(evidence.systematicReviews) * weights.systematicReviews +
+      count(evidence.rcts)              * weights.rcts +
+      count(evidence.humanStudies)      * weights.humanStudies
     );
   }
 
@@ -48,11 +223,12 @@ const EvidenceScoring = (() => {
    * This gives diminishing returns at the top, providing natural tiers.
    * 
    * @param {Object} evidence - { totalStudies, humanStudies, rcts, metaAnalyses, systematicReviews }
+   * @param {Object} [profile] - Scoring profile (defaults to the active one)
    * @returns {number} Score from 0 to 100
    */
-  function calculateScore(evidence) {
-    const raw = rawScore(evidence);
-    const score = 100 * (1 - Math.exp(-raw / NORM_FACTOR));
+  function calculateScore(evidence, profile = activeProfile) {
+    const raw = rawScore(evidence, profile);
+    const score = 100 * (1 - Math.exp(-raw / profile.normFactor));
     return Math.round(score);
   }
 
@@ -70,28 +246,28 @@ const EvidenceScoring = (() => {
    * @returns {Object} { tier, label, color, description }
    */
   function getTier(score) {
-    if (score >= 90) return {
+    if (score >= TIER_MIN_SCORES.S) return {
       tier: 'S',
       label: 'Gold Standard',
       color: '#FFD700',
       bgColor: 'rgba(255, 215, 0, 0.12)',
       description: 'Extensively studied with scientific consensus on efficacy. Supported by numerous meta-analyses and hundreds of RCTs.'
     };
-    if (score >= 70) return {
+    if (score >= TIER_MIN_SCORES.A) return {
       tier: 'A',
       label: 'Strong Evidence',
       color: '#4CAF50',
       bgColor: 'rgba(76, 175, 80, 0.12)',
       description: 'Robust clinical evidence from multiple high-quality trials. Well-established in the research literature.'
     };
-    if (score >= 50) return {
+    if (score >= TIER_MIN_SCORES.B) return {
       tier: 'B',
       label: 'Moderate Evidence',
       color: '#2196F3',
       bgColor: 'rgba(33, 150, 243, 0.12)',
       description: 'Growing body of clinical evidence. Multiple RCTs support efficacy, though more research would strengthen conclusions.'
     };
-    if (score >= 30) return {
+    if (score >= TIER_MIN_SCORES.C) return {
       tier: 'C',
       label: 'Emerging Evidence',
       color: '#FF9800',
@@ -107,37 +283,55 @@ const EvidenceScoring = (() => {
     };
   }
 
+  /**
+   * Score interval across the count ranges and the tiers it covers.
+   * @param {Object} evidence
+   * @param {Object} [profile] - Defaults to the active profile
+   * @returns {Object} { low, high, tiers, ambiguous, uncertain } where tiers
+   *   lists the tier letters in the interval, best first, and ambiguous
+   *   means there is more than one
+   */
+  function scoreRange(evidence, profile = activeProfile) {
+    const low = calculateScore(evidenceAt(evidence, 'min'), profile);
+    const high = calculateScore(evidenceAt(evidence, 'max'), profile);
+    const letters = Object.keys(TIER_MIN_SCORES);
+    const tiers = letters.slice(letters.indexOf(getTier(high).tier), letters.indexOf(getTier(low).tier) + 1);
+    return { low, high, tiers, ambiguous: tiers.length > 1, uncertain: isUncertain(evidence) };
+  }
+
   /**
    * Get a complete evidence assessment for a supplement.
    * @param {Object} evidence - Evidence data object
-   * @returns {Object} { score, tier, label, color, bgColor, description, breakdown }
+   * @param {Object} [profile] - Scoring profile (defaults to the active one)
+   * @returns {Object} { score, tier, label, color, bgColor, description, breakdown, range }
+   *   where breakdown holds point counts and range is scoreRange()
    */
-  function assess(evidence) {
-    const score = calculateScore(evidence);
+  function assess(evidence, profile = activeProfile) {
+    const score = calculateScore(evidence, profile);
     const tierInfo = getTier(score);
     return {
       score,
       ...tierInfo,
       breakdown: {
-        totalStudies: evidence.totalStudies || 0,
-        humanStudies: evidence.humanStudies || 0,
-        rcts: evidence.rcts || 0,
-        metaAnalyses: evidence.metaAnalyses || 0,
-        systematicReviews: evidence.systematicReviews || 0,
-        rawWeighted: Math.round(rawScore(evidence))
-      }
+        ...evidenceAt(evidence, 'estimate'),
+        rawWeighted: Math.round(rawScore(evidence, profile))
+      },
+      range: scoreRange(evidence, profile)
     };
   }
 
   /**
    * Sort supplements by evidence score (descending).
    * @param {Array} supplements - Array of supplement objects
+   * @param {string} [categoryId] - Rank by the evidence for this category
+   *   (see categoryEvidence) instead of the overall evidence
    * @returns {Array} Sorted copy of supplements array
    */
-  function sortByEvidence(supplements) {
+  function sortByEvidence(supplements, categoryId) {
+    const evidenceOf = s => (categoryId ? categoryEvidence(s, categoryId).evidence : s.evidence);
     return [...supplements].sort((a, b) => {
-      const scoreA = calculateScore(a.evidence);
-      const scoreB = calculateScore(b.evidence);
+      const scoreA = calculateScore(evidenceOf(a));
+      const scoreB = calculateScore(evidenceOf(b));
       return scoreB - scoreA;
     });
   }
@@ -151,14 +345,154 @@ const EvidenceScoring = (() => {
     return [...supplements].sort((a, b) => a.name.localeCompare(b.name));
   }
 
+  // ──────────────────────────────
+  // OUTCOMES
+  // ──────────────────────────────
+
+  /**
+   * The evidence behind a supplement's claims in one category. Uses the
+   * matching `outcomes` entry when there is one, so a supplement is not
+   * credited in a category with studies done for another; otherwise falls
+   * back to the overall evidence.
+   * @param {Object} supplement
+   * @param {string} categoryId
+   * @returns {Object} { evidence, outcome, specific } where outcome is the
+   *   outcome label (null on fallback) and specific says whether it matched
+   */
+  function categoryEvidence(supplement, categoryId) {
+    const match = (supplement.outcomes || []).find(o => o.category === categoryId);
+    if (!match) return { evidence: supplement.evidence, outcome: null, specific: false };
+    return { evidence: match.evidence, outcome: match.outcome, specific: true };
+  }
+
+  // ──────────────────────────────
+  // EXPLANATION & WHAT-IF
+  // ──────────────────────────────
+
+  /**
+   * Break a score down by study type.
+   * @param {Object} evidence
+   * @param {Object} [profile] - Defaults to the active profile
+   * @returns {Object} { raw, score, parts: [{ key, count, weight, points, share }] }
+   *   where share is the part's fraction of the raw score
+   */
+  function explain(evidence, profile = activeProfile) {
+    const raw = rawScore(evidence, profile);
+    const parts = Object.keys(WEIGHTS).map(key => {
+      const n = count(evidence[key]);
+      const points = n * profile.weights[key];
+      return { key, count: n, weight: profile.weights[key], points, share: raw > 0 ? points / raw : 0 };
+    });
+    return { raw, score: calculateScore(evidence, profile), parts };
+  }
+
+  /**
+   * The raw value at which the rounded score first reaches `score`
+   * (the inverse of the normalization curve).
+   */
+  function rawForScore(score, profile = activeProfile) {
+    if (score <= 0) return 0;
+    const target = Math.min(score, 100) - 0.5;
+    return -profile.normFactor * Math.log(1 - target / 100);
+  }
+
+  /**
+   * Evidence with extra studies added, keeping the nested counts
+   * consistent (see INCLUDED_IN). Ranges are projected from their estimate.
+   * @param {Object} evidence
+   * @param {Object} extra - { rcts: 10, metaAnalyses: 5, … }
+   * @returns {Object} New evidence object
+   */
+  function project(evidence, extra) {
+    const projected = { ...evidence };
+    Object.entries(extra).forEach(([key, n]) => {
+      if (!n) return;
+      [key, ...(INCLUDED_IN[key] || [])].forEach(k => {
+        projected[k] = count(projected[k]) + n;
+      });
+    });
+    return projected;
+  }
+
+  /**
+   * What it takes to reach the next tier up.
+   * @param {Object} evidence
+   * @param {Object} [profile] - Defaults to the active profile
+   * @returns {Object|null} { tier, minScore, rawGap, studiesNeeded } where
+   *   studiesNeeded maps each study type to how many more of only that type
+   *   would get there (null if the type carries no weight); null at tier S
+   */
+  function nextTier(evidence, profile = activeProfile) {
+    const current = getTier(calculateScore(evidence, profile)).tier;
+    const tiers = Object.keys(TIER_MIN_SCORES);
+    const index = tiers.indexOf(current);
+    if (index === 0) return null;
+
+    const tier = tiers[index - 1];
+    const minScore = TIER_MIN_SCORES[tier];
+    const rawGap = rawForScore(minScore, profile) - rawScore(evidence, profile);
+    const studiesNeeded = {};
+    Object.keys(WEIGHTS).forEach(key => {
+      const perStudy = rawScore(project({}, { [key]: 1 }), profile);
+      if (perStudy <= 0) {
+        studiesNeeded[key] = null;
+        return;
+      }
+      let n = Math.max(1, Math.ceil(rawGap / perStudy));
+      // Guard against float error at the tier boundary
+      while (calculateScore(project(evidence, { [key]: n }), profile) < minScore) n++;
+      studiesNeeded[key] = n;
+    });
+    return { tier, minScore, rawGap, studiesNeeded };
+  }
+
+  /**
+   * Supplements whose tier differs between two profiles.
+   * @param {Array} supplements
+   * @param {Object} [profile] - Defaults to the active profile
+   * @param {Object} [baseline] - Defaults to the default profile
+   * @returns {Array} [{ supplement, from, to }] with from/to as tier letters
+   */
+  function tierChanges(supplements, profile = activeProfile, baseline = DEFAULT_PROFILE) {
+    return supplements
+      .map(supplement => ({
+        supplement,
+        from: getTier(calculateScore(supplement.evidence, baseline)).tier,
+        to: getTier(calculateScore(supplement.evidence, profile)).tier
+      }))
+      .filter(change => change.from !== change.to);
+  }
+
   return {
     calculateScore,
     getTier,
     assess,
+    scoreRange,
+    countRange,
+    count,
+    formatCount,
+    evidenceAt,
+    isUncertain,
     sortByEvidence,
     sortAlphabetically,
     rawScore,
-    WEIGHTS
+    tierChanges,
+    categoryEvidence,
+    explain,
+    rawForScore,
+    project,
+    nextTier,
+    setProfile,
+    getProfile,
+    customProfile,
+    WEIGHTS,
+    NORM_FACTOR,
+    PROFILES,
+    DEFAULT_PROFILE,
+    CUSTOM_LIMITS,
+    TIER_MIN_SCORES,
+    CONFIDENCE_SPREAD,
+    COUNT_FIELDS
   };
 
 })();
@@ -171,6 +505,12 @@ const EvidenceScoring = (() => {
  * @param {string} text   - Content to show in typewriter mode
  * @returns {string} HTML with both variants
  */
-window.SI = function(emoji, text) {
-  return '<span class="si-e">' + emoji + '</span><span class="si-t">' + text + '</span>';
-};
+if (typeof window !== 'undefined') {
+  window.SI = function(emoji, text) {
+    return '<span class="si-e">' + emoji + '</span><span class="si-t">' + text + '</span>';
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EvidenceScoring;
+}
@@ -0,0 +1,245 @@
+/**
+ * Facets Module
+ *
+ * Filtering and sorting for the supplement lists on the home and
+ * category pages. A list's view is a plain state object that round-trips
+ * through the URL, so every filtered view can be bookmarked:
+ *
+ *   ?sort=rcts&tier=S,A&cat=sleep,mood&severe=no&rx=no&form=powder
+ *
+ *   sort     evidence (default) | alpha | rcts | meta | safety
+ *   tier     evidence tiers to show (any of them)
+ *   cat      category ids to show (any of them)
+ *   severe   yes = only supplements with a severe interaction, no = none
+ *   rx       yes = prescription medications only, no = exclude them
+ *   form     text that one of the recommended forms must mention
+ *
+ * Safety is read from the interaction graph: a supplement's interactions
+ * are the ones it declares plus the ones other supplements declare
+ * against it. "Safest first" orders by the worst severity, then by how
+ * many interactions there are, weighted by severity.
+ *
+ * On a category page the index is built for that category, so scores and
+ * study counts come from the supplement's outcome evidence there.
+ */
+
+const SupplementFacets = (() => {
+
+  const Scoring = typeof EvidenceScoring !== 'undefined' ? EvidenceScoring : require('./evidence.js');
+  const Interactions = typeof InteractionGraph !== 'undefined' ? InteractionGraph : require('./interactions.js');
+
+  const SORT_MODES = [
+    { id: 'evidence', label: 'Evidence Score', icon: '🔬' },
+    { id: 'alpha', label: 'Alphabetical', icon: '🔤' },
+    { id: 'rcts', label: 'RCTs', icon: '🧪' },
+    { id: 'meta', label: 'Meta-analyses', icon: '📊' },
+    { id: 'safety', label: 'Safety', icon: '🛡️' }
+  ];
+
+  // Alternative spellings accepted in the URL
+  const SORT_ALIASES = { score: 'evidence' };
+
+  const TIERS = ['S', 'A', 'B', 'C', 'D'];
+
+  // Supplements in this category are prescription medications
+  const PRESCRIPTION_CATEGORY = 'medication';
+
+  const DEFAULT_STATE = {
+    sort: 'evidence',
+    tiers: [],
+    categories: [],
+    severe: '',
+    rx: '',
+    form: ''
+  };
+
+  // ──────────────────────────────
+  // INDEX
+  // ──────────────────────────────
+
+  function words(text) {
+    return (text || '').toLowerCase().match(/[a-z0-9\u00E0-\u024F\u03B1-\u03C9]+/g) || [];
+  }
+
+  /**
+   * Severities of every interaction touching a supplement: its own
+   * interaction entries plus notes other supplements declare against it.
+   */
+  function interactionSeverities(supplement, graph) {
+    const own = (supplement.interactions || []).map(i => i.severity);
+    const declaredByOthers = Interactions.partnersOf(graph, supplement.id)
+      .flatMap(({ edge }) => edge.notes.filter(n => n.from !== supplement.id).map(n => n.severity));
+    return [...own, ...declaredByOthers];
+  }
+
+  /**
+   * Safety summary of a supplement.
+   * @returns {Object} { worst, weight, counts: { mild, moderate, severe } }
+   *   where worst is 0 (no known interactions) to 3 (severe)
+   */
+  function safetyOf(supplement, graph) {
+    const counts = { mild: 0, moderate: 0, severe: 0 };
+    let worst = 0;
+    let weight = 0;
+    interactionSeverities(supplement, graph).forEach(severity => {
+      const rank = Interactions.SEVERITY_RANK[severity] || 0;
+      if (severity in counts) counts[severity]++;
+      worst = Math.max(worst, rank);
+      weight += rank;
+    });
+    return { worst, weight, counts };
+  }
+
+  /**
+   * Precompute everything the facets and sort modes need.
+   * @param {Array} supplements
+   * @param {string} [categoryId] - Score by the evidence for this category's
+   *   outcome (see EvidenceScoring.categoryEvidence) instead of overall
+   * @returns {Array} [{ supplement, evidence, outcome, assessment, safety, prescription, formWords }]
+   *   where formWords holds the words of each recommended form and outcome
+   *   is the category outcome label, if any
+   */
+  function createIndex(supplements, categoryId) {
+    const graph = Interactions.build(supplements);
+    return supplements.map(supplement => {
+      const { evidence, outcome } = categoryId
+        ? Scoring.categoryEvidence(supplement, categoryId)
+        : { evidence: supplement.evidence, outcome: null };
+      return {
+        supplement,
+        evidence,
+        outcome,
+        assessment: Scoring.assess(evidence),
+        safety: safetyOf(supplement, graph),
+        prescription: supplement.categories.includes(PRESCRIPTION_CATEGORY),
+        formWords: (supplement.forms || [])
+          .filter(f => f.recommended)
+          .map(f => words(`${f.name} ${f.description}`))
+      };
+    });
+  }
+
+  // ──────────────────────────────
+  // FILTERING & SORTING
+  // ──────────────────────────────
+
+  // Every word of the query starts a word of the same recommended form
+  function matchesForm(entry, form) {
+    const query = words(form);
+    if (query.length === 0) return true;
+    return entry.formWords.some(formWords =>
+      query.every(q => formWords.some(w => w.startsWith(q))));
+  }
+
+  function matchesToggle(value, wanted) {
+    if (wanted === 'yes') return value;
+    if (wanted === 'no') return !value;
+    return true;
+  }
+
+  function matches(entry, state) {
+    const { supplement, assessment } = entry;
+    if (state.tiers.length > 0 && !state.tiers.includes(assessment.tier)) return false;
+    if (state.categories.length > 0 && !state.categories.some(c => supplement.categories.includes(c))) return false;
+    if (!matchesToggle(entry.safety.counts.severe > 0, state.severe)) return false;
+    if (!matchesToggle(entry.prescription, state.rx)) return false;
+    return matchesForm(entry, state.form);
+  }
+
+  const byScore = (a, b) => b.assessment.score - a.assessment.score;
+
+  const COMPARATORS = {
+    evidence: byScore,
+    alpha: (a, b) => a.supplement.name.localeCompare(b.supplement.name),
+    rcts: (a, b) => Scoring.count(b.evidence.rcts) - Scoring.count(a.evidence.rcts) || byScore(a, b),
+    meta: (a, b) => Scoring.count(b.evidence.metaAnalyses) - Scoring.count(a.evidence.metaAnalyses) || byScore(a, b),
+    safety: (a, b) => a.safety.worst - b.safety.worst || a.safety.weight - b.safety.weight || byScore(a, b)
+  };
+
+  /**
+   * Filter and sort an index.
+   * @param {Array} index - From createIndex()
+   * @param {Object} state - View state (see DEFAULT_STATE)
+   * @returns {Array} Matching index entries in display order
+   */
+  function apply(index, state) {
+    return index
+      .filter(entry => matches(entry, state))
+      .sort(COMPARATORS[state.sort] || COMPARATORS.evidence);
+  }
+
+  /**
+   * Whether any filter (not just the sort mode) is set.
+   */
+  function hasFilters(state) {
+    return state.tiers.length > 0 || state.categories.length > 0 ||
+      !!state.severe || !!state.rx || !!state.form.trim();
+  }
+
+  // ──────────────────────────────
+  // URL STATE
+  // ──────────────────────────────
+
+  function parseList(value, allowed) {
+    return (value || '').split(',')
+      .map(v => v.trim())
+      .filter(v => v && (!allowed || allowed.includes(v)));
+  }
+
+  function parseToggle(value) {
+    return value === 'yes' || value === 'no' ? value : '';
+  }
+
+  /**
+   * Read a view state from query parameters. Unknown values are dropped.
+   * @param {Function} getParam - name → string|null
+   * @param {Array<string>} [categoryIds] - Known category ids
+   * @returns {Object} state
+   */
+  function parseState(getParam, categoryIds) {
+    const sortParam = (getParam('sort') || '').toLowerCase();
+    const sort = SORT_ALIASES[sortParam] || sortParam;
+    return {
+      sort: SORT_MODES.some(m => m.id === sort) ? sort : DEFAULT_STATE.sort,
+      tiers: parseList((getParam('tier') || '').toUpperCase(), TIERS),
+      categories: parseList(getParam('cat'), categoryIds),
+      severe: parseToggle(getParam('severe')),
+      rx: parseToggle(getParam('rx')),
+      form: (getParam('form') || '').trim()
+    };
+  }
+
+  /**
+   * Query parameters for a view state. Defaults map to null so the
+   * caller can drop them from the URL.
+   * @returns {Object} name → string|null
+   */
+  function toParams(state) {
+    return {
+      sort: state.sort !== DEFAULT_STATE.sort ? state.sort : null,
+      tier: state.tiers.length > 0 ? state.tiers.join(',') : null,
+      cat: state.categories.length > 0 ? state.categories.join(',') : null,
+      severe: state.severe || null,
+      rx: state.rx || null,
+      form: state.form.trim() || null
+    };
+  }
+
+  return {
+    SORT_MODES,
+    TIERS,
+    PRESCRIPTION_CATEGORY,
+    DEFAULT_STATE,
+    safetyOf,
+    createIndex,
+    apply,
+    hasFilters,
+    parseState,
+    toParams
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SupplementFacets;
+}
@@ -0,0 +1,100 @@
+/**
+ * Freshness Module
+ *
+ * Review dates and change history of supplements and stacks:
+ *
+ *   "lastReviewed": "2026-10-19",               // when an editor last checked the entry against the literature
+ *   "changelog": [                              // newest first
+ *     { "date": "2026-10-19", "summary": "Added the 2023 meta-analysis; rcts 110 → 120" }
+ *   ]
+ *
+ * An entry is stale once its last review is older than STALE_AFTER_DAYS
+ * (or it has never been reviewed). The changelogs of all entries make up
+ * the home page's "Recently updated" list and the Atom feed
+ * (tools/build-feed.js).
+ */
+
+const Freshness = (() => {
+
+  // Age after which an entry is flagged for review — the site-wide setting
+  const STALE_AFTER_DAYS = 365;
+
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+  /**
+   * A YYYY-MM-DD date as a UTC timestamp, or null if malformed.
+   */
+  function parseDate(iso) {
+    const match = typeof iso === 'string' && iso.match(ISO_DATE);
+    if (!match) return null;
+    const [, y, m, d] = match.map(Number);
+    const time = Date.UTC(y, m - 1, d);
+    const date = new Date(time);
+    // Reject dates that roll over, e.g. 2026-02-30
+    return date.getUTCMonth() === m - 1 && date.getUTCDate() === d ? time : null;
+  }
+
+  /**
+   * "19 Oct 2026" — spelled out so it reads the same in every locale.
+   */
+  function formatDate(iso) {
+    const time = parseDate(iso);
+    if (time === null) return iso;
+    const date = new Date(time);
+    return `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+  }
+
+  function today(now = new Date()) {
+    return now.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Review status of a supplement or stack.
+   * @param {Object} entry - Has lastReviewed (YYYY-MM-DD)
+   * @param {Object} [options] - { now: Date, staleAfterDays }
+   * @returns {Object} { date, days, stale } where date and days are null if
+   *   the entry was never reviewed (which counts as stale)
+   */
+  function reviewStatus(entry, options = {}) {
+    const { now = new Date(), staleAfterDays = STALE_AFTER_DAYS } = options;
+    const time = parseDate(entry && entry.lastReviewed);
+    if (time === null) return { date: null, days: null, stale: true };
+    const days = Math.max(0, Math.floor((parseDate(today(now)) - time) / DAY_MS));
+    return { date: entry.lastReviewed, days, stale: days > staleAfterDays };
+  }
+
+  /**
+   * Changelog entries across the site, newest first.
+   * @param {Array} supplements
+   * @param {Array} stacks
+   * @param {number} [limit] - Keep only the newest n
+   * @returns {Array} [{ kind: 'supplement'|'stack', entry, url, date, summary, index }]
+   *   where index is the change's position in the entry's changelog
+   */
+  function recentChanges(supplements, stacks, limit) {
+    const changes = [
+      ...supplements.map(entry => ({ kind: 'supplement', entry, url: `supplement.html?id=${entry.id}` })),
+      ...stacks.map(entry => ({ kind: 'stack', entry, url: `stack.html?id=${entry.id}` }))
+    ].flatMap(({ kind, entry, url }) =>
+      (entry.changelog || []).map((change, index) => ({ kind, entry, url, date: change.date, summary: change.summary, index })));
+
+    changes.sort((a, b) => b.date.localeCompare(a.date) || a.entry.name.localeCompare(b.entry.name));
+    return limit ? changes.slice(0, limit) : changes;
+  }
+
+  return {
+    STALE_AFTER_DAYS,
+    parseDate,
+    formatDate,
+    today,
+    reviewStatus,
+    recentChanges
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Freshness;
+}
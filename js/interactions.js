@@ -0,0 +1,129 @@
+/**
+ * Interaction Graph Module
+ *
+ * Builds a symmetric, id-based interaction graph from the `interactions`
+ * arrays in supplements.json. Each interaction names its targets
+ * explicitly:
+ *
+ *   { "substance": "Stimulants (Elvanse, methylphenidate)", "effect": "…",
+ *     "severity": "mild", "supplementIds": ["elvanse"], "drugClasses": ["stimulant"] }
+ *
+ * A drug class reaches every supplement that lists it in its own
+ * `drugClasses` (e.g. Ritalin is a "stimulant"). Declaring A → B is
+ * enough for B → A; when both sides declare the pair, both notes are
+ * kept and the higher severity wins.
+ */
+
+const InteractionGraph = (() => {
+
+  const SEVERITY_RANK = { mild: 1, moderate: 2, severe: 3 };
+
+  function pairKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+  }
+
+  /**
+   * Supplement ids an interaction points at: its explicit `supplementIds`
+   * plus every supplement that belongs to one of its `drugClasses`.
+   * @param {Object} interaction
+   * @param {Array} supplements - All supplements (for drug class membership)
+   * @returns {Array<string>}
+   */
+  function resolveTargets(interaction, supplements) {
+    const ids = new Set(interaction.supplementIds || []);
+    const classes = interaction.drugClasses || [];
+    if (classes.length > 0) {
+      supplements.forEach(s => {
+        if ((s.drugClasses || []).some(c => classes.includes(c))) ids.add(s.id);
+      });
+    }
+    return [...ids];
+  }
+
+  /**
+   * Build the graph.
+   * @param {Array} supplements - All supplements
+   * @returns {Object} { edges: Map<pairKey, edge>, byId: Map<id, edge[]> }
+   *   where edge = { ids: [a, b], severity, notes: [{ from, substance, effect, severity }] }
+   */
+  function build(supplements) {
+    const edges = new Map();
+    const byId = new Map();
+
+    supplements.forEach(supp => {
+      (supp.interactions || []).forEach(interaction => {
+        resolveTargets(interaction, supplements).forEach(targetId => {
+          if (targetId === supp.id) return;
+          const key = pairKey(supp.id, targetId);
+          let edge = edges.get(key);
+          if (!edge) {
+            edge = { ids: [supp.id, targetId].sort(), severity: interaction.severity, notes: [] };
+            edges.set(key, edge);
+            edge.ids.forEach(id => {
+              if (!byId.has(id)) byId.set(id, []);
+              byId.get(id).push(edge);
+            });
+          }
+          // One note per declaring supplement and interaction entry
+          if (!edge.notes.some(n => n.from === supp.id && n.substance === interaction.substance)) {
+            edge.notes.push({
+              from: supp.id,
+              substance: interaction.substance,
+              effect: interaction.effect,
+              severity: interaction.severity
+            });
+          }
+          if ((SEVERITY_RANK[interaction.severity] || 0) > (SEVERITY_RANK[edge.severity] || 0)) {
+            edge.severity = interaction.severity;
+          }
+        });
+      });
+    });
+
+    return { edges, byId };
+  }
+
+  /**
+   * The edge between two supplements, or null.
+   */
+  function between(graph, idA, idB) {
+    return graph.edges.get(pairKey(idA, idB)) || null;
+  }
+
+  /**
+   * Every interaction partner of a supplement, most severe first.
+   * @returns {Array} [{ partnerId, edge }]
+   */
+  function partnersOf(graph, id) {
+    return (graph.byId.get(id) || [])
+      .map(edge => ({ partnerId: edge.ids[0] === id ? edge.ids[1] : edge.ids[0], edge }))
+      .sort((a, b) => SEVERITY_RANK[b.edge.severity] - SEVERITY_RANK[a.edge.severity]);
+  }
+
+  /**
+   * Edges whose both ends are in `ids`, most severe first.
+   * @param {Object} graph
+   * @param {Array<string>} ids
+   * @returns {Array} edges
+   */
+  function among(graph, ids) {
+    const set = new Set(ids);
+    return [...graph.edges.values()]
+      .filter(edge => set.has(edge.ids[0]) && set.has(edge.ids[1]))
+      .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+  }
+
+  return {
+    SEVERITY_RANK,
+    resolveTargets,
+    build,
+    between,
+    partnersOf,
+    among
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InteractionGraph;
+}
@@ -0,0 +1,384 @@
+/**
+ * Editorial Linter Module
+ *
+ * Automates the editorial rules and quality checklist from WORKFLOW.md:
+ * tagline length, en-dash dose ranges, units on doses, hype words,
+ * keyFindings source format, the expected list sizes and entries due
+ * for review.
+ *
+ * Mechanical rules (dash, unit spacing, μg symbol, source separator)
+ * carry a `fixed` value that `applyFixes` writes back into the record.
+ * Runs in the browser and in Node (see tools/lint-content.js).
+ */
+
+const EditorialLinter = (() => {
+
+  const Dates = typeof Freshness !== 'undefined' ? Freshness : require('./freshness.js');
+
+  const TAGLINE_MAX = 150;
+
+  // Expected list sizes from the Quality Checklist — [min, max]
+  const LIST_SIZES = {
+    categories: [2, 4],
+    benefits: [5, 8],
+    keyFindings: [3, 4],
+    references: [3, 5]
+  };
+  const MIN_FORMS = 2;
+
+  // Word counts from the supplement schema
+  const WORD_COUNTS = {
+    overview: { min: 150, max: 300, expand: 'Expand with what it is, why it matters and how widely it is used' },
+    mechanismOfAction: { min: 150, max: 250, expand: 'Expand with the specific receptors, enzymes and pathways involved' }
+  };
+
+  const HYPE_WORDS = /\b(miracle|miraculous|breakthrough|game[- ]?chang(?:er|ing)|superfoods?)\b/gi;
+
+  // A dose needs a number followed by a unit (or a countable serving form)
+  const DOSE_WITH_UNIT = /\d[\d.,–]*\s*(?:billion\s+)?(?:mg|g|kg|μg|IU|mL|CFU|capsules?|servings?|tablets?|drops?|scoops?)(?![A-Za-z])/;
+
+  // "Author et al., Year — Study type"
+  const SOURCE_FORMAT = /^\S.*?, \d{4}[a-z]?\b[^—]* — \S/;
+
+  const DOSAGE_FIELDS = ['standard', 'loading', 'optimal', 'timing', 'notes'];
+
+  // ──────────────────────────────
+  // MECHANICAL TEXT FIXES
+  // ──────────────────────────────
+
+  const TEXT_RULES = {
+    'dose-range-dash': {
+      pattern: /(\d)\s*-\s*(\d)/g,
+      replace: '$1–$2',
+      message: 'Dose ranges use an en-dash'
+    },
+    'unit-spacing': {
+      pattern: /(\d)(mg|g|kg|μg|µg|mcg|IU|mL)(?![A-Za-z])/g,
+      replace: '$1 $2',
+      message: 'Separate the number and unit with a space'
+    },
+    'unit-symbol': {
+      pattern: /(\d\s*)(?:µg|mcg)(?![A-Za-z])/g,
+      replace: '$1μg',
+      message: 'Write micrograms as μg'
+    }
+  };
+
+  const SOURCE_SEPARATOR = /^(.+?, \d{4}[a-z]?\b[^—–-]*?)\s+(?:--|-|–)\s+/;
+
+  // ──────────────────────────────
+  // HELPERS
+  // ──────────────────────────────
+
+  function pathString(parts) {
+    return parts.reduce((str, part) =>
+      typeof part === 'number' ? `${str}[${part}]` : (str ? `${str}.${part}` : part), '');
+  }
+
+  function getAt(obj, parts) {
+    return parts.reduce((node, part) => (node == null ? undefined : node[part]), obj);
+  }
+
+  function setAt(obj, parts, value) {
+    const parent = getAt(obj, parts.slice(0, -1));
+    if (parent != null) parent[parts[parts.length - 1]] = value;
+  }
+
+  function wordCount(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean).length;
+  }
+
+  function preview(text, index, length = 40) {
+    const start = Math.max(0, index - 12);
+    return (start > 0 ? '…' : '') + text.slice(start, start + length) + (start + length < text.length ? '…' : '');
+  }
+
+  // Widen a match to the surrounding whitespace-delimited token(s)
+  function tokenAround(text, index, length) {
+    let start = index;
+    let end = index + length;
+    while (start > 0 && !/\s/.test(text[start - 1])) start--;
+    while (end < text.length && !/\s/.test(text[end])) end++;
+    return text.slice(start, end);
+  }
+
+  /**
+   * Run every mechanical text rule over a dose-like field.
+   * Each rule reports separately and its `fixed` text applies that rule
+   * only, so fixes can be applied for a subset of rules.
+   */
+  function lintDoseText(text, parts, issues) {
+    if (typeof text !== 'string') return;
+    Object.entries(TEXT_RULES).forEach(([rule, def]) => {
+      def.pattern.lastIndex = 0;
+      const match = def.pattern.exec(text);
+      def.pattern.lastIndex = 0;
+      if (!match) return;
+      const before = tokenAround(text, match.index, match[0].length);
+      issues.push({
+        rule,
+        path: parts,
+        message: `${def.message}: "${before}"`,
+        suggestion: `"${before}" → "${before.replace(def.pattern, def.replace)}"`,
+        fixed: text.replace(def.pattern, def.replace)
+      });
+    });
+  }
+
+  function lintHype(value, parts, issues) {
+    if (typeof value === 'string') {
+      HYPE_WORDS.lastIndex = 0;
+      let match;
+      while ((match = HYPE_WORDS.exec(value)) !== null) {
+        issues.push({
+          rule: 'no-hype',
+          path: parts,
+          message: `Hype word "${match[0]}" in "${preview(value, match.index)}"`,
+          suggestion: 'Replace with a specific, quantified claim'
+        });
+      }
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => lintHype(item, parts.concat(i), issues));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, item]) => lintHype(item, parts.concat(key), issues));
+    }
+  }
+
+  function lintTagline(tagline, issues) {
+    if (typeof tagline === 'string' && tagline.length >= TAGLINE_MAX) {
+      issues.push({
+        rule: 'tagline-length',
+        path: ['tagline'],
+        message: `Tagline is ${tagline.length} characters (limit ${TAGLINE_MAX - 1})`,
+        suggestion: `Cut ${tagline.length - TAGLINE_MAX + 1}+ characters — keep one informative sentence`
+      });
+    }
+  }
+
+  function lintDoseUnit(text, parts, issues) {
+    if (typeof text !== 'string' || DOSE_WITH_UNIT.test(text)) return;
+    issues.push({
+      rule: 'dose-unit',
+      path: parts,
+      message: `Dose has no amount with a unit: "${preview(text, 0, 60)}"`,
+      suggestion: 'Add an amount with a unit (mg, g, μg, IU) or a serving count'
+    });
+  }
+
+  // ──────────────────────────────
+  // SUPPLEMENTS
+  // ──────────────────────────────
+
+  /**
+   * Lint one supplement entry.
+   * @param {Object} supp - Supplement entry
+   * @returns {Array} Issues ({ rule, path, message, suggestion, fixed? })
+   */
+  function lintSupplement(supp) {
+    const issues = [];
+
+    lintTagline(supp.tagline, issues);
+
+    if (supp.dosage) {
+      DOSAGE_FIELDS.forEach(field => lintDoseText(supp.dosage[field], ['dosage', field], issues));
+      lintDoseUnit(supp.dosage.standard, ['dosage', 'standard'], issues);
+    }
+
+    lintHype(supp, [], issues);
+
+    (supp.keyFindings || []).forEach((f, i) => {
+      if (typeof f.source !== 'string') return;
+      const separatorMatch = f.source.match(SOURCE_SEPARATOR);
+      if (separatorMatch) {
+        issues.push({
+          rule: 'source-format',
+          path: ['keyFindings', i, 'source'],
+          message: `Separate year and study type with an em-dash: "${f.source}"`,
+          suggestion: 'Use " — " between the year and the study type',
+          fixed: f.source.replace(SOURCE_SEPARATOR, '$1 — ')
+        });
+      } else if (!SOURCE_FORMAT.test(f.source)) {
+        issues.push({
+          rule: 'source-format',
+          path: ['keyFindings', i, 'source'],
+          message: `Source does not follow "Author et al., Year — Study type": "${f.source}"`,
+          suggestion: 'Rewrite as "Author et al., Year — Study type (n=X)"'
+        });
+      }
+    });
+
+    Object.entries(LIST_SIZES).forEach(([field, [min, max]]) => {
+      const list = supp[field];
+      if (!Array.isArray(list)) return;
+      if (list.length < min || list.length > max) {
+        issues.push({
+          rule: 'list-size',
+          path: [field],
+          message: `${field} has ${list.length} item${list.length !== 1 ? 's' : ''} (expected ${min}–${max})`,
+          suggestion: list.length < min ? `Add ${min - list.length} more` : `Merge or drop ${list.length - max}`
+        });
+      }
+    });
+
+    if (Array.isArray(supp.forms)) {
+      if (supp.forms.length < MIN_FORMS) {
+        issues.push({
+          rule: 'list-size',
+          path: ['forms'],
+          message: `forms has ${supp.forms.length} item${supp.forms.length !== 1 ? 's' : ''} (expected at least ${MIN_FORMS})`,
+          suggestion: 'List the alternatives and mark which one is recommended'
+        });
+      } else if (!supp.forms.some(f => f.recommended)) {
+        issues.push({
+          rule: 'recommended-form',
+          path: ['forms'],
+          message: 'No form is marked as recommended',
+          suggestion: 'Set "recommended": true on the preferred form'
+        });
+      }
+    }
+
+    Object.entries(WORD_COUNTS).forEach(([field, { min, max, expand }]) => {
+      if (typeof supp[field] !== 'string') return;
+      const words = wordCount(supp[field]);
+      if (words < min || words > max) {
+        issues.push({
+          rule: 'word-count',
+          path: [field],
+          message: `${field} is ${words} words (expected ${min}–${max})`,
+          suggestion: words < min ? expand : 'Tighten — move detail to other sections'
+        });
+      }
+    });
+
+    if (Array.isArray(supp.categories) && supp.categories.includes('medication')) {
+      const notes = (supp.dosage && supp.dosage.notes) || '';
+      if (!/prescription|medical supervision/i.test(notes)) {
+        issues.push({
+          rule: 'medication-warning',
+          path: ['dosage', 'notes'],
+          message: 'Prescription medication without a prescription warning in dosage.notes',
+          suggestion: 'Add "Prescription-only" / "Requires medical supervision" to dosage.notes'
+        });
+      }
+    }
+
+    lintReview(supp, issues);
+
+    return issues;
+  }
+
+  // Not reviewed within Freshness.STALE_AFTER_DAYS
+  function lintReview(entry, issues) {
+    const status = Dates.reviewStatus(entry);
+    if (!status.stale) return;
+    issues.push({
+      rule: 'review-due',
+      path: ['lastReviewed'],
+      message: status.date
+        ? `Last reviewed ${status.date}, ${status.days} days ago (review every ${Dates.STALE_AFTER_DAYS} days)`
+        : 'No review date',
+      suggestion: 'Re-check evidence counts, findings and references, then update lastReviewed and add a changelog entry'
+    });
+  }
+
+  // ──────────────────────────────
+  // STACKS
+  // ──────────────────────────────
+
+  /**
+   * Lint one stack entry.
+   * @param {Object} stack - Stack entry
+   * @returns {Array} Issues ({ rule, path, message, suggestion, fixed? })
+   */
+  function lintStack(stack) {
+    const issues = [];
+
+    lintTagline(stack.tagline, issues);
+
+    (stack.blocks || []).forEach((block, i) => {
+      (block.items || []).forEach((item, j) => {
+        const parts = ['blocks', i, 'items', j, 'dose'];
+        lintDoseText(item.dose, parts, issues);
+        if (typeof item.dose === 'string' && /\d/.test(item.dose)) {
+          lintDoseUnit(item.dose, parts, issues);
+        }
+      });
+    });
+
+    lintHype(stack, [], issues);
+    lintReview(stack, issues);
+
+    return issues;
+  }
+
+  // ──────────────────────────────
+  // FULL DATASET
+  // ──────────────────────────────
+
+  function tagIssues(issues, file, entry) {
+    return issues.map(issue => ({
+      ...issue,
+      file,
+      entry,
+      pathParts: issue.path,
+      path: pathString(issue.path)
+    }));
+  }
+
+  /**
+   * Lint supplements.json and stacks.json.
+   * @param {Object} files - { supplements, stacks } — parsed JSON of each file
+   * @returns {Array} Issues with { file, entry, index, path, pathParts, rule, message, suggestion, fixed? }
+   */
+  function lintAll(files) {
+    const issues = [];
+    const supplements = (files.supplements && files.supplements.supplements) || [];
+    const stacks = (files.stacks && files.stacks.stacks) || [];
+
+    supplements.forEach((supp, index) => {
+      tagIssues(lintSupplement(supp), 'supplements.json', supp.id)
+        .forEach(issue => issues.push({ ...issue, index }));
+    });
+    stacks.forEach((stack, index) => {
+      tagIssues(lintStack(stack), 'stacks.json', stack.id)
+        .forEach(issue => issues.push({ ...issue, index }));
+    });
+
+    return issues;
+  }
+
+  /**
+   * Write the `fixed` value of every fixable issue back into its record.
+   * Text rules are re-applied to the field's current value, so several
+   * fixes to the same field combine instead of overwriting each other.
+   * @param {Object} record - Supplement or stack entry (mutated)
+   * @param {Array} issues - Issues from lintSupplement / lintStack for that record
+   * @returns {number} Number of fixes applied
+   */
+  function applyFixes(record, issues) {
+    let applied = 0;
+    issues.forEach(issue => {
+      if (issue.fixed === undefined) return;
+      const parts = issue.pathParts || issue.path;
+      const def = TEXT_RULES[issue.rule];
+      const current = getAt(record, parts);
+      setAt(record, parts, def && typeof current === 'string' ? current.replace(def.pattern, def.replace) : issue.fixed);
+      applied++;
+    });
+    return applied;
+  }
+
+  return {
+    lintSupplement,
+    lintStack,
+    lintAll,
+    applyFixes,
+    TAGLINE_MAX
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EditorialLinter;
+}
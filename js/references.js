@@ -0,0 +1,183 @@
+/**
+ * References Module
+ *
+ * Structured citations for the `references` arrays of supplements and
+ * stacks, and their export to reference managers:
+ *
+ *   {
+ *     "id": "abbasi-2012",                       // unique within the entry
+ *     "authors": ["Abbasi, B."], "etAl": true,  // "Surname, Initials."; etAl when the list is cut short
+ *     "year": 2012,
+ *     "title": "The effect of magnesium supplementation on primary insomnia in elderly",
+ *     "journal": "Journal of Research in Medical Sciences",
+ *     "volume": "17", "issue": "12", "pages": "1161–1169",
+ *     "doi": "10.…", "pmid": "…",                 // optional
+ *     "note": "…"                                // optional, e.g. publication status
+ *   }
+ *
+ * Key findings cite a reference with `"ref": "<id>"`; the references list
+ * numbers the references in order and links back to the findings citing
+ * each one.
+ */
+
+const References = (() => {
+
+  const DOI_URL = 'https://doi.org/';
+  const PUBMED_URL = 'https://pubmed.ncbi.nlm.nih.gov/';
+
+  function surname(author) {
+    return author.split(',')[0].trim();
+  }
+
+  // "Abbasi, B. et al." / "Rawson, E.S. & Venezia, A.C."
+  function authorList(ref) {
+    const authors = ref.authors || [];
+    if (ref.etAl) return `${authors.join(', ')} et al.`;
+    if (authors.length <= 1) return authors.join('');
+    return `${authors.slice(0, -1).join(', ')} & ${authors[authors.length - 1]}`;
+  }
+
+  /**
+   * "Abbasi et al., 2012" — for labels where the full citation is too long.
+   */
+  function shortCitation(ref) {
+    const authors = ref.authors || [];
+    const names = ref.etAl || authors.length > 2
+      ? `${surname(authors[0])} et al.`
+      : authors.map(surname).join(' & ');
+    return `${names}, ${ref.year}`;
+  }
+
+  // "17(12), 1161–1169"
+  function locator(ref) {
+    const volume = ref.volume ? `${ref.volume}${ref.issue ? `(${ref.issue})` : ''}` : '';
+    return [volume, ref.pages].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Author-date citation, as WORKFLOW.md formats references:
+   * "Abbasi, B. et al. (2012). Title. Journal, 17(12), 1161–1169."
+   */
+  function formatCitation(ref) {
+    const source = [ref.journal, locator(ref), ref.note].filter(Boolean).join(', ');
+    const title = /[.?!]$/.test(ref.title) ? ref.title : `${ref.title}.`;
+    return `${authorList(ref)} (${ref.year}). ${title} ${source}.`;
+  }
+
+  /**
+   * DOI and PubMed links of a reference, where known.
+   * @returns {Array} [{ label, url }]
+   */
+  function links(ref) {
+    return [
+      ref.doi ? { label: 'DOI', url: DOI_URL + ref.doi } : null,
+      ref.pmid ? { label: 'PubMed', url: `${PUBMED_URL}${ref.pmid}/` } : null
+    ].filter(Boolean);
+  }
+
+  /**
+   * Which findings cite each reference.
+   * @param {Array} findings - keyFindings entries
+   * @returns {Map} reference id → [finding index]
+   */
+  function citations(findings) {
+    const cited = new Map();
+    (findings || []).forEach((f, i) => {
+      if (!f.ref) return;
+      if (!cited.has(f.ref)) cited.set(f.ref, []);
+      cited.get(f.ref).push(i);
+    });
+    return cited;
+  }
+
+  // ──────────────────────────────
+  // EXPORT
+  // ──────────────────────────────
+
+  // "1161–1169" → { start: "1161", end: "1169" }
+  function pageRange(pages) {
+    const [start, end] = String(pages || '').split(/\s*[–-]\s*/);
+    return { start: start || '', end: end || '' };
+  }
+
+  function bibtexEscape(text) {
+    return String(text).replace(/([&%$#_])/g, '\\$1');
+  }
+
+  /**
+   * BibTeX entries, cited by reference id.
+   * @param {Array} references
+   * @returns {string}
+   */
+  function toBibTeX(references) {
+    return references.map(ref => {
+      const { start, end } = pageRange(ref.pages);
+      const fields = [
+        ['author', [...(ref.authors || []), ...(ref.etAl ? ['others'] : [])].join(' and ')],
+        // Double braces keep the title's capitalization
+        ['title', `{${bibtexEscape(ref.title)}}`],
+        ['journal', bibtexEscape(ref.journal)],
+        ['year', ref.year],
+        ['volume', ref.volume],
+        ['number', ref.issue],
+        ['pages', end ? `${start}--${end}` : start],
+        ['doi', ref.doi],
+        ['pmid', ref.pmid],
+        ['note', ref.note && bibtexEscape(ref.note)]
+      ].filter(([, value]) => value !== undefined && value !== '');
+      return `@article{${ref.id},\n${fields.map(([key, value]) => `  ${key} = {${value}}`).join(',\n')}\n}`;
+    }).join('\n\n') + '\n';
+  }
+
+  /**
+   * RIS records (one TY … ER block per reference), as read by Zotero,
+   * EndNote and Mendeley.
+   * @param {Array} references
+   * @returns {string}
+   */
+  function toRIS(references) {
+    const lines = [];
+    references.forEach(ref => {
+      const { start, end } = pageRange(ref.pages);
+      const tags = [
+        ['TY', 'JOUR'],
+        ...(ref.authors || []).map(a => ['AU', a]),
+        ['TI', ref.title],
+        ['T2', ref.journal],
+        ['PY', ref.year],
+        ['VL', ref.volume],
+        ['IS', ref.issue],
+        ['SP', start],
+        ['EP', end],
+        ['DO', ref.doi],
+        ['AN', ref.pmid],
+        ['N1', ref.note],
+        ['ID', ref.id]
+      ].filter(([, value]) => value !== undefined && value !== '');
+      tags.forEach(([tag, value]) => lines.push(`${tag}  - ${value}`));
+      lines.push('ER  - ', '');
+    });
+    return lines.join('\r\n');
+  }
+
+  const FORMATS = {
+    bibtex: { label: 'BibTeX', extension: 'bib', mime: 'application/x-bibtex', build: toBibTeX },
+    ris: { label: 'RIS', extension: 'ris', mime: 'application/x-research-info-systems', build: toRIS }
+  };
+
+  return {
+    FORMATS,
+    authorList,
+    shortCitation,
+    formatCitation,
+    links,
+    citations,
+    toBibTeX,
+    toRIS
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = References;
+}
@@ -11,21 +11,36 @@ const Render = (() => {
   // SHARED / UTILITY COMPONENTS
   // ──────────────────────────────
 
+  // "Score 45–58 across the study count ranges: borderline B/C"
+  function scoreRangeText(range) {
+    const scores = `Score ${range.low}–${range.high} across the study count ranges`;
+    return range.ambiguous ? `${scores}: borderline ${range.tiers.join('/')}` : `${scores} (tier ${range.tiers[0]} either way)`;
+  }
+
+  /**
+   * Tier and score. When the study counts are ranges that straddle a tier
+   * boundary, shows both tiers and the score interval ("B/C", "45–58").
+   */
   function evidenceBadge(evidence, size = 'normal') {
     const assessment = EvidenceScoring.assess(evidence);
+    const { range } = assessment;
     const sizeClass = size === 'small' ? 'badge--small' : '';
+    const borderline = range.ambiguous ? 'evidence-badge--borderline' : '';
+    const title = range.uncertain ? ` title="${scoreRangeText(range)}"` : '';
     return `
-      <div class="evidence-badge ${sizeClass}" style="--badge-color: ${assessment.color}; --badge-bg: ${assessment.bgColor}">
-        <span class="evidence-badge__tier">${assessment.tier}</span>
-        <span class="evidence-badge__score">${assessment.score}</span>
+      <div class="evidence-badge ${sizeClass} ${borderline}" style="--badge-color: ${assessment.color}; --badge-bg: ${assessment.bgColor}"${title}>
+        <span class="evidence-badge__tier">${range.ambiguous ? range.tiers.join('/') : assessment.tier}</span>
+        <span class="evidence-badge__score">${range.ambiguous ? `${range.low}–${range.high}` : assessment.score}</span>
       </div>
     `;
   }
 
   function evidenceBar(evidence) {
     const assessment = EvidenceScoring.assess(evidence);
+    const { range } = assessment;
     return `
       <div class="evidence-bar">
+        ${range.uncertain ? `<div class="evidence-bar__range" style="left: ${range.low}%; width: ${range.high - range.low}%"></div>` : ''}
         <div class="evidence-bar__fill" style="width: ${assessment.score}%; background: ${assessment.color}"></div>
       </div>
     `;
@@ -40,28 +55,29 @@ const Render = (() => {
           <div class="evidence-detail__meta">
             <h3 class="evidence-detail__label">${assessment.label}</h3>
             <p class="evidence-detail__description">${assessment.description}</p>
+            ${assessment.range.uncertain ? `<p class="evidence-detail__range">${scoreRangeText(assessment.range)}.</p>` : ''}
           </div>
         </div>
         ${evidenceBar(evidence)}
         <div class="evidence-detail__breakdown">
           <div class="evidence-stat">
-            <span class="evidence-stat__value">${assessment.breakdown.totalStudies.toLocaleString()}</span>
+            <span class="evidence-stat__value">${EvidenceScoring.formatCount(evidence.totalStudies)}</span>
             <span class="evidence-stat__label">Total Studies</span>
           </div>
           <div class="evidence-stat">
-            <span class="evidence-stat__value">${assessment.breakdown.humanStudies.toLocaleString()}</span>
+            <span class="evidence-stat__value">${EvidenceScoring.formatCount(evidence.humanStudies)}</span>
             <span class="evidence-stat__label">Human Studies</span>
           </div>
           <div class="evidence-stat">
-            <span class="evidence-stat__value">${assessment.breakdown.rcts.toLocaleString()}</span>
+            <span class="evidence-stat__value">${EvidenceScoring.formatCount(evidence.rcts)}</span>
             <span class="evidence-stat__label">RCTs</span>
           </div>
           <div class="evidence-stat">
-            <span class="evidence-stat__value">${assessment.breakdown.metaAnalyses}</span>
+            <span class="evidence-stat__value">${EvidenceScoring.formatCount(evidence.metaAnalyses)}</span>
             <span class="evidence-stat__label">Meta-Analyses</span>
           </div>
           <div class="evidence-stat">
-            <span class="evidence-stat__value">${assessment.breakdown.systematicReviews}</span>
+            <span class="evidence-stat__value">${EvidenceScoring.formatCount(evidence.systematicReviews)}</span>
             <span class="evidence-stat__label">Systematic Reviews</span>
           </div>
         </div>
@@ -69,6 +85,47 @@ const Render = (() => {
     `;
   }
 
+  // ──────────────────────────────
+  // CERTAINTY (GRADE)
+  // ──────────────────────────────
+
+  function certaintyBadge(level) {
+    return `<span class="certainty-badge certainty-badge--${level.id}" title="${level.description}"><span class="certainty-badge__symbol" aria-hidden="true">${level.symbol}</span> ${level.label}</span>`;
+  }
+
+  /**
+   * Certainty of a supplement's key findings (Certainty.summarize), shown
+   * next to — not inside — the evidence tier.
+   */
+  function certaintySummary(findings) {
+    const summary = Certainty.summarize(findings);
+    if (!summary) return '';
+    const breakdown = [...Certainty.LEVELS].reverse()
+      .filter(l => summary.counts[l.id] > 0)
+      .map(l => `${summary.counts[l.id]} ${l.label.toLowerCase()}`)
+      .join(', ');
+    return `
+      <div class="certainty-summary">
+        <span class="certainty-summary__label">Certainty of evidence</span>
+        ${certaintyBadge(summary.level)}
+        <p class="certainty-summary__detail">
+          Median of ${summary.rated} <a href="#key-findings">rated key finding${summary.rated !== 1 ? 's' : ''}</a> (${breakdown}).
+          Rated GRADE-style for how far the findings can be trusted — separate from the tier, which counts studies.
+        </p>
+      </div>
+    `;
+  }
+
+  // "Downgraded for risk of bias (serious), …" for a rated finding
+  function certaintyReasons(rating) {
+    const parts = [];
+    if (rating.start.id !== 'high') parts.push(`starts ${rating.start.label.toLowerCase()} (non-randomized design)`);
+    if (rating.downgrades.length > 0) {
+      parts.push(`downgraded for ${rating.downgrades.map(d => `${d.label.toLowerCase()} (${d.concern.replace('-', ' ')})`).join(', ')}`);
+    }
+    return parts.length > 0 ? parts.join('; ').replace(/^./, c => c.toUpperCase()) : 'No concerns in any domain';
+  }
+
   function categoryTag(categoryId, categories) {
     const cat = categories.find(c => c.id === categoryId);
     if (!cat) return '';
@@ -79,10 +136,10 @@ const Render = (() => {
   // HOME PAGE
   // ──────────────────────────────
 
-  function homePage(categories, supplements, stacks) {
+  function homePage(categories, supplements, stacks, facetState = SupplementFacets.DEFAULT_STATE) {
     const categoryCards = categories.map(cat => {
       const catSupplements = supplements.filter(s => s.categories.includes(cat.id));
-      const sortedByEvidence = EvidenceScoring.sortByEvidence(catSupplements);
+      const sortedByEvidence = EvidenceScoring.sortByEvidence(catSupplements, cat.id);
       const topSupplements = sortedByEvidence.slice(0, 3);
 
       return `
@@ -103,8 +160,8 @@ const Render = (() => {
 
     // Stats
     const totalSupplements = supplements.length;
-    const totalStudies = supplements.reduce((sum, s) => sum + (s.evidence.totalStudies || 0), 0);
-    const totalRCTs = supplements.reduce((sum, s) => sum + (s.evidence.rcts || 0), 0);
+    const totalStudies = supplements.reduce((sum, s) => sum + EvidenceScoring.count(s.evidence.totalStudies), 0);
+    const totalRCTs = supplements.reduce((sum, s) => sum + EvidenceScoring.count(s.evidence.rcts), 0);
 
     return `
       <section class="hero">
@@ -146,6 +203,8 @@ const Render = (() => {
 
       ${stacksSection(stacks)}
 
+      ${recentlyUpdatedSection(supplements, stacks)}
+
       <section class="section">
         <div class="container">
           <div class="builder-cta">
@@ -164,7 +223,7 @@ const Render = (() => {
             <h2 class="section__title">All Supplements — Ranked by Evidence</h2>
             <p class="section__subtitle">Every supplement in the encyclopedia, sorted by the strength of scientific evidence</p>
           </div>
-          ${supplementList(EvidenceScoring.sortByEvidence(supplements), categories)}
+          ${supplementBrowser(SupplementFacets.createIndex(supplements), categories, facetState)}
         </div>
       </section>
 
@@ -184,54 +243,167 @@ const Render = (() => {
   // SUPPLEMENT LIST COMPONENT
   // ──────────────────────────────
 
-  function supplementList(supplements, categories) {
+  /**
+   * @param {Array} supplements - In display order
+   * @param {Array} categories
+   * @param {Object} [options] - { emptyMessage, safety: Map<id, safety> to
+   *   show each row's interaction summary (SupplementFacets.safetyOf),
+   *   outcomes: Map<id, { evidence, outcome }> to show category-specific
+   *   evidence instead of the overall evidence }
+   */
+  function supplementList(supplements, categories, options = {}) {
     if (supplements.length === 0) {
-      return '<p class="empty-state">No supplements found in this category yet.</p>';
+      return `<p class="empty-state">${options.emptyMessage || 'No supplements found in this category yet.'}</p>`;
     }
 
     const rows = supplements.map((s, index) => {
-      const assessment = EvidenceScoring.assess(s.evidence);
+      const { evidence, outcome } = (options.outcomes && options.outcomes.get(s.id)) || { evidence: s.evidence, outcome: null };
+      const assessment = EvidenceScoring.assess(evidence);
       return `
-        <a href="supplement.html?id=${s.id}" class="supplement-row">
-          <div class="supplement-row__rank">${index + 1}</div>
-          <div class="supplement-row__badge">
-            ${evidenceBadge(s.evidence, 'small')}
-          </div>
-          <div class="supplement-row__info">
-            <h3 class="supplement-row__name">${s.name}</h3>
-            <p class="supplement-row__tagline">${s.tagline}</p>
-            <div class="supplement-row__categories">
-              ${s.categories.map(cid => {
-                const cat = categories.find(c => c.id === cid);
-                return cat ? `<span class="supplement-row__cat" style="--cat-color: ${cat.color}">${SI(cat.icon + ' ', '')}${cat.name}</span>` : '';
-              }).join('')}
+        <div class="supplement-row-item">
+          <a href="supplement.html?id=${s.id}" class="supplement-row">
+            <div class="supplement-row__rank">${index + 1}</div>
+            <div class="supplement-row__badge">
+              ${evidenceBadge(evidence, 'small')}
             </div>
-          </div>
-          <div class="supplement-row__evidence">
-            <div class="supplement-row__score-bar">
-              ${evidenceBar(s.evidence)}
+            <div class="supplement-row__info">
+              <h3 class="supplement-row__name">${s.name}</h3>
+              <p class="supplement-row__tagline">${s.tagline}</p>
+              ${outcome ? `<p class="supplement-row__outcome" title="Score and study counts for this outcome only">Outcome: ${outcome}</p>` : ''}
+              <div class="supplement-row__categories">
+                ${s.categories.map(cid => {
+                  const cat = categories.find(c => c.id === cid);
+                  return cat ? `<span class="supplement-row__cat" style="--cat-color: ${cat.color}">${SI(cat.icon + ' ', '')}${cat.name}</span>` : '';
+                }).join('')}
+              </div>
             </div>
-            <div class="supplement-row__stats">
-              <span>${assessment.breakdown.rcts} RCTs</span>
-              <span>${assessment.breakdown.metaAnalyses} Meta-analyses</span>
+            <div class="supplement-row__evidence">
+              <div class="supplement-row__score-bar">
+                ${evidenceBar(evidence)}
+              </div>
+              <div class="supplement-row__stats">
+                <span>${assessment.breakdown.rcts} RCTs</span>
+                <span>${assessment.breakdown.metaAnalyses} Meta-analyses</span>
+                ${options.safety ? `<span>${safetySummary(options.safety.get(s.id))}</span>` : ''}
+              </div>
             </div>
-          </div>
-        </a>
+          </a>
+          ${compareToggle(s.id)}
+        </div>
       `;
     }).join('');
 
     return `<div class="supplement-list">${rows}</div>`;
   }
 
+  function safetySummary(safety) {
+    const parts = ['severe', 'moderate', 'mild']
+      .filter(severity => safety.counts[severity] > 0)
+      .map(severity => `${safety.counts[severity]} ${severity}`);
+    return parts.length > 0 ? `Interactions: ${parts.join(', ')}` : 'No known interactions';
+  }
+
+  // ──────────────────────────────
+  // FACETED SUPPLEMENT LIST (home & category pages)
+  // ──────────────────────────────
+
+  const TOGGLE_FACETS = [
+    { key: 'severe', label: 'Severe interactions', options: [['', 'Any'], ['yes', 'Has severe'], ['no', 'None severe']] },
+    { key: 'rx', label: 'Prescription medication', options: [['', 'Any'], ['yes', 'Only'], ['no', 'Exclude']] }
+  ];
+
+  function facetChip(facet, value, label, active, color) {
+    const style = color ? ` style="--cat-color: ${color}"` : '';
+    return `<button type="button" class="facet-chip ${active ? 'facet-chip--active' : ''}" data-facet="${facet}" data-value="${value}" aria-pressed="${active}"${style}>${label}</button>`;
+  }
+
+  /**
+   * Sort buttons, facet controls and the filtered list. Controls carry
+   * data-sort / data-facet attributes for App to wire up.
+   *
+   * @param {Array} index - From SupplementFacets.createIndex(); built for
+   *   options.categoryId to rank by that category's outcome evidence
+   * @param {Array} categories
+   * @param {Object} state - SupplementFacets view state
+   * @param {Object} [options] - { categoryId } to list one category (its facet is hidden)
+   * @returns {string} HTML
+   */
+  function supplementBrowser(index, categories, state, options = {}) {
+    const scope = options.categoryId
+      ? index.filter(e => e.supplement.categories.includes(options.categoryId))
+      : index;
+    const results = SupplementFacets.apply(scope, state);
+    const filtered = SupplementFacets.hasFilters(state);
+    const safety = state.sort === 'safety' ? new Map(results.map(e => [e.supplement.id, e.safety])) : null;
+    const outcomes = options.categoryId ? new Map(results.map(e => [e.supplement.id, e])) : null;
+
+    const categoryFacet = options.categoryId ? '' : `
+      <div class="facet">
+        <span class="facet__label">Category</span>
+        <div class="facet__chips">
+          ${categories.map(c => facetChip('cat', c.id, `${SI(c.icon + ' ', '')}${c.name}`, state.categories.includes(c.id), c.color)).join('')}
+        </div>
+      </div>
+    `;
+
+    return `
+      <div class="supplement-browser" id="supplement-browser">
+        <div class="sort-controls">
+          <span class="sort-controls__label">Sort by:</span>
+          ${SupplementFacets.SORT_MODES.map(mode => `
+            <button class="sort-btn ${state.sort === mode.id ? 'sort-btn--active' : ''}" data-sort="${mode.id}">
+              ${SI(mode.icon + ' ', '')}${mode.label}
+            </button>
+          `).join('')}
+        </div>
+        <div class="facets">
+          <div class="facet">
+            <span class="facet__label">Tier</span>
+            <div class="facet__chips">
+              ${SupplementFacets.TIERS.map(t => facetChip('tier', t, t, state.tiers.includes(t))).join('')}
+            </div>
+          </div>
+          ${categoryFacet}
+          ${TOGGLE_FACETS.map(f => `
+            <label class="facet">
+              <span class="facet__label">${f.label}</span>
+              <select class="facet__select" data-facet="${f.key}">
+                ${f.options.map(([value, label]) => `<option value="${value}" ${state[f.key] === value ? 'selected' : ''}>${label}</option>`).join('')}
+              </select>
+            </label>
+          `).join('')}
+          <label class="facet">
+            <span class="facet__label">Recommended form</span>
+            <input type="search" class="facet__input" data-facet="form" value="${state.form.replace(/"/g, '&quot;')}"
+              placeholder="e.g. powder, liquid, glycinate" title="Shows supplements with a recommended form mentioning this text">
+          </label>
+        </div>
+        <div class="facets__summary">
+          <span>${filtered ? `${results.length} of ${scope.length}` : scope.length} supplement${scope.length !== 1 ? 's' : ''}</span>
+          ${filtered ? '<button type="button" class="facets__clear" data-facet-clear>Clear filters</button>' : ''}
+        </div>
+        ${supplementList(results.map(e => e.supplement), categories, {
+          safety,
+          outcomes,
+          emptyMessage: filtered ? 'No supplements match these filters.' : null
+        })}
+      </div>
+    `;
+  }
+
   // ──────────────────────────────
   // CATEGORY PAGE
   // ──────────────────────────────
 
-  function categoryPage(category, supplements, allCategories, sortMode = 'evidence') {
+  function categoryPage(category, supplements, allCategories, facetState = SupplementFacets.DEFAULT_STATE) {
     const catSupplements = supplements.filter(s => s.categories.includes(category.id));
-    const sorted = sortMode === 'alpha'
-      ? EvidenceScoring.sortAlphabetically(catSupplements)
-      : EvidenceScoring.sortByEvidence(catSupplements);
+    const withOutcome = catSupplements.filter(s => EvidenceScoring.categoryEvidence(s, category.id).specific).length;
+    const outcomeLabel = category.name.toLowerCase();
+    const rankingNote = withOutcome === 0
+      ? 'Ranked by overall evidence — no study counts for this outcome have been entered yet.'
+      : withOutcome < catSupplements.length
+        ? `Ranked by the evidence for each supplement's ${outcomeLabel} outcome where counted, otherwise by its overall evidence.`
+        : `Ranked by the evidence for each supplement's ${outcomeLabel} outcome, not its overall evidence.`;
 
     return `
       <section class="category-hero" style="--cat-color: ${category.color}">
@@ -245,21 +417,13 @@ const Render = (() => {
           <h1 class="category-hero__title">${category.name}</h1>
           <p class="category-hero__description">${category.description}</p>
           <div class="category-hero__count">${catSupplements.length} supplement${catSupplements.length !== 1 ? 's' : ''}</div>
+          <p class="category-hero__note">${rankingNote}</p>
         </div>
       </section>
 
       <section class="section">
         <div class="container">
-          <div class="sort-controls">
-            <span class="sort-controls__label">Sort by:</span>
-            <button class="sort-btn ${sortMode === 'evidence' ? 'sort-btn--active' : ''}" data-sort="evidence">
-              ${SI('🔬 ', '')}Evidence Strength
-            </button>
-            <button class="sort-btn ${sortMode === 'alpha' ? 'sort-btn--active' : ''}" data-sort="alpha">
-              ${SI('🔤 ', '')}Alphabetical
-            </button>
-          </div>
-          ${supplementList(sorted, allCategories)}
+          ${supplementBrowser(SupplementFacets.createIndex(supplements, category.id), allCategories, facetState, { categoryId: category.id })}
         </div>
       </section>
     `;
@@ -269,8 +433,9 @@ const Render = (() => {
   // SUPPLEMENT DETAIL PAGE
   // ──────────────────────────────
 
-  function supplementPage(supplement, allCategories) {
+  function supplementPage(supplement, allCategories, pairings, appearances = []) {
     const assessment = EvidenceScoring.assess(supplement.evidence);
+    const certainty = Certainty.summarize(supplement.keyFindings);
 
     return `
       <section class="supplement-hero">
@@ -288,9 +453,12 @@ const Render = (() => {
               <div class="supplement-hero__categories">
                 ${supplement.categories.map(cid => categoryTag(cid, allCategories)).join('')}
               </div>
+              ${reviewLine(supplement)}
             </div>
             <div class="supplement-hero__evidence">
               ${evidenceDetail(supplement.evidence)}
+              <a href="#why-score" class="evidence-detail__why">Why this score?</a>
+              ${certaintySummary(supplement.keyFindings)}
             </div>
           </div>
         </div>
@@ -307,12 +475,17 @@ const Render = (() => {
                 <li><a href="#forms" class="sidebar-nav__link">Forms & Variants</a></li>
                 <li><a href="#dosage" class="sidebar-nav__link">Dosage</a></li>
                 <li><a href="#benefits" class="sidebar-nav__link">Benefits</a></li>
+                ${(supplement.outcomes || []).length > 0 ? '<li><a href="#outcome-evidence" class="sidebar-nav__link">Evidence by Outcome</a></li>' : ''}
                 <li><a href="#side-effects" class="sidebar-nav__link">Side Effects</a></li>
                 <li><a href="#interactions" class="sidebar-nav__link">Interactions</a></li>
+                ${hasPairings(pairings) ? '<li><a href="#pairings" class="sidebar-nav__link">Pairs Well / Conflicts</a></li>' : ''}
+                ${appearances.length > 0 ? '<li><a href="#in-stacks" class="sidebar-nav__link">Appears in Stacks</a></li>' : ''}
                 <li><a href="#key-findings" class="sidebar-nav__link">Key Research Findings</a></li>
+                <li><a href="#why-score" class="sidebar-nav__link">Why This Score</a></li>
                 <li><a href="#safety" class="sidebar-nav__link">Safety Profile</a></li>
                 <li><a href="#populations" class="sidebar-nav__link">Population Notes</a></li>
                 <li><a href="#references" class="sidebar-nav__link">References</a></li>
+                ${(supplement.changelog || []).length > 0 ? '<li><a href="#changelog" class="sidebar-nav__link">Revision History</a></li>' : ''}
               </ul>
             </div>
 
@@ -326,6 +499,12 @@ const Render = (() => {
                 <span class="sidebar-quickfacts__label">Evidence Tier</span>
                 <span class="sidebar-quickfacts__value" style="color: ${assessment.color}">${assessment.tier} — ${assessment.label}</span>
               </div>
+              ${certainty ? `
+                <div class="sidebar-quickfacts__item">
+                  <span class="sidebar-quickfacts__label">Certainty</span>
+                  <span class="sidebar-quickfacts__value">${certainty.level.label}</span>
+                </div>
+              ` : ''}
               <div class="sidebar-quickfacts__item">
                 <span class="sidebar-quickfacts__label">RCTs</span>
                 <span class="sidebar-quickfacts__value">${assessment.breakdown.rcts}</span>
@@ -343,12 +522,17 @@ const Render = (() => {
             ${renderFormsSection(supplement.forms)}
             ${renderDosageSection(supplement.dosage)}
             ${renderListSection('benefits', 'Benefits', supplement.benefits)}
+            ${renderOutcomeEvidenceSection(supplement, allCategories)}
             ${renderListSection('side-effects', 'Side Effects', supplement.sideEffects)}
             ${renderInteractionsSection(supplement.interactions)}
-            ${renderKeyFindingsSection(supplement.keyFindings)}
+            ${renderPairingsSection(supplement, pairings)}
+            ${renderStackAppearancesSection(appearances)}
+            ${renderKeyFindingsSection(supplement.keyFindings, supplement.references)}
+            ${renderScoreExplainerSection(supplement.evidence)}
             ${renderSection('safety', 'Safety Profile', `<p>${supplement.safetyProfile}</p>`)}
             ${renderSection('populations', 'Population Notes', `<p>${supplement.populationNotes}</p>`)}
-            ${renderReferencesSection(supplement.references)}
+            ${renderReferencesSection(supplement.references, supplement.id, supplement.keyFindings)}
+            ${renderChangelogSection(supplement.changelog)}
           </main>
         </div>
       </div>
@@ -391,8 +575,31 @@ const Render = (() => {
     return renderSection('forms', 'Forms & Variants', `<div class="forms-grid">${formsHtml}</div>`);
   }
 
+  function renderDosageRegimen(regimen) {
+    if (!regimen) return '';
+    const parts = Dosage.describe(regimen);
+    const items = [
+      { label: 'Per Dose', value: parts.amount },
+      { label: 'Frequency', value: parts.frequency },
+      { label: 'When', value: parts.windows },
+      { label: 'Food', value: parts.food }
+    ].filter(item => item.value);
+
+    return `
+      <div class="dosage-regimen">
+        ${items.map(item => `
+          <div class="dosage-regimen__item">
+            <span class="dosage-regimen__label">${item.label}</span>
+            <span class="dosage-regimen__value">${item.value}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
   function renderDosageSection(dosage) {
     const html = `
+      ${renderDosageRegimen(dosage.regimen)}
       <div class="dosage-grid">
         <div class="dosage-item">
           <h4 class="dosage-item__label">Standard Dose</h4>
@@ -438,36 +645,430 @@ const Render = (() => {
     return renderSection('interactions', 'Interactions', `<div class="interactions-list">${html}</div>`);
   }
 
-  function renderKeyFindingsSection(findings) {
+  function hasPairings(pairings) {
+    return !!pairings && (pairings.synergies.length > 0 || pairings.conflicts.length > 0);
+  }
+
+  function partnerLink(supp) {
+    return `<a href="supplement.html?id=${supp.id}" class="pairing__partner">${supp.name}</a>`;
+  }
+
+  function addToBuilderLink(ids) {
+    const label = ids.length === 2 ? 'Add both to Stack Builder' : `Add all ${ids.length} to Stack Builder`;
+    return `<a href="builder.html?add=${ids.join(',')}" class="btn btn--sm btn--outline pairing__action">+ ${label}</a>`;
+  }
+
+  /**
+   * "Pairs well with / Conflicts with" — synergies from synergies.json and
+   * interaction partners from the interaction graph, linked to their pages.
+   * @param {Object} supplement
+   * @param {Object} pairings - { synergies: [{ synergy, partners }], conflicts: [{ partner, edge }] }
+   */
+  function renderPairingsSection(supplement, pairings) {
+    if (!hasPairings(pairings)) return '';
+
+    const strengthColors = {
+      strong: '#4CAF50',
+      moderate: '#FF9800'
+    };
+
+    const synergyCards = pairings.synergies.map(({ synergy, partners }) => `
+      <div class="pairing pairing--synergy" style="--synergy-color: ${strengthColors[synergy.strength] || '#8B949E'}">
+        <div class="pairing__header">
+          <div class="pairing__partners">${partners.map(partnerLink).join('<span class="synergy-card__connector">+</span>')}</div>
+          <div class="pairing__badges">
+            <span class="synergy-card__strength">${synergy.strength}</span>
+            <span class="synergy-card__evidence">${synergy.evidenceLevel} evidence</span>
+          </div>
+        </div>
+        <p class="pairing__name">${synergy.name} · ${synergy.type.replace(/-/g, ' ')}</p>
+        <p class="synergy-card__mechanism"><strong>Mechanism:</strong> ${synergy.mechanism}</p>
+        ${addToBuilderLink([supplement.id, ...partners.map(p => p.id)])}
+      </div>
+    `).join('');
+
+    const conflictCards = pairings.conflicts.map(({ partner, edge }) => {
+      const severityLabel = edge.severity.charAt(0).toUpperCase() + edge.severity.slice(1);
+      // Both entries may describe the pair; label each note by its source when they do
+      const effects = edge.notes.map(n => {
+        const source = n.from === supplement.id ? supplement.name : partner.name;
+        const repeated = edge.notes.filter(o => o.from === n.from).length > 1;
+        const label = edge.notes.length > 1 ? `<strong>${repeated ? `${source} — ${n.substance}` : source}:</strong> ` : '';
+        return `<p class="interaction__effect">${label}${n.effect}</p>`;
+      }).join('');
+      return `
+        <div class="interaction interaction--${edge.severity} pairing">
+          <div class="interaction__header">
+            <h4 class="interaction__substance">${partnerLink(partner)}</h4>
+            <span class="interaction__severity">${severityLabel}</span>
+          </div>
+          ${effects}
+          ${addToBuilderLink([supplement.id, partner.id])}
+        </div>
+      `;
+    }).join('');
+
+    const html = `
+      ${synergyCards ? `<h3 class="pairings__heading">Pairs well with</h3><div class="pairings-list">${synergyCards}</div>` : ''}
+      ${conflictCards ? `<h3 class="pairings__heading">Conflicts with</h3><div class="pairings-list">${conflictCards}</div>` : ''}
+    `;
+    return renderSection('pairings', 'Pairs Well With / Conflicts With', html);
+  }
+
+  /**
+   * Curated stacks that use this supplement, one row per stack item,
+   * deep-linked to the timing block on the stack page.
+   * @param {Array} appearances - [{ stack, uses: [{ block, item }] }]
+   */
+  function renderStackAppearancesSection(appearances) {
+    if (!appearances || appearances.length === 0) return '';
+
+    const html = appearances.map(({ stack, uses }) => `
+      <div class="stack-appearance">
+        <h4 class="stack-appearance__stack"><a href="stack.html?id=${stack.id}">${stack.name}</a></h4>
+        <ul class="stack-appearance__uses">
+          ${uses.map(({ block, item }) => `
+            <li class="stack-appearance__use">
+              <a href="stack.html?id=${stack.id}#block-${block.id}" class="stack-appearance__block">${block.name}</a>
+              <span class="stack-item__dose">${item.dose}</span>
+              <p class="stack-appearance__role">${item.role}</p>
+            </li>
+          `).join('')}
+        </ul>
+      </div>
+    `).join('');
+
+    return renderSection('in-stacks', 'Appears in Stacks', html);
+  }
+
+  // Effect size, sample size and design of a finding, where recorded
+  function findingStats(f) {
+    const stats = [
+      f.outcome && f.effect ? `${f.outcome}: ${EffectSizes.formatEffect(f.effect)}` : '',
+      f.n ? `n=${f.n.toLocaleString()}` : '',
+      f.design ? EffectSizes.designLabel(f.design) : ''
+    ].filter(Boolean);
+    return stats.length > 0 ? `<p class="finding__stats">${stats.join(' · ')}</p>` : '';
+  }
+
+  // Rated findings are headed by their certainty; the older quality flag
+  // is only shown for findings without a rating
+  function findingHeader(f, rating) {
+    if (rating) {
+      return `<div class="finding__quality" title="${rating.level.description}">${rating.level.symbol} ${rating.level.label} certainty</div>`;
+    }
+    return `<div class="finding__quality">${f.quality === 'high' ? SI('⬆ High Quality', 'HIGH QUALITY') : SI('◆ Moderate Quality', 'MODERATE QUALITY')}</div>`;
+  }
+
+  // "[2]" linking a finding to its entry in the references list
+  function findingRef(f, references) {
+    const index = (references || []).findIndex(r => r.id === f.ref);
+    if (index < 0) return '';
+    return ` <a href="#ref-${f.ref}" class="finding__ref" title="${References.formatCitation(references[index]).replace(/"/g, '&quot;')}">[${index + 1}]</a>`;
+  }
+
+  function renderKeyFindingsSection(findings, references) {
     if (!findings || findings.length === 0) return '';
-    const html = findings.map(f => {
-      const qualityClass = `finding--${f.quality}`;
+    const html = findings.map((f, i) => {
+      const rating = Certainty.rate(f);
+      const qualityClass = `finding--${rating ? rating.level.id : f.quality}`;
       return `
-        <div class="finding ${qualityClass}">
-          <div class="finding__quality">${f.quality === 'high' ? SI('⬆ High Quality', 'HIGH QUALITY') : SI('◆ Moderate Quality', 'MODERATE QUALITY')}</div>
+        <div class="finding ${qualityClass}" id="finding-${i + 1}">
+          ${findingHeader(f, rating)}
           <p class="finding__text">"${f.finding}"</p>
-          <cite class="finding__source">${f.source}</cite>
+          <cite class="finding__source">${f.source}${findingRef(f, references)}</cite>
+          ${findingStats(f)}
+          ${rating ? `<p class="finding__certainty">${certaintyReasons(rating)}</p>` : ''}
         </div>
       `;
     }).join('');
-    return renderSection('key-findings', 'Key Research Findings', `<div class="findings-list">${html}</div>`);
+
+    const plots = EffectSizes.forestGroups(findings).map(forestPlot).join('');
+    const forest = plots ? `
+      <div class="forest-plots">
+        <h3 class="forest-plots__title">Effect Sizes</h3>
+        <p class="forest-plots__note">Each row is one finding: the square is the estimate (sized by participants), the line its 95% confidence interval. Intervals that cross the dashed line are compatible with no effect.</p>
+        ${plots}
+      </div>
+    ` : '';
+
+    return renderSection('key-findings', 'Key Research Findings', `<div class="findings-list">${html}</div>${forest}`);
+  }
+
+  const FOREST = { width: 560, rowHeight: 26, labelWidth: 200, valueWidth: 130, padTop: 6, axisHeight: 30 };
+
+  /**
+   * Forest plot for one outcome (EffectSizes.forestGroups).
+   */
+  function forestPlot(group) {
+    const { width, rowHeight, labelWidth, valueWidth, padTop, axisHeight } = FOREST;
+    const axis = EffectSizes.forestAxis(group.rows, group.type);
+    const plotWidth = width - labelWidth - valueWidth;
+    const height = padTop + group.rows.length * rowHeight + axisHeight;
+    const x = value => (labelWidth + axis.position(value) * plotWidth).toFixed(1);
+    const plotBottom = padTop + group.rows.length * rowHeight;
+    const maxN = Math.max(...group.rows.map(f => f.n || 0));
+
+    const rows = group.rows.map((f, i) => {
+      const y = padTop + i * rowHeight + rowHeight / 2;
+      const [low, high] = f.effect.ci;
+      // Marker area grows with n; findings without n get the smallest marker
+      const size = 4 + (maxN > 0 && f.n ? 6 * Math.sqrt(f.n / maxN) : 0);
+      const label = `${f.source.split(' — ')[0]}${f.n ? ` · n=${f.n.toLocaleString()}` : ''}`;
+      return `
+        <g class="forest-plot__row">
+          <title>${EffectSizes.formatEffect(f.effect)} — ${f.source}</title>
+          <text class="forest-plot__label" x="0" y="${y + 4}">${label}</text>
+          <line class="forest-plot__ci" x1="${x(low)}" x2="${x(high)}" y1="${y}" y2="${y}"></line>
+          <rect class="forest-plot__point" x="${(x(f.effect.value) - size / 2).toFixed(1)}" y="${(y - size / 2).toFixed(1)}" width="${size.toFixed(1)}" height="${size.toFixed(1)}"></rect>
+          <text class="forest-plot__value" x="${width}" y="${y + 4}" text-anchor="end">${EffectSizes.formatNumber(f.effect.value)} [${EffectSizes.formatNumber(low)}, ${EffectSizes.formatNumber(high)}]</text>
+        </g>
+      `;
+    }).join('');
+
+    const ticks = axis.ticks.map(t => `
+      <line class="forest-plot__tick" x1="${x(t)}" x2="${x(t)}" y1="${plotBottom}" y2="${plotBottom + 4}"></line>
+      <text class="forest-plot__axis" x="${x(t)}" y="${plotBottom + 15}" text-anchor="middle">${EffectSizes.formatNumber(t)}</text>
+    `).join('');
+    const type = EffectSizes.EFFECT_TYPES.find(t => t.id === group.type);
+
+    return `
+      <figure class="forest-plot">
+        <figcaption class="forest-plot__title">${group.outcome} <span class="forest-plot__type">${type ? type.label : group.type}${group.unit ? ` (${group.unit})` : ''}${axis.log ? ', log scale' : ''}</span></figcaption>
+        <svg class="forest-plot__svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Forest plot: ${group.outcome}">
+          <line class="forest-plot__null" x1="${x(EffectSizes.nullValue(group.type))}" x2="${x(EffectSizes.nullValue(group.type))}" y1="${padTop}" y2="${plotBottom}"></line>
+          <line class="forest-plot__baseline" x1="${labelWidth}" x2="${labelWidth + plotWidth}" y1="${plotBottom}" y2="${plotBottom}"></line>
+          ${ticks}
+          <text class="forest-plot__axis" x="${x(EffectSizes.nullValue(group.type))}" y="${plotBottom + 27}" text-anchor="middle">no effect</text>
+          ${rows}
+        </svg>
+      </figure>
+    `;
+  }
+
+  // Download links for the whole list, one per export format
+  function referenceDownloads(references, name) {
+    const links = Object.values(References.FORMATS).map(format => {
+      const href = `data:${format.mime};charset=utf-8,${encodeURIComponent(format.build(references))}`;
+      return `<a class="btn btn--sm references-export__link" href="${href}" download="${name}.${format.extension}">${format.label}</a>`;
+    }).join('');
+    return `<div class="references-export"><span class="references-export__label">Download citations</span>${links}</div>`;
   }
 
-  function renderReferencesSection(references) {
+  /**
+   * Numbered references, each with DOI/PubMed links and backlinks to the
+   * key findings citing it.
+   * @param {Array} references - Structured references (js/references.js)
+   * @param {string} name - Base name of the downloaded citation files
+   * @param {Array} [findings] - keyFindings entries, for backlinks
+   */
+  function renderReferencesSection(references, name, findings) {
     if (!references || references.length === 0) return '';
+    const cited = References.citations(findings);
+    const items = references.map(ref => {
+      const links = References.links(ref)
+        .map(link => `<a class="references-list__link" href="${link.url}" target="_blank" rel="noopener">${link.label}</a>`)
+        .join('');
+      const backlinks = (cited.get(ref.id) || [])
+        .map(i => `<a class="references-list__backlink" href="#finding-${i + 1}" title="Key finding ${i + 1}">↑ Finding ${i + 1}</a>`)
+        .join('');
+      return `
+        <li class="references-list__item" id="ref-${ref.id}">
+          ${References.formatCitation(ref)}
+          ${links || backlinks ? `<span class="references-list__links">${links}${backlinks}</span>` : ''}
+        </li>
+      `;
+    }).join('');
     const html = `
-      <ol class="references-list">
-        ${references.map(ref => `<li class="references-list__item">${ref}</li>`).join('')}
-      </ol>
+      ${referenceDownloads(references, `${name}-references`)}
+      <ol class="references-list">${items}</ol>
     `;
     return renderSection('references', 'References', html);
   }
 
+  // ──────────────────────────────
+  // EVIDENCE BY OUTCOME (supplement page)
+  // ──────────────────────────────
+
+  const OUTCOME_COLUMNS = [
+    ['metaAnalyses', 'Meta-analyses'],
+    ['systematicReviews', 'Reviews'],
+    ['rcts', 'RCTs'],
+    ['humanStudies', 'Human'],
+    ['totalStudies', 'Total']
+  ];
+
+  function outcomeEvidenceRow(label, evidence, className = '') {
+    return `
+      <tr class="${className}">
+        <th scope="row">${label}</th>
+        <td>${evidenceBadge(evidence, 'small')}</td>
+        ${OUTCOME_COLUMNS.map(([key]) => `<td>${EvidenceScoring.formatCount(evidence[key])}</td>`).join('')}
+      </tr>
+    `;
+  }
+
+  /**
+   * One row per outcome (supplement.outcomes), best evidenced first, with
+   * the overall evidence as the last row for comparison.
+   */
+  function renderOutcomeEvidenceSection(supplement, allCategories) {
+    const outcomes = supplement.outcomes || [];
+    if (outcomes.length === 0) return '';
+
+    const rows = [...outcomes]
+      .sort((a, b) => EvidenceScoring.calculateScore(b.evidence) - EvidenceScoring.calculateScore(a.evidence))
+      .map(o => outcomeEvidenceRow(`
+        ${categoryTag(o.category, allCategories)}
+        <span class="outcome-table__outcome">${o.outcome}</span>
+      `, o.evidence))
+      .join('');
+
+    const html = `
+      <p>Study counts and scores for each outcome on its own. A supplement is ranked on a category page by the evidence for that outcome, not by its overall evidence.</p>
+      <div class="outcome-table__scroll">
+        <table class="outcome-table">
+          <thead>
+            <tr><th>Outcome</th><th>Score</th>${OUTCOME_COLUMNS.map(([, label]) => `<th>${label}</th>`).join('')}</tr>
+          </thead>
+          <tbody>
+            ${rows}
+            ${outcomeEvidenceRow('All outcomes (overall)', supplement.evidence, 'outcome-table__overall')}
+          </tbody>
+        </table>
+      </div>
+    `;
+    return renderSection('outcome-evidence', 'Evidence by Outcome', html);
+  }
+
+  // ──────────────────────────────
+  // WHY THIS SCORE (supplement page)
+  // ──────────────────────────────
+
+  const CURVE = { width: 320, height: 140, padLeft: 28, padBottom: 18, padTop: 6 };
+
+  /**
+   * The normalization curve (score against raw value) with tier lines,
+   * the current score and, if different, the projected one.
+   */
+  function scoreCurve(raw, projectedRaw) {
+    const { width, height, padLeft, padBottom, padTop } = CURVE;
+    const xMax = Math.max(EvidenceScoring.rawForScore(97), raw, projectedRaw) * 1.05;
+    const scoreAt = r => 100 * (1 - Math.exp(-r / EvidenceScoring.getProfile().normFactor));
+    const x = r => padLeft + (r / xMax) * (width - padLeft - 4);
+    const y = score => padTop + (1 - score / 100) * (height - padTop - padBottom);
+
+    const points = Array.from({ length: 61 }, (_, i) => {
+      const r = (xMax * i) / 60;
+      return `${x(r).toFixed(1)},${y(scoreAt(r)).toFixed(1)}`;
+    }).join(' ');
+
+    const tierLines = Object.entries(EvidenceScoring.TIER_MIN_SCORES)
+      .filter(([, min]) => min > 0)
+      .map(([tier, min]) => `
+        <line class="score-curve__tier-line" x1="${padLeft}" x2="${width - 4}" y1="${y(min)}" y2="${y(min)}"></line>
+        <text class="score-curve__tier-label" x="${padLeft - 4}" y="${y(min) + 3}" text-anchor="end">${tier} ${min}</text>
+      `).join('');
+
+    const dot = (r, cls, label) => `
+      <circle class="score-curve__dot ${cls}" cx="${x(r).toFixed(1)}" cy="${y(scoreAt(r)).toFixed(1)}" r="4"><title>${label}</title></circle>
+    `;
+
+    return `
+      <svg class="score-curve" viewBox="0 0 ${width} ${height}" role="img" aria-label="Score curve: ${Math.round(scoreAt(raw))} now${projectedRaw !== raw ? `, ${Math.round(scoreAt(projectedRaw))} projected` : ''}">
+        ${tierLines}
+        <polyline class="score-curve__line" points="${points}"></polyline>
+        <text class="score-curve__axis" x="${width - 4}" y="${height - 4}" text-anchor="end">weighted evidence →</text>
+        ${projectedRaw !== raw ? dot(projectedRaw, 'score-curve__dot--projected', 'Projected') : ''}
+        ${dot(raw, 'score-curve__dot--current', 'Current')}
+      </svg>
+    `;
+  }
+
+  /**
+   * Projected score for the evidence plus `extra` studies, with the curve.
+   * Re-rendered by App as the what-if inputs change.
+   * @param {Object} evidence
+   * @param {Object} extra - { metaAnalyses: 5, … }
+   */
+  function scoreProjection(evidence, extra) {
+    const current = EvidenceScoring.assess(evidence);
+    const projectedEvidence = EvidenceScoring.project(evidence, extra);
+    const projectedScore = EvidenceScoring.calculateScore(projectedEvidence);
+    const projected = EvidenceScoring.getTier(projectedScore);
+    const changed = Object.values(extra).some(n => n > 0);
+
+    const summary = changed ? `
+      <p class="score-projection__result">
+        Projected score <strong style="color: ${projected.color}">${projectedScore} (${projected.tier} — ${projected.label})</strong>,
+        ${projectedScore > current.score ? `up ${projectedScore - current.score}` : 'no change'} from ${current.score} (${current.tier}).
+        ${projected.tier !== current.tier ? `<span class="score-projection__tier-change">New tier: ${projected.tier}</span>` : ''}
+      </p>
+    ` : '<p class="score-projection__result">Add studies above to see the projected score.</p>';
+
+    return `
+      ${summary}
+      ${scoreCurve(EvidenceScoring.rawScore(evidence), EvidenceScoring.rawScore(projectedEvidence))}
+    `;
+  }
+
+  function renderScoreExplainerSection(evidence) {
+    const { raw, score, parts } = EvidenceScoring.explain(evidence);
+    const profile = EvidenceScoring.getProfile();
+    const next = EvidenceScoring.nextTier(evidence);
+
+    const rows = parts.map(p => `
+      <tr>
+        <th scope="row">${WEIGHT_LABELS[p.key]}</th>
+        <td>${p.count.toLocaleString()}</td>
+        <td>× ${p.weight}</td>
+        <td>${Math.round(p.points).toLocaleString()}</td>
+        <td class="score-explainer__share">
+          <div class="score-explainer__share-bar"><div style="width: ${(p.share * 100).toFixed(1)}%"></div></div>
+          <span>${Math.round(p.share * 100)}%</span>
+        </td>
+      </tr>
+    `).join('');
+
+    const nextText = next
+      ? `To reach <strong>${next.tier}</strong> (score ${next.minScore}) it would take any one of: ${Object.entries(next.studiesNeeded)
+          .filter(([, n]) => n !== null)
+          .map(([key, n]) => `${n.toLocaleString()} more ${WEIGHT_LABELS[key].replace(/^[A-Z][a-z]/, m => m.toLowerCase())}`)
+          .join(', ')}.`
+      : 'Already in the top tier (S).';
+
+    const html = `
+      <p>The score weighs each study type (${profile.name} profile), adds the points up to a raw value of <strong>${Math.round(raw).toLocaleString()}</strong> and maps that onto a 0–100 curve with diminishing returns: score = 100 × (1 − e<sup>−raw / ${profile.normFactor}</sup>) = <strong>${score}</strong>.</p>
+      <table class="score-explainer__table">
+        <thead>
+          <tr><th>Study type</th><th>Count</th><th>Weight</th><th>Points</th><th>Share</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="score-explainer__next">${nextText}</p>
+      <div class="score-whatif">
+        <h4 class="score-whatif__title">What if there were more studies?</h4>
+        <div class="score-whatif__inputs">
+          ${Object.keys(WEIGHT_LABELS).map(key => `
+            <label class="score-whatif__input">
+              <span>+ ${WEIGHT_LABELS[key]}</span>
+              <input type="number" min="0" step="1" value="0" data-whatif="${key}">
+            </label>
+          `).join('')}
+        </div>
+        <p class="score-whatif__note">Added RCTs also count as human studies.</p>
+        <div id="score-projection" class="score-projection">${scoreProjection(evidence, {})}</div>
+      </div>
+    `;
+    return renderSection('why-score', 'Why This Score', html);
+  }
+
   // ──────────────────────────────
   // EVIDENCE TIER EXPLAINER
   // ──────────────────────────────
 
   function evidenceTierExplainer() {
+    const profile = EvidenceScoring.getProfile();
     const tiers = [
       { tier: 'S', score: '90–100', label: 'Gold Standard', color: '#FFD700', desc: 'Extensively studied with scientific consensus. Supported by numerous meta-analyses and hundreds of RCTs.' },
       { tier: 'A', score: '70–89', label: 'Strong Evidence', color: '#4CAF50', desc: 'Robust clinical evidence from multiple high-quality trials. Well-established in the research literature.' },
@@ -493,11 +1094,83 @@ const Render = (() => {
         <div class="tier-explainer__methodology">
           <h4>Scoring Methodology</h4>
           <p>Evidence scores are calculated using a weighted composite of study quantity and quality. Meta-analyses carry the highest weight, followed by systematic reviews and randomized controlled trials (RCTs). The scoring uses a sigmoid normalization curve, providing natural diminishing returns — meaning the difference between 10 and 20 RCTs matters more than the difference between 200 and 210. This ensures meaningful differentiation across the entire evidence spectrum.</p>
+          ${profile.id !== 'default' ? `<p>Scores on this page use the <strong>${profile.name}</strong> scoring profile — change it from the navbar.</p>` : ''}
         </div>
       </div>
     `;
   }
 
+  // ──────────────────────────────
+  // SCORING PROFILE PANEL (navbar)
+  // ──────────────────────────────
+
+  const WEIGHT_LABELS = {
+    metaAnalyses: 'Meta-analyses',
+    systematicReviews: 'Systematic reviews',
+    rcts: 'RCTs',
+    humanStudies: 'Human studies'
+  };
+
+  function scoringSlider(label, attr, value, limits, step) {
+    return `
+      <label class="scoring-slider">
+        <span class="scoring-slider__label">${label}</span>
+        <input type="range" ${attr} min="${limits.min}" max="${limits.max}" step="${step}" value="${value}">
+        <output class="scoring-slider__value">${value}</output>
+      </label>
+    `;
+  }
+
+  /**
+   * Tier changes under the active profile, relative to the default one.
+   * @param {Array} changes - From EvidenceScoring.tierChanges()
+   * @param {number} total - Number of supplements scored
+   */
+  function scoringChanges(changes, total) {
+    if (EvidenceScoring.getProfile().id === 'default') {
+      return '<p class="scoring-changes__summary">Default profile — tiers as published.</p>';
+    }
+    return `
+      <p class="scoring-changes__summary"><strong>${changes.length}</strong> of ${total} supplement${total !== 1 ? 's' : ''} change tier vs. Default</p>
+      ${changes.length > 0 ? `
+        <ul class="scoring-changes__list">
+          ${changes.map(c => `<li>${c.supplement.name}: ${c.from} → ${c.to}</li>`).join('')}
+        </ul>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Profile picker with custom-weight sliders. Sliders carry
+   * data-weight / data-norm attributes for App to wire up.
+   * @param {Object} custom - The custom profile (EvidenceScoring.customProfile)
+   * @param {string} changesHtml - From scoringChanges(), or '' while data loads
+   */
+  function scoringPanel(custom, changesHtml = '') {
+    const active = EvidenceScoring.getProfile();
+    const limits = EvidenceScoring.CUSTOM_LIMITS;
+    const profiles = [...EvidenceScoring.PROFILES, custom];
+
+    return `
+      <h4 class="scoring-panel__title">Evidence scoring profile</h4>
+      <div class="scoring-panel__profiles">
+        ${profiles.map(p => `
+          <label class="scoring-profile ${p.id === active.id ? 'scoring-profile--active' : ''}">
+            <input type="radio" name="scoring-profile" value="${p.id}" ${p.id === active.id ? 'checked' : ''}>
+            <span class="scoring-profile__name">${p.name}</span>
+            <span class="scoring-profile__desc">${p.description}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="scoring-panel__custom" ${active.id === 'custom' ? '' : 'hidden'}>
+        ${Object.keys(WEIGHT_LABELS).map(key =>
+          scoringSlider(`${WEIGHT_LABELS[key]} (points each)`, `data-weight="${key}"`, custom.weights[key], limits.weights, 0.1)).join('')}
+        ${scoringSlider('Normalization (higher = stricter)', 'data-norm', custom.normFactor, limits.normFactor, 10)}
+      </div>
+      <div class="scoring-panel__changes">${changesHtml}</div>
+    `;
+  }
+
   // ──────────────────────────────
   // STACK CARD (for home page)
   // ──────────────────────────────
@@ -553,13 +1226,78 @@ const Render = (() => {
     `;
   }
 
+  const RECENT_CHANGES_LIMIT = 6;
+
+  /**
+   * Newest changelog entries across supplements and stacks, plus how many
+   * entries are due for review.
+   */
+  function recentlyUpdatedSection(supplements, stacks) {
+    const changes = Freshness.recentChanges(supplements, stacks, RECENT_CHANGES_LIMIT);
+    const due = [...supplements, ...stacks].filter(e => Freshness.reviewStatus(e).stale).length;
+    if (changes.length === 0 && due === 0) return '';
+
+    const items = changes.map(change => `
+      <li class="recent-changes__item">
+        <time class="recent-changes__date" datetime="${change.date}">${Freshness.formatDate(change.date)}</time>
+        <a href="${change.url}" class="recent-changes__name">${change.entry.name}</a>
+        ${change.kind === 'stack' ? '<span class="recent-changes__kind">Stack</span>' : ''}
+        <span class="recent-changes__summary">${change.summary}</span>
+      </li>
+    `).join('');
+
+    return `
+      <section class="section">
+        <div class="container">
+          <div class="section__header">
+            <h2 class="section__title">Recently Updated</h2>
+            <p class="section__subtitle">The latest changes to monographs and stacks — <a href="feed.xml">subscribe via Atom</a></p>
+          </div>
+          ${changes.length > 0 ? `<ol class="recent-changes">${items}</ol>` : '<p class="recent-changes__due">No changes recorded yet.</p>'}
+          ${due > 0 ? `<p class="recent-changes__due">${due} entr${due !== 1 ? 'ies are' : 'y is'} due for review (not reviewed in the last ${Freshness.STALE_AFTER_DAYS} days).</p>` : ''}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * "Reviewed on 19 Oct 2026" for a page hero, flagged when the entry is
+   * due for review.
+   */
+  function reviewLine(entry) {
+    const status = Freshness.reviewStatus(entry);
+    if (!status.date) {
+      return '<p class="review-date review-date--stale">Review date unknown — this entry is due for review</p>';
+    }
+    const date = `<time datetime="${status.date}">${Freshness.formatDate(status.date)}</time>`;
+    if (!status.stale) return `<p class="review-date">Reviewed on ${date}</p>`;
+    return `<p class="review-date review-date--stale" title="Entries are re-checked against the literature every ${Freshness.STALE_AFTER_DAYS} days">Reviewed on ${date} — due for review, may be out of date</p>`;
+  }
+
+  function renderChangelogSection(changelog) {
+    if (!changelog || changelog.length === 0) return '';
+    const html = `
+      <ol class="changelog">
+        ${changelog.map(change => `
+          <li class="changelog__item">
+            <time class="changelog__date" datetime="${change.date}">${Freshness.formatDate(change.date)}</time>
+            <span class="changelog__summary">${change.summary}</span>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+    return renderSection('changelog', 'Revision History', html);
+  }
+
   // ──────────────────────────────
   // STACK DETAIL PAGE
   // ──────────────────────────────
 
-  function stackPage(stack, supplements, categories) {
+  function stackPage(stack, supplements, categories, synergies = []) {
     const tierInfo = EvidenceScoring.getTier(stack.evidenceAssessment.overallScore);
     const totalItems = stack.blocks.reduce((sum, b) => sum + b.items.length, 0);
+    // stack.synergies holds ids into data/synergies.json
+    const stackSynergies = stack.synergies.map(id => synergies.find(s => s.id === id)).filter(Boolean);
 
     return `
       <section class="stack-hero">
@@ -578,8 +1316,9 @@ const Render = (() => {
               <div class="stack-hero__stats">
                 <span class="stack-hero__stat">${SI('📦 ', '')}${stack.blocks.length} Timing Blocks</span>
                 <span class="stack-hero__stat">${SI('💊 ', '')}${totalItems} Supplements</span>
-                <span class="stack-hero__stat">${SI('🔗 ', '')}${stack.synergies.length} Synergies</span>
+                <span class="stack-hero__stat">${SI('🔗 ', '')}${stackSynergies.length} Synergies</span>
               </div>
+              ${reviewLine(stack)}
             </div>
             <div class="stack-hero__evidence">
               <div class="evidence-badge" style="--badge-color: ${tierInfo.color}; --badge-bg: ${tierInfo.bgColor}">
@@ -609,6 +1348,7 @@ const Render = (() => {
                 <li><a href="#evidence" class="sidebar-nav__link">Evidence Assessment</a></li>
                 <li><a href="#warnings" class="sidebar-nav__link">Warnings</a></li>
                 <li><a href="#references" class="sidebar-nav__link">References</a></li>
+                ${(stack.changelog || []).length > 0 ? '<li><a href="#changelog" class="sidebar-nav__link">Revision History</a></li>' : ''}
               </ul>
             </div>
 
@@ -624,7 +1364,7 @@ const Render = (() => {
               </div>
               <div class="sidebar-quickfacts__item">
                 <span class="sidebar-quickfacts__label">Synergies</span>
-                <span class="sidebar-quickfacts__value">${stack.synergies.length} identified</span>
+                <span class="sidebar-quickfacts__value">${stackSynergies.length} identified</span>
               </div>
               ${stack.costEstimate ? `
               <div class="sidebar-quickfacts__item">
@@ -643,11 +1383,12 @@ const Render = (() => {
 
             ${renderStackTimeline(stack.blocks, supplements)}
             ${renderStackBlocks(stack.blocks, supplements)}
-            ${renderSynergiesSection(stack.synergies)}
+            ${renderSynergiesSection(stackSynergies, supplements)}
             ${renderCategoryPotency(stack.categoryPotency, categories)}
             ${renderEvidenceAssessment(stack.evidenceAssessment)}
             ${renderStackWarnings(stack.warnings)}
-            ${renderReferencesSection(stack.references)}
+            ${renderReferencesSection(stack.references, stack.id)}
+            ${renderChangelogSection(stack.changelog)}
           </main>
         </div>
       </div>
@@ -719,9 +1460,14 @@ const Render = (() => {
     }).join('');
   }
 
-  function renderSynergiesSection(synergies) {
+  function renderSynergiesSection(synergies, supplements) {
     if (!synergies || synergies.length === 0) return '';
 
+    const nameOf = id => {
+      const supp = supplements.find(s => s.id === id);
+      return supp ? supp.name.split(' (')[0] : id;
+    };
+
     const strengthColors = {
       strong: '#4CAF50',
       moderate: '#FF9800',
@@ -734,7 +1480,7 @@ const Render = (() => {
         <div class="synergy-card" style="--synergy-color: ${color}">
           <div class="synergy-card__header">
             <div class="synergy-card__supplements">
-              ${syn.supplements.map(s => `<span class="synergy-card__pill">${s}</span>`).join('<span class="synergy-card__connector">+</span>')}
+              ${syn.supplements.map(id => `<span class="synergy-card__pill">${nameOf(id)}</span>`).join('<span class="synergy-card__connector">+</span>')}
             </div>
             <div class="synergy-card__badges">
               <span class="synergy-card__strength">${syn.strength}</span>
@@ -835,18 +1581,302 @@ const Render = (() => {
     return renderSection('warnings', 'Warnings & Contraindications', html);
   }
 
+  // ──────────────────────────────
+  // COMPARISON (compare.html, tray, add buttons)
+  // ──────────────────────────────
+
+  /**
+   * "+ Compare" button for a supplement. App keeps its state in sync with
+   * the comparison list (App.initCompare).
+   */
+  function compareToggle(id) {
+    return `<button type="button" class="compare-toggle" data-compare-add="${id}" aria-pressed="false" title="Add to comparison">+ Compare</button>`;
+  }
+
+  /**
+   * Bar listing the supplements picked for comparison, shown on every
+   * page with a list or search once something is picked.
+   * @param {Array} supplements - Picked supplements, in order
+   * @param {number} max - Most supplements a comparison can hold
+   */
+  function compareTray(supplements, max) {
+    if (supplements.length === 0) return '';
+    const ids = supplements.map(s => s.id).join(',');
+    return `
+      <div class="container compare-tray__inner">
+        <span class="compare-tray__label">Compare (${supplements.length}/${max}):</span>
+        <div class="compare-tray__items">
+          ${supplements.map(s => `
+            <span class="compare-tray__item">
+              ${s.name}
+              <button type="button" class="compare-tray__remove" data-compare-add="${s.id}" title="Remove from comparison">×</button>
+            </span>
+          `).join('')}
+        </div>
+        <button type="button" class="compare-tray__clear" data-compare-clear>Clear</button>
+        ${supplements.length >= 2
+          ? `<a href="compare.html?ids=${ids}" class="btn compare-tray__go">Compare →</a>`
+          : '<span class="compare-tray__hint">Pick one more to compare</span>'}
+      </div>
+    `;
+  }
+
+  function compareList(items, empty = '—') {
+    if (!items || items.length === 0) return `<span class="compare-empty">${empty}</span>`;
+    return `<ul class="compare-list">${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+  }
+
+  const normalizeText = text => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+  const setKey = items => items.map(normalizeText).sort().join('|');
+
+  /**
+   * Rows of the comparison table, grouped. Each row renders a cell from
+   * (supplement, assessment) and derives a comparable `key`; rows marked
+   * `best` also highlight the highest value.
+   */
+  const COMPARE_ROWS = [
+    { group: 'Evidence', label: 'Tier & score', best: true,
+      key: (s, a) => a.score,
+      cell: (s, a) => `${evidenceBadge(s.evidence, 'small')}<span class="compare-cell__note">${a.label}</span>` },
+    { group: 'Evidence', label: 'Certainty', best: true,
+      key: s => {
+        const summary = Certainty.summarize(s.keyFindings);
+        return summary ? Certainty.LEVELS.indexOf(summary.level) : -1;
+      },
+      cell: s => {
+        const summary = Certainty.summarize(s.keyFindings);
+        return summary ? certaintyBadge(summary.level) : '<span class="compare-empty">Not rated</span>';
+      } },
+    { group: 'Evidence', label: 'Total studies', best: true, key: (s, a) => a.breakdown.totalStudies, cell: s => EvidenceScoring.formatCount(s.evidence.totalStudies) },
+    { group: 'Evidence', label: 'Human studies', best: true, key: (s, a) => a.breakdown.humanStudies, cell: s => EvidenceScoring.formatCount(s.evidence.humanStudies) },
+    { group: 'Evidence', label: 'RCTs', best: true, key: (s, a) => a.breakdown.rcts, cell: s => EvidenceScoring.formatCount(s.evidence.rcts) },
+    { group: 'Evidence', label: 'Meta-analyses', best: true, key: (s, a) => a.breakdown.metaAnalyses, cell: s => EvidenceScoring.formatCount(s.evidence.metaAnalyses) },
+    { group: 'Evidence', label: 'Systematic reviews', best: true, key: (s, a) => a.breakdown.systematicReviews, cell: s => EvidenceScoring.formatCount(s.evidence.systematicReviews) },
+
+    { group: 'Dosage', label: 'Per dose', key: s => s.dosage.regimen ? Dosage.describe(s.dosage.regimen).amount : '—' },
+    { group: 'Dosage', label: 'Frequency', key: s => s.dosage.regimen ? Dosage.describe(s.dosage.regimen).frequency : '—' },
+    { group: 'Dosage', label: 'When', key: s => s.dosage.regimen ? Dosage.describe(s.dosage.regimen).windows : '—' },
+    { group: 'Dosage', label: 'Food', key: s => s.dosage.regimen ? Dosage.describe(s.dosage.regimen).food : '—' },
+    { group: 'Dosage', label: 'Standard dose', key: s => normalizeText(s.dosage.standard), cell: s => s.dosage.standard },
+
+    { group: 'Forms', label: 'Recommended',
+      key: s => setKey(s.forms.filter(f => f.recommended).map(f => f.name)),
+      cell: s => compareList(s.forms.filter(f => f.recommended).map(f => f.name)) },
+    { group: 'Forms', label: 'Other forms',
+      key: s => setKey(s.forms.filter(f => !f.recommended).map(f => f.name)),
+      cell: s => compareList(s.forms.filter(f => !f.recommended).map(f => f.name)) },
+
+    { group: 'Effects', label: 'Benefits', key: s => setKey(s.benefits), cell: s => compareList(s.benefits) },
+    { group: 'Effects', label: 'Side effects', key: s => setKey(s.sideEffects), cell: s => compareList(s.sideEffects, 'None reported') },
+    { group: 'Effects', label: 'Interactions',
+      key: s => setKey((s.interactions || []).map(i => `${i.substance} ${i.severity}`)),
+      cell: s => compareList((s.interactions || []).map(i =>
+        `<span class="compare-severity compare-severity--${i.severity}">${i.severity}</span> ${i.substance}`), 'None known') },
+
+    { group: 'Research', label: 'Key findings',
+      key: s => setKey((s.keyFindings || []).map(f => f.finding)),
+      cell: s => {
+        const findings = s.keyFindings || [];
+        if (findings.length === 0) return '<span class="compare-empty">—</span>';
+        const high = findings.filter(f => f.quality === 'high').length;
+        return `
+          <details class="compare-findings">
+            <summary>${findings.length} finding${findings.length !== 1 ? 's' : ''} (${high} high quality)</summary>
+            ${compareList(findings.map(f => `${f.finding} <cite class="compare-findings__source">${f.source}</cite>`))}
+          </details>
+        `;
+      } }
+  ];
+
+  /**
+   * Which cells of a row stand out. When some value is shared by several
+   * columns, the cells that don't have it differ; when every column has
+   * its own value, they all do.
+   * @returns {Array<boolean>}
+   */
+  function differingCells(keys) {
+    const counts = new Map();
+    keys.forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+    if (counts.size <= 1) return keys.map(() => false);
+    const top = Math.max(...counts.values());
+    return keys.map(k => top === 1 || counts.get(k) < top);
+  }
+
+  function compareRow(row, columns) {
+    const keys = columns.map(c => row.key(c.supplement, c.assessment));
+    const differs = differingCells(keys);
+    const best = row.best && new Set(keys).size > 1 ? Math.max(...keys) : null;
+    const cells = columns.map((c, i) => {
+      const classes = ['compare-cell'];
+      if (differs[i]) classes.push('compare-cell--differs');
+      if (best !== null && keys[i] === best) classes.push('compare-cell--best');
+      const content = row.cell ? row.cell(c.supplement, c.assessment) : keys[i];
+      return `<td class="${classes.join(' ')}">${content}</td>`;
+    }).join('');
+    return `<tr class="compare-row"><th scope="row" class="compare-row__label">${row.label}</th>${cells}</tr>`;
+  }
+
+  /**
+   * Side-by-side comparison page.
+   * @param {Array} selected - Supplements to compare, in column order
+   * @param {Array} allSupplements - For the "add" picker
+   * @param {Array} categories
+   * @param {Object} options - { max, conflicts: [{ names: [a, b], edge }] }
+   */
+  function comparePage(selected, allSupplements, categories, options) {
+    const columns = selected.map(s => ({ supplement: s, assessment: EvidenceScoring.assess(s.evidence) }));
+    const available = allSupplements.filter(s => !selected.includes(s));
+    const picker = selected.length < options.max ? `
+      <select class="compare-picker" data-compare-select aria-label="Add a supplement to the comparison">
+        <option value="">+ Add supplement…</option>
+        ${EvidenceScoring.sortAlphabetically(available).map(s => `<option value="${s.id}">${s.name}</option>`).join('')}
+      </select>
+    ` : '';
+
+    const conflicts = (options.conflicts || []).map(c => `
+      <div class="stack-warning">
+        <span class="stack-warning__icon">${SI('⚠️', '[!]')}</span>
+        <p class="stack-warning__text"><strong>${c.names.join(' + ')}</strong> (${c.edge.severity}): ${c.edge.notes.map(n => n.effect).join(' ')}</p>
+      </div>
+    `).join('');
+
+    let body;
+    if (selected.length < 2) {
+      body = `
+        <p class="empty-state">Pick at least two supplements to compare — add them here, or with "+ Compare" in search results and supplement lists.</p>
+        <div class="compare-picker-row">${picker}</div>
+      `;
+    } else {
+      let group = null;
+      const rows = COMPARE_ROWS.map(row => {
+        const heading = row.group !== group
+          ? `<tr class="compare-group"><th colspan="${columns.length + 1}">${row.group}</th></tr>`
+          : '';
+        group = row.group;
+        return heading + compareRow(row, columns);
+      }).join('');
+
+      body = `
+        ${conflicts ? `<div class="stack-warnings compare-conflicts">${conflicts}</div>` : ''}
+        <div class="compare-picker-row">
+          ${picker}
+          <span class="compare-legend"><span class="compare-legend__swatch compare-cell--differs"></span>Differs</span>
+          <span class="compare-legend"><span class="compare-legend__swatch compare-cell--best"></span>Highest</span>
+        </div>
+        <div class="compare-scroll">
+          <table class="compare-table" style="--compare-columns: ${columns.length}">
+            <thead>
+              <tr>
+                <th class="compare-table__corner"></th>
+                ${columns.map(({ supplement: s }) => `
+                  <th scope="col" class="compare-head">
+                    <a href="supplement.html?id=${s.id}" class="compare-head__name">${s.name}</a>
+                    <p class="compare-head__tagline">${s.tagline}</p>
+                    <div class="compare-head__cats">${s.categories.map(cid => categoryTag(cid, categories)).join('')}</div>
+                    <button type="button" class="compare-head__remove" data-compare-remove="${s.id}" title="Remove from comparison">Remove</button>
+                  </th>
+                `).join('')}
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `;
+    }
+
+    return `
+      <section class="section">
+        <div class="container">
+          <nav class="breadcrumb">
+            <a href="index.html">Home</a>
+            <span class="breadcrumb__sep">›</span>
+            <span>Compare</span>
+          </nav>
+          <div class="section__header">
+            <h1 class="section__title">${selected.length >= 2 ? selected.map(s => s.name).join(' vs ') : 'Compare Supplements'}</h1>
+            <p class="section__subtitle">Evidence, dosage, forms, effects and interactions side by side</p>
+          </div>
+          ${body}
+        </div>
+      </section>
+    `;
+  }
+
+  // ──────────────────────────────
+  // SEARCH RESULTS (navbar dropdown)
+  // ──────────────────────────────
+
+  /**
+   * The filters a search query applied (and any it couldn't), as chips.
+   * @param {Object} parsed - From SupplementSearch.parseQuery()
+   * @returns {string} HTML, or '' for a plain text query
+   */
+  function searchFilters(parsed) {
+    if (!parsed || (parsed.filters.length === 0 && parsed.errors.length === 0)) return '';
+    return `
+      <div class="search-filters">
+        ${parsed.filters.map(f => `<span class="search-filter ${f.negate ? 'search-filter--negated' : ''}">${f.label}</span>`).join('')}
+        ${parsed.errors.map(e => `<span class="search-filter search-filter--error" title="${e.message}">${e.token} — ${e.message}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Dropdown items for SupplementSearch results, with matched words
+   * highlighted. A match outside the name shows the text it came from.
+   * @param {Array} results - From SupplementSearch.search()
+   * @param {Array} categories
+   * @param {Object} [parsed] - The parsed query, to show its filters
+   */
+  function searchResults(results, categories, parsed) {
+    const filters = searchFilters(parsed);
+    if (results.length === 0) {
+      return `${filters}<div class="search-result search-result--empty">No supplements found</div>`;
+    }
+
+    return filters + results.map(({ supplement: s, terms, context }) => {
+      const assessment = EvidenceScoring.assess(s.evidence);
+      const detail = context
+        ? `<span class="search-result__context">${SupplementSearch.highlight(SupplementSearch.excerpt(context.text, terms), terms)}</span>`
+        : `<span class="search-result__cats">${s.categories.map(cid => {
+            const cat = categories.find(c => c.id === cid);
+            return cat ? cat.name : cid;
+          }).join(', ')}</span>`;
+      return `
+        <div class="search-result-item">
+          <a href="supplement.html?id=${s.id}" class="search-result">
+            <span class="search-result__badge" style="color: ${assessment.color}">${assessment.tier}</span>
+            <div class="search-result__info">
+              <span class="search-result__name">${SupplementSearch.highlight(s.name, terms)}</span>
+              ${detail}
+            </div>
+          </a>
+          ${compareToggle(s.id)}
+        </div>
+      `;
+    }).join('');
+  }
+
   return {
     homePage,
     categoryPage,
     supplementPage,
     supplementList,
+    supplementBrowser,
     evidenceBadge,
     evidenceBar,
     evidenceDetail,
     evidenceTierExplainer,
     stackCard,
     stacksSection,
-    stackPage
+    stackPage,
+    searchFilters,
+    searchResults,
+    compareTray,
+    comparePage,
+    scoringPanel,
+    scoringChanges,
+    scoreProjection
   };
 
 })();
@@ -0,0 +1,500 @@
+/**
+ * Search Module
+ *
+ * Ranked, typo-tolerant search over the full supplement content, shared
+ * by the navbar search and the Stack Builder catalog.
+ *
+ * Each query term is matched against the words of every field — exactly,
+ * as a prefix ("magn" → magnesium) or within a small edit distance
+ * ("magnsium" → magnesium). A term scores the weight of the best field it
+ * matches (name > aliases > tagline/categories > benefits > mechanism /
+ * overview), scaled by how close the match is. Entries that match only
+ * some of the terms rank below those that match all of them, and a query
+ * found as an exact phrase ("sleep onset") gets a bonus.
+ *
+ * Queries can also carry filters, which narrow the results before
+ * ranking (a query of filters only lists matches by evidence score):
+ *
+ *   cat:sleep            category id or name (cat:sleep,mood = either)
+ *   tier:A  tier>=B      evidence tier (EvidenceScoring)
+ *   score>60             evidence score
+ *   rcts>50  studies>=200  human>100  meta>5  reviews>3   evidence counts
+ *   interacts:caffeine   has an interaction with a substance, drug class
+ *                        or supplement
+ *   -cat:medication      any filter prefixed with "-" excludes instead
+ */
+
+const SupplementSearch = (() => {
+
+  const Scoring = typeof EvidenceScoring !== 'undefined' ? EvidenceScoring : require('./evidence.js');
+  const Interactions = typeof InteractionGraph !== 'undefined' ? InteractionGraph : require('./interactions.js');
+
+  const FIELD_WEIGHTS = {
+    name: 10,
+    aliases: 8,
+    tagline: 4,
+    categories: 3,
+    benefits: 3,
+    mechanism: 1.5,
+    overview: 1.5
+  };
+
+  // Match quality per kind of match
+  const EXACT = 1;
+  const PREFIX = 0.75;
+  const FUZZY = [0, 0.6, 0.45]; // by edit distance
+
+  // Shortest term tried as a prefix / with typo tolerance
+  const MIN_PREFIX_LENGTH = 3;
+  const MIN_FUZZY_LENGTH = 4;
+
+  // Share of a term's score added for each further field it appears in
+  const EXTRA_FIELD_SHARE = 0.25;
+
+  // Entries must match at least this share of the query terms. Partial
+  // matches are only returned when no entry matches every term.
+  const MIN_COVERAGE = 0.5;
+
+  const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'for', 'to', 'in', 'on', 'with', 'or', 'by']);
+
+  const WORD = /[A-Za-z0-9\u00C0-\u024F\u03B1-\u03C9\u00B5]+/g;
+
+  // Evidence tiers, weakest first, for tier comparisons
+  const TIER_ORDER = ['D', 'C', 'B', 'A', 'S'];
+
+  // Filter keys → definition. `value(entry)` feeds numeric and tier
+  // comparisons; `match(entry, value)` handles text filters.
+  const FILTERS = {
+    cat: {
+      label: 'Category',
+      match: (entry, value) => entry.categoryKeys.some(k => k.startsWith(value))
+    },
+    tier: {
+      label: 'Tier',
+      tier: true,
+      value: entry => entry.assessment.tier
+    },
+    score: { label: 'Score', value: entry => entry.assessment.score },
+    rcts: { label: 'RCTs', value: entry => entry.assessment.breakdown.rcts },
+    studies: { label: 'Studies', value: entry => entry.assessment.breakdown.totalStudies },
+    human: { label: 'Human studies', value: entry => entry.assessment.breakdown.humanStudies },
+    meta: { label: 'Meta-analyses', value: entry => entry.assessment.breakdown.metaAnalyses },
+    reviews: { label: 'Systematic reviews', value: entry => entry.assessment.breakdown.systematicReviews },
+    interacts: {
+      label: 'Interacts with',
+      match: (entry, value) => {
+        const words = tokenize(value);
+        const hit = entry.interactions.find(int => words.every(w => int.keys.some(k => k.startsWith(w))));
+        return hit ? hit.text : false;
+      }
+    }
+  };
+
+  const FILTER_ALIASES = {
+    category: 'cat',
+    rct: 'rcts',
+    total: 'studies',
+    interaction: 'interacts',
+    'interacts-with': 'interacts'
+  };
+
+  const COMPARATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '=': (a, b) => a === b
+  };
+
+  const FILTER_TOKEN = /^(-?)([a-z][a-z-]*)(>=|<=|:|>|<|=)(.*)$/i;
+
+  // ──────────────────────────────
+  // TEXT
+  // ──────────────────────────────
+
+  function normalize(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  function tokenize(text) {
+    return normalize(text).match(WORD) || [];
+  }
+
+  /**
+   * Edit distance (with adjacent transpositions), or `max + 1` as soon as
+   * it is known to exceed `max`.
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d = Math.min(d, prevPrev[j - 2] + 1);
+        }
+        row.push(d);
+        rowMin = Math.min(rowMin, d);
+      }
+      if (rowMin > max) return max + 1;
+      prevPrev = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  function maxEdits(term) {
+    if (term.length < MIN_FUZZY_LENGTH) return 0;
+    return term.length >= 8 ? 2 : 1;
+  }
+
+  /**
+   * How well a query term matches one word (0 = no match).
+   */
+  function matchQuality(term, word) {
+    if (word === term) return EXACT;
+    if (term.length >= MIN_PREFIX_LENGTH && word.startsWith(term)) return PREFIX;
+    const max = maxEdits(term);
+    if (max === 0) return 0;
+    const d = editDistance(term, word, max);
+    return d <= max ? FUZZY[d] : 0;
+  }
+
+  // ──────────────────────────────
+  // INDEX
+  // ──────────────────────────────
+
+  function fieldSegments(supp, categories) {
+    return {
+      name: [supp.name],
+      aliases: supp.aliases || [],
+      tagline: [supp.tagline],
+      categories: (supp.categories || []).map(cid => {
+        const cat = categories.find(c => c.id === cid);
+        return cat ? cat.name : cid;
+      }),
+      benefits: supp.benefits || [],
+      mechanism: [supp.mechanismOfAction],
+      overview: [supp.overview]
+    };
+  }
+
+  /**
+   * Everything `interacts:` can match for a supplement: its own
+   * interaction entries (substance text and targets) and the supplements
+   * on the other side of an interaction declared by either entry.
+   */
+  function interactionKeys(supp, graph) {
+    const own = (supp.interactions || []).map(int => ({
+      text: int.substance,
+      keys: [...tokenize(int.substance), ...(int.supplementIds || []), ...(int.drugClasses || [])]
+    }));
+    const partners = Interactions.partnersOf(graph, supp.id).map(({ partnerId }) => {
+      const partner = graph.supplements.get(partnerId);
+      return { text: partner.name, keys: [partnerId, ...tokenize(partner.name), ...(partner.drugClasses || [])] };
+    });
+    return [...own, ...partners];
+  }
+
+  /**
+   * Tokenize every supplement once.
+   * @param {Array} supplements
+   * @param {Array} [categories] - For matching category names
+   * @returns {Array} Index entries ({ supplement, fields, assessment, categoryKeys, interactions })
+   */
+  function createIndex(supplements, categories = []) {
+    const graph = Interactions.build(supplements);
+    graph.supplements = new Map(supplements.map(s => [s.id, s]));
+
+    return supplements.map(supp => {
+      const fields = {};
+      Object.entries(fieldSegments(supp, categories)).forEach(([field, segments]) => {
+        const tokenized = segments.filter(Boolean).map(text => ({ text, tokens: tokenize(text) }));
+        fields[field] = {
+          segments: tokenized,
+          words: new Set(tokenized.flatMap(s => s.tokens))
+        };
+      });
+      return {
+        supplement: supp,
+        fields,
+        assessment: Scoring.assess(supp.evidence),
+        categoryKeys: [...(supp.categories || []), ...fields.categories.segments.map(seg => normalize(seg.text))],
+        interactions: interactionKeys(supp, graph)
+      };
+    });
+  }
+
+  // ──────────────────────────────
+  // QUERY SYNTAX
+  // ──────────────────────────────
+
+  function parseFilter(token) {
+    const m = token.match(FILTER_TOKEN);
+    if (!m) return null;
+    const [, minus, rawKey, op, rawValue] = m;
+    const key = FILTER_ALIASES[rawKey.toLowerCase()] || rawKey.toLowerCase();
+    const def = FILTERS[key];
+    const value = rawValue.replace(/^"|"$/g, '').trim();
+    const filter = { key, op, negate: minus === '-', token };
+    if (!def) return { ...filter, error: `unknown filter "${rawKey}"` };
+    if (!value) return { ...filter, error: `"${token}" needs a value` };
+
+    const opLabel = op === ':' ? ':' : ` ${op}`;
+    filter.label = `${minus ? 'not ' : ''}${def.label}${opLabel} ${value}`;
+
+    if (def.match) {
+      if (op !== ':') return { ...filter, error: `${def.label} only supports "${rawKey}:"` };
+      filter.values = value.split(',').map(v => normalize(v).trim()).filter(Boolean);
+    } else if (def.tier) {
+      const tiers = value.toUpperCase().split(',');
+      if (!tiers.every(t => TIER_ORDER.includes(t))) return { ...filter, error: `tier must be one of ${TIER_ORDER.join(', ')}` };
+      filter.values = tiers;
+    } else {
+      const n = Number(value);
+      if (isNaN(n)) return { ...filter, error: `${def.label} needs a number (got "${value}")` };
+      filter.values = [n];
+    }
+    return filter;
+  }
+
+  /**
+   * Split a query into free text and filters.
+   * A token that looks like a filter but can't be used is reported in
+   * `errors` and left out of both.
+   * @param {string} query
+   * @returns {Object} { text, filters: [{ key, op, values, negate, label }], errors: [{ token, message }] }
+   */
+  function parseQuery(query) {
+    const tokens = String(query || '').match(/-?[a-z][a-z-]*(?:>=|<=|:|>|<|=)"[^"]*"|"[^"]*"|\S+/gi) || [];
+    const text = [];
+    const filters = [];
+    const errors = [];
+    tokens.forEach(token => {
+      const filter = parseFilter(token);
+      if (!filter) text.push(token.replace(/^"|"$/g, ''));
+      else if (filter.error) errors.push({ token, message: filter.error });
+      else filters.push(filter);
+    });
+    return { text: text.join(' '), filters, errors };
+  }
+
+  /**
+   * Whether an entry passes a filter. Text filters return the matching
+   * text (e.g. the interaction) when there is one.
+   */
+  function applyFilter(entry, filter) {
+    const def = FILTERS[filter.key];
+    let result;
+    if (def.match) {
+      result = filter.values.map(v => def.match(entry, v)).find(Boolean) || false;
+    } else if (def.tier) {
+      const rank = TIER_ORDER.indexOf(def.value(entry));
+      result = filter.values.some(t => {
+        const target = TIER_ORDER.indexOf(t);
+        return filter.op === ':' ? rank === target : COMPARATORS[filter.op](rank, target);
+      });
+    } else {
+      result = COMPARATORS[filter.op === ':' ? '=' : filter.op](def.value(entry), filter.values[0]);
+    }
+    return filter.negate ? !result : result;
+  }
+
+  // ──────────────────────────────
+  // QUERY
+  // ──────────────────────────────
+
+  function queryTerms(query) {
+    const tokens = tokenize(query);
+    const terms = tokens.filter(t => !STOPWORDS.has(t));
+    return terms.length > 0 ? terms : tokens;
+  }
+
+  function containsPhrase(tokens, phrase) {
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((t, k) => tokens[i + k] === t)) return true;
+    }
+    return false;
+  }
+
+  function scoreEntry(entry, terms, phrase) {
+    const matchedWords = new Set();
+    const fieldScores = {};
+    let total = 0;
+    let matchedTerms = 0;
+
+    terms.forEach(term => {
+      const perField = [];
+      Object.entries(entry.fields).forEach(([field, { words }]) => {
+        let best = 0;
+        words.forEach(word => {
+          const q = matchQuality(term, word);
+          if (q > 0) matchedWords.add(word);
+          if (q > best) best = q;
+        });
+        if (best > 0) {
+          const score = best * FIELD_WEIGHTS[field];
+          perField.push(score);
+          fieldScores[field] = (fieldScores[field] || 0) + score;
+        }
+      });
+      if (perField.length === 0) return;
+      perField.sort((a, b) => b - a);
+      matchedTerms++;
+      total += perField[0] + EXTRA_FIELD_SHARE * perField.slice(1).reduce((a, b) => a + b, 0);
+    });
+
+    if (matchedTerms === 0) return null;
+    const coverage = matchedTerms / terms.length;
+    if (coverage < MIN_COVERAGE) return null;
+
+    if (phrase.length > 1) {
+      Object.entries(entry.fields).forEach(([field, { segments }]) => {
+        if (segments.some(s => containsPhrase(s.tokens, phrase))) {
+          total += FIELD_WEIGHTS[field];
+          fieldScores[field] = (fieldScores[field] || 0) + FIELD_WEIGHTS[field];
+        }
+      });
+    }
+
+    return { score: total * coverage * coverage, coverage, matchedWords, fieldScores };
+  }
+
+  /**
+   * The text that best explains a match that isn't in the name — the
+   * segment of the highest-scoring field that contains the most matched words.
+   */
+  function bestContext(entry, fieldScores, matchedWords) {
+    if (fieldScores.name) return null;
+    const field = Object.keys(fieldScores)
+      .filter(f => f !== 'name')
+      .sort((a, b) => fieldScores[b] - fieldScores[a])[0];
+    if (!field) return null;
+
+    const count = seg => seg.tokens.filter(t => matchedWords.has(t)).length;
+    const segment = entry.fields[field].segments.slice().sort((a, b) => count(b) - count(a))[0];
+    return segment ? { field, text: segment.text } : null;
+  }
+
+  /**
+   * Search the index.
+   * @param {Array} index - From createIndex()
+   * @param {string} query - Free text and/or filters (see parseQuery())
+   * @param {Object} [options] - { limit }
+   * @returns {Array} [{ supplement, score, coverage, terms, context }] best first, where
+   *   `terms` are the words that matched (for highlight()) and `context` is
+   *   { field, text } explaining a match outside the name, or null
+   */
+  function search(index, query, options = {}) {
+    const parsed = parseQuery(query);
+    const terms = queryTerms(parsed.text);
+    if (terms.length === 0 && parsed.filters.length === 0) return [];
+    const phrase = tokenize(parsed.text);
+
+    // Apply filters first; keep what a text filter matched as context
+    const candidates = [];
+    index.forEach(entry => {
+      let filterContext = null;
+      const passes = parsed.filters.every(filter => {
+        const result = applyFilter(entry, filter);
+        if (typeof result === 'string' && !filter.negate) filterContext = { field: filter.key, text: result };
+        return result;
+      });
+      if (passes) candidates.push({ entry, filterContext });
+    });
+
+    if (terms.length === 0) {
+      return candidates
+        .map(({ entry, filterContext }) => ({
+          supplement: entry.supplement,
+          score: entry.assessment.score,
+          coverage: 1,
+          terms: [],
+          context: filterContext
+        }))
+        .sort((a, b) => b.score - a.score || a.supplement.name.localeCompare(b.supplement.name))
+        .slice(0, options.limit || undefined);
+    }
+
+    let results = [];
+    candidates.forEach(({ entry }) => {
+      const match = scoreEntry(entry, terms, phrase);
+      if (!match) return;
+      results.push({
+        supplement: entry.supplement,
+        score: match.score,
+        coverage: match.coverage,
+        terms: [...match.matchedWords],
+        context: bestContext(entry, match.fieldScores, match.matchedWords)
+      });
+    });
+
+    if (results.some(r => r.coverage === 1)) {
+      results = results.filter(r => r.coverage === 1);
+    }
+
+    results.sort((a, b) => b.score - a.score || a.supplement.name.localeCompare(b.supplement.name));
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  // ──────────────────────────────
+  // HIGHLIGHTING
+  // ──────────────────────────────
+
+  /**
+   * Wrap the matched words of `text` in <mark>.
+   * @param {string} text
+   * @param {Array<string>} terms - Normalized words, as in a result's `terms`
+   * @returns {string} HTML
+   */
+  function highlight(text, terms) {
+    const set = new Set(terms);
+    return String(text).replace(WORD, word => (set.has(normalize(word)) ? `<mark class="search-mark">${word}</mark>` : word));
+  }
+
+  /**
+   * Shorten `text` to about `length` characters around its first matched word.
+   * @returns {string} Plain text, with ellipses where it was cut
+   */
+  function excerpt(text, terms, length = 110) {
+    if (text.length <= length) return text;
+    const set = new Set(terms);
+    let first = 0;
+    let m;
+    WORD.lastIndex = 0;
+    while ((m = WORD.exec(text)) !== null) {
+      if (set.has(normalize(m[0]))) {
+        first = m.index;
+        break;
+      }
+    }
+    WORD.lastIndex = 0;
+
+    let start = Math.max(0, first - Math.floor(length / 3));
+    let end = Math.min(text.length, start + length);
+    start = Math.max(0, end - length);
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  return {
+    FIELD_WEIGHTS,
+    tokenize,
+    editDistance,
+    createIndex,
+    parseQuery,
+    search,
+    highlight,
+    excerpt
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SupplementSearch;
+}
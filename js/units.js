@@ -0,0 +1,291 @@
+/**
+ * Dose Units Module
+ *
+ * Unit-aware dose arithmetic for the Stack Builder and the data tools.
+ * Doses are parsed from the builder's free-text dose field ("500",
+ * "600–900", "1,000") into { min, max, unit } quantities, which can be
+ * converted between units, scaled to a daily total and checked against
+ * a supplement's `dosage.regimen`.
+ *
+ * Unit dimensions:
+ *   - mass:  g, mg, μg (also accepted as µg / mcg / ug)
+ *   - IU:    converts to mass only for substances listed in IU_FACTORS
+ *   - count: mL, drops, capsules, tablets, servings — comparable only
+ *            with the same unit
+ */
+
+const Units = (() => {
+
+  // Mass units, in mg
+  const MASS_UNITS = {
+    g: 1000,
+    mg: 1,
+    'μg': 0.001
+  };
+
+  // Alternative spellings → canonical unit. The builder's unit picker uses
+  // the micro sign (µ, U+00B5); the data files use Greek mu (μ, U+03BC).
+  const UNIT_ALIASES = {
+    'µg': 'μg',
+    mcg: 'μg',
+    ug: 'μg'
+  };
+
+  const COUNT_UNITS = ['mL', 'drops', 'capsules', 'tablets', 'servings'];
+
+  // Mass of one IU, in μg, per substance. IU is a biological-activity unit,
+  // so the factor differs for every vitamin.
+  const IU_FACTORS = {
+    'vitamin-d': { name: 'Vitamin D', ugPerIU: 0.025 },           // 40 IU = 1 μg (D2 and D3)
+    'vitamin-a': { name: 'Vitamin A (retinol)', ugPerIU: 0.3 },   // 1 IU = 0.3 μg retinol
+    'vitamin-e': { name: 'Vitamin E (d-α-tocopherol)', ugPerIU: 670 } // 1 IU = 0.67 mg natural form
+  };
+
+  // Doses per day for each builder frequency. Non-daily schedules are
+  // expressed as the amount taken on a dosing day.
+  const DOSES_PER_DAY = {
+    'once-daily': 1,
+    'twice-daily': 2,
+    'three-daily': 3,
+    'as-needed': 1,
+    cycling: 1,
+    weekly: 1
+  };
+
+  // Frequencies whose "daily" total only applies to days a dose is taken
+  const DOSING_DAY_FREQUENCIES = ['as-needed', 'cycling', 'weekly'];
+
+  // How far (×) outside the recommended range a dose must be before
+  // it is treated as a likely unit mistake
+  const MISTAKE_RATIO = 10;
+
+  /**
+   * Canonical spelling of a unit ('mcg' → 'μg'); unknown units pass through.
+   * @param {string} unit
+   * @returns {string}
+   */
+  function canonicalUnit(unit) {
+    const u = (unit || '').trim();
+    return UNIT_ALIASES[u] || UNIT_ALIASES[u.toLowerCase()] || u;
+  }
+
+  /**
+   * Dimension of a unit — 'mass', 'IU' or the count unit itself.
+   * @param {string} unit
+   * @returns {string|null}
+   */
+  function dimension(unit) {
+    const u = canonicalUnit(unit);
+    if (MASS_UNITS[u]) return 'mass';
+    if (u === 'IU') return 'IU';
+    if (COUNT_UNITS.includes(u)) return u;
+    return null;
+  }
+
+  function parseNumber(text) {
+    // "1,000" is a thousands separator, "0,5" a decimal comma
+    const normalized = /^\d{1,3}(,\d{3})+$/.test(text) ? text.replace(/,/g, '') : text.replace(',', '.');
+    return parseFloat(normalized);
+  }
+
+  /**
+   * Parse a dose string into a quantity.
+   * Accepts a single value or a range ("600–900", "600-900", "600 to 900").
+   *
+   * @param {string} dose
+   * @param {string} unit
+   * @returns {Object|null} { min, max, unit } or null if no number is found
+   */
+  function parse(dose, unit) {
+    const numbers = String(dose || '').match(/\d+(?:[.,]\d+)*/g);
+    if (!numbers) return null;
+    const values = numbers.slice(0, 2).map(parseNumber).filter(n => !isNaN(n));
+    if (values.length === 0) return null;
+    return {
+      min: Math.min(...values),
+      max: Math.max(...values),
+      unit: canonicalUnit(unit)
+    };
+  }
+
+  /**
+   * Convert a quantity to another unit.
+   * IU ↔ mass needs a substance key from IU_FACTORS.
+   *
+   * @param {Object} quantity - { min, max, unit }
+   * @param {string} toUnit
+   * @param {string} [substance] - IU_FACTORS key
+   * @returns {Object|null} Converted quantity, or null if the units are incompatible
+   */
+  function convert(quantity, toUnit, substance) {
+    const from = canonicalUnit(quantity.unit);
+    const to = canonicalUnit(toUnit);
+    if (from === to) return { min: quantity.min, max: quantity.max, unit: to };
+
+    const factor = IU_FACTORS[substance];
+    const toMg = u => {
+      if (MASS_UNITS[u]) return MASS_UNITS[u];
+      if (u === 'IU' && factor) return factor.ugPerIU * MASS_UNITS['μg'];
+      return null;
+    };
+    const fromMg = toMg(from);
+    const targetMg = toMg(to);
+    if (fromMg === null || targetMg === null) return null;
+
+    const ratio = fromMg / targetMg;
+    return { min: quantity.min * ratio, max: quantity.max * ratio, unit: to };
+  }
+
+  /**
+   * Whether two units can be compared (same dimension, or IU ↔ mass
+   * with a known factor).
+   */
+  function compatible(unitA, unitB, substance) {
+    return convert({ min: 1, max: 1, unit: unitA }, unitB, substance) !== null;
+  }
+
+  /**
+   * Daily total for a dose taken at the given frequency.
+   * An unset frequency is treated as once daily.
+   *
+   * @param {Object} quantity - Per-dose { min, max, unit }
+   * @param {string} frequency - FREQUENCY_OPTIONS value
+   * @returns {Object} { min, max, unit, dosesPerDay, dosingDaysOnly }
+   */
+  function dailyTotal(quantity, frequency) {
+    const dosesPerDay = DOSES_PER_DAY[frequency] || 1;
+    return {
+      min: quantity.min * dosesPerDay,
+      max: quantity.max * dosesPerDay,
+      unit: quantity.unit,
+      dosesPerDay,
+      dosingDaysOnly: DOSING_DAY_FREQUENCIES.includes(frequency)
+    };
+  }
+
+  /**
+   * Re-express a mass quantity in the most readable unit
+   * (≥1000 mg → g, <1 mg → μg). Other units are returned unchanged.
+   */
+  function humanize(quantity) {
+    const unit = canonicalUnit(quantity.unit);
+    if (!MASS_UNITS[unit]) return { ...quantity, unit };
+    const mg = convert(quantity, 'mg');
+    if (mg.min >= 1000) return convert(mg, 'g');
+    if (mg.max < 1) return convert(mg, 'μg');
+    return mg;
+  }
+
+  function formatNumber(n) {
+    const rounded = Math.round(n * 100) / 100;
+    return rounded >= 1000 ? rounded.toLocaleString('en-US') : String(rounded);
+  }
+
+  /**
+   * Format a quantity as display text, e.g. "1.2–1.8 g".
+   * @param {Object} quantity
+   * @param {Object} [options] - { humanize: true } to pick a readable mass unit
+   * @returns {string}
+   */
+  function format(quantity, options = {}) {
+    const q = options.humanize ? humanize(quantity) : quantity;
+    const amount = q.min === q.max ? formatNumber(q.min) : `${formatNumber(q.min)}–${formatNumber(q.max)}`;
+    return `${amount} ${canonicalUnit(q.unit)}`;
+  }
+
+  /**
+   * Detect a likely unit mix-up (5 g entered where 5 mg was meant).
+   *
+   * A dose is flagged when it lies more than MISTAKE_RATIO× outside the
+   * recommended per-dose range. `suggestedUnit` is the first other unit in
+   * which the same number falls inside (or close to) that range, if any.
+   *
+   * @param {Object} quantity - Per-dose { min, max, unit } as entered
+   * @param {Object} regimen - Supplement's dosage.regimen
+   * @returns {Object|null} { ratio, direction, suggestedUnit, recommended } or null
+   */
+  function detectUnitMistake(quantity, regimen) {
+    if (!regimen) return null;
+    const substance = regimen.substance;
+    const recommended = { min: regimen.min, max: regimen.max, unit: regimen.unit };
+    const asRecommended = convert(quantity, recommended.unit, substance);
+    if (!asRecommended) return null;
+
+    let ratio = 0;
+    let direction = null;
+    if (asRecommended.min > recommended.max * MISTAKE_RATIO) {
+      ratio = asRecommended.min / recommended.max;
+      direction = 'above';
+    } else if (asRecommended.max < recommended.min / MISTAKE_RATIO) {
+      ratio = recommended.min / asRecommended.max;
+      direction = 'below';
+    }
+    if (!direction) return null;
+
+    // Try reading the same numbers in every other compatible unit
+    const candidates = [...Object.keys(MASS_UNITS), 'IU']
+      .filter(u => u !== canonicalUnit(quantity.unit) && compatible(u, recommended.unit, substance));
+    const suggestedUnit = candidates.find(u => {
+      const reread = convert({ ...quantity, unit: u }, recommended.unit, substance);
+      return reread.max >= recommended.min / 2 && reread.min <= recommended.max * 2;
+    }) || null;
+
+    return { ratio, direction, suggestedUnit, recommended };
+  }
+
+  /**
+   * Classify a daily amount against a regimen's recommended daily range
+   * (per-dose min/max × the regimen's doses per day) and, optionally, a
+   * tolerable upper intake level per day.
+   *
+   * @param {Object} daily - Daily { min, max, unit }, as from dailyTotal()
+   * @param {Object} regimen - Supplement's dosage.regimen
+   * @param {Object} [upperLimit] - { min, max, unit } in any unit convertible via regimen.substance
+   * @returns {Object|null} { status, recommended, upperLimit, overUpperLimit }
+   *   where status is 'below' | 'within' | 'above' and upperLimit is expressed
+   *   in the regimen's unit; null if the units can't be compared
+   */
+  function assessRange(daily, regimen, upperLimit) {
+    if (!regimen) return null;
+    const amount = convert(daily, regimen.unit, regimen.substance);
+    if (!amount) return null;
+
+    const recommended = dailyTotal({ min: regimen.min, max: regimen.max, unit: regimen.unit }, regimen.frequency);
+    // Tolerance for float error after unit conversion
+    const eps = 1e-9 * recommended.max;
+    let status = 'within';
+    if (amount.max < recommended.min - eps) status = 'below';
+    else if (amount.min > recommended.max + eps) status = 'above';
+
+    const limit = upperLimit ? convert(upperLimit, regimen.unit, regimen.substance) : null;
+
+    return {
+      status,
+      recommended: { min: recommended.min, max: recommended.max, unit: recommended.unit },
+      upperLimit: limit,
+      overUpperLimit: !!limit && amount.max > limit.max + eps
+    };
+  }
+
+  return {
+    MASS_UNITS,
+    COUNT_UNITS,
+    IU_FACTORS,
+    DOSES_PER_DAY,
+    canonicalUnit,
+    dimension,
+    parse,
+    convert,
+    compatible,
+    dailyTotal,
+    humanize,
+    format,
+    detectUnitMistake,
+    assessRange
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Units;
+}
@@ -0,0 +1,858 @@
+/**
+ * Data Validator Module
+ *
+ * Schema and cross-reference checks for the data files
+ * (categories.json, supplements.json, stacks.json, nutrients.json,
+ * drug-classes.json, synergies.json),
+ * following the schemas documented in WORKFLOW.md.
+ *
+ * Runs in the browser and in Node (see tools/validate-data.js).
+ * Every check returns a flat list of issues:
+ *   { file, path, entry, message }
+ */
+
+const DataValidator = (() => {
+
+  // Regimen vocabulary is shared with the builder (js/dosage.js)
+  const DosageVocab = typeof Dosage !== 'undefined' ? Dosage : require('./dosage.js');
+  const DoseUnits = typeof Units !== 'undefined' ? Units : require('./units.js');
+  const Effects = typeof EffectSizes !== 'undefined' ? EffectSizes : require('./effects.js');
+  const Grading = typeof Certainty !== 'undefined' ? Certainty : require('./certainty.js');
+  const Scoring = typeof EvidenceScoring !== 'undefined' ? EvidenceScoring : require('./evidence.js');
+  const Dates = typeof Freshness !== 'undefined' ? Freshness : require('./freshness.js');
+
+  const SEVERITIES = ['mild', 'moderate', 'severe'];
+  const FINDING_QUALITIES = ['high', 'moderate'];
+  const SYNERGY_STRENGTHS = ['strong', 'moderate'];
+  const EVIDENCE_LEVELS = ['strong', 'moderate', 'emerging'];
+  const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+  const HEX_COLOR = /^#[0-9A-Fa-f]{6}$/;
+
+  // Required fields per record type — value is the expected type.
+  // 'string[]' means an array of strings; 'array' / 'object' are shallow.
+  const CATEGORY_FIELDS = {
+    id: 'string',
+    name: 'string',
+    icon: 'string',
+    description: 'string',
+    color: 'string'
+  };
+
+  const SUPPLEMENT_FIELDS = {
+    id: 'string',
+    name: 'string',
+    aliases: 'string[]',
+    categories: 'string[]',
+    tagline: 'string',
+    overview: 'string',
+    mechanismOfAction: 'string',
+    forms: 'array',
+    dosage: 'object',
+    benefits: 'string[]',
+    sideEffects: 'string[]',
+    interactions: 'array',
+    evidence: 'object',
+    keyFindings: 'array',
+    safetyProfile: 'string',
+    populationNotes: 'string',
+    references: 'array'
+  };
+
+  const FORM_FIELDS = { name: 'string', description: 'string', recommended: 'boolean' };
+  const DOSAGE_FIELDS = { standard: 'string', loading: 'string', optimal: 'string', timing: 'string', notes: 'string', regimen: 'object' };
+  const REGIMEN_FIELDS = { min: 'number', max: 'number', unit: 'string', frequency: 'string', windows: 'string[]', food: 'string' };
+  const COMPOSITION_FIELDS = { nutrient: 'string', amount: 'number', unit: 'string' };
+  const INTERACTION_FIELDS = { substance: 'string', effect: 'string', severity: 'string' };
+  // A count is a number, a range { min, max } or { estimate, confidence } (see js/evidence.js)
+  const EVIDENCE_FIELDS = { totalStudies: 'count', humanStudies: 'count', rcts: 'count', metaAnalyses: 'count', systematicReviews: 'count' };
+  const OUTCOME_FIELDS = { category: 'string', outcome: 'string', evidence: 'object' };
+  // Provenance of imported counts (tools/import-pubmed.js)
+  const CHANGE_FIELDS = { date: 'string', summary: 'string' };
+  const EVIDENCE_SOURCE_FIELDS = { database: 'string', query: 'string', date: 'string', records: 'number' };
+  const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+  const FINDING_FIELDS = { finding: 'string', source: 'string', quality: 'string' };
+  const EFFECT_FIELDS = { type: 'string', value: 'number', ci: 'array' };
+  // Structured citations (see js/references.js)
+  const REFERENCE_FIELDS = { id: 'string', authors: 'string[]', year: 'number', title: 'string', journal: 'string' };
+  const REFERENCE_OPTIONAL = ['volume', 'issue', 'pages', 'doi', 'pmid', 'note'];
+  const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+  const PMID_PATTERN = /^\d{1,9}$/;
+
+  const STACK_FIELDS = {
+    id: 'string',
+    name: 'string',
+    tagline: 'string',
+    description: 'string',
+    blocks: 'array',
+    synergies: 'string[]',
+    categoryPotency: 'array',
+    evidenceAssessment: 'object',
+    warnings: 'string[]',
+    references: 'array'
+  };
+
+  const BLOCK_FIELDS = { id: 'string', name: 'string', timing: 'string', icon: 'string', rationale: 'string', items: 'array' };
+  const ITEM_FIELDS = { name: 'string', dose: 'string', role: 'string' };
+  const SYNERGY_FIELDS = { id: 'string', name: 'string', supplements: 'string[]', type: 'string', strength: 'string', evidenceLevel: 'string', description: 'string', mechanism: 'string' };
+  const POTENCY_FIELDS = { categoryId: 'string', rating: 'number', maxRating: 'number', rationale: 'string' };
+  const NUTRIENT_FIELDS = { id: 'string', name: 'string', unit: 'string' };
+  const NUTRIENT_UNITS = ['mg', 'g', 'μg'];
+  const DRUG_CLASS_FIELDS = { id: 'string', name: 'string', aliases: 'string[]' };
+
+  const ASSESSMENT_FIELDS = { overallScore: 'number', overallTier: 'string', overallLabel: 'string', rationale: 'string', strongestComponents: 'string[]', weakestComponents: 'string[]' };
+
+  // ──────────────────────────────
+  // HELPERS
+  // ──────────────────────────────
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    if (type === 'string[]') {
+      return Array.isArray(value) && value.every(v => typeof v === 'string');
+    }
+    if (type === 'count') {
+      return typeof value === 'number' || typeOf(value) === 'object';
+    }
+    return typeOf(value) === type;
+  }
+
+  /**
+   * Create an issue collector bound to a file and (optionally) an entry id.
+   * @param {string} file - Data file name, e.g. 'supplements.json'
+   * @param {Array} issues - Shared issue list to push into
+   * @returns {Function} report(path, message, entry)
+   */
+  function reporter(file, issues) {
+    return (path, message, entry) => {
+      issues.push({ file, path, entry: entry || null, message });
+    };
+  }
+
+  /**
+   * Check that every field in `spec` is present with the right type.
+   * Empty strings count as missing — WORKFLOW.md marks all fields required.
+   * @returns {boolean} true if the object itself was usable
+   */
+  function checkFields(obj, spec, path, report, entry) {
+    if (typeOf(obj) !== 'object') {
+      report(path, `must be an object (got ${typeOf(obj)})`, entry);
+      return false;
+    }
+    Object.entries(spec).forEach(([field, type]) => {
+      const value = obj[field];
+      if (value === undefined) {
+        report(`${path}.${field}`, 'is required', entry);
+      } else if (!matchesType(value, type)) {
+        report(`${path}.${field}`, `must be ${type === 'string[]' ? 'an array of strings' : 'a ' + type} (got ${typeOf(value)})`, entry);
+      } else if (type === 'string' && value.trim() === '') {
+        report(`${path}.${field}`, 'must not be empty', entry);
+      }
+    });
+    return true;
+  }
+
+  function checkEnum(value, allowed, path, report, entry) {
+    if (typeof value === 'string' && !allowed.includes(value)) {
+      report(path, `must be one of ${allowed.join(', ')} (got "${value}")`, entry);
+    }
+  }
+
+  function checkUniqueIds(records, path, report) {
+    const seen = new Map();
+    records.forEach((record, i) => {
+      if (!record || typeof record.id !== 'string') return;
+      if (seen.has(record.id)) {
+        report(`${path}[${i}].id`, `duplicate id (first used at ${path}[${seen.get(record.id)}])`, record.id);
+      } else {
+        seen.set(record.id, i);
+      }
+      if (!ID_PATTERN.test(record.id)) {
+        report(`${path}[${i}].id`, 'must be kebab-case (a-z, 0-9, hyphens)', record.id);
+      }
+    });
+  }
+
+  function checkRoot(json, key, file, report) {
+    if (typeOf(json) !== 'object' || !Array.isArray(json[key])) {
+      report(key, `${file} must contain a top-level "${key}" array`);
+      return [];
+    }
+    return json[key];
+  }
+
+  // ──────────────────────────────
+  // CATEGORIES
+  // ──────────────────────────────
+
+  function validateCategories(json, issues = []) {
+    const report = reporter('categories.json', issues);
+    const categories = checkRoot(json, 'categories', 'categories.json', report);
+
+    categories.forEach((cat, i) => {
+      const path = `categories[${i}]`;
+      const entry = cat && cat.id;
+      if (!checkFields(cat, CATEGORY_FIELDS, path, report, entry)) return;
+      if (typeof cat.color === 'string' && !HEX_COLOR.test(cat.color)) {
+        report(`${path}.color`, `must be a #RRGGBB hex color (got "${cat.color}")`, entry);
+      }
+    });
+    checkUniqueIds(categories, 'categories', report);
+
+    return issues;
+  }
+
+  // ──────────────────────────────
+  // NUTRIENTS
+  // ──────────────────────────────
+
+  function validateNutrients(json, issues = []) {
+    const report = reporter('nutrients.json', issues);
+    const nutrients = checkRoot(json, 'nutrients', 'nutrients.json', report);
+
+    nutrients.forEach((nutrient, i) => {
+      const path = `nutrients[${i}]`;
+      const entry = nutrient && nutrient.id;
+      if (!checkFields(nutrient, NUTRIENT_FIELDS, path, report, entry)) return;
+      checkEnum(nutrient.unit, NUTRIENT_UNITS, `${path}.unit`, report, entry);
+      if (nutrient.upperLimit === undefined) return;
+      if (typeof nutrient.upperLimit !== 'number' || nutrient.upperLimit <= 0) {
+        report(`${path}.upperLimit`, `must be a positive number (got ${JSON.stringify(nutrient.upperLimit)})`, entry);
+      }
+      if (typeof nutrient.upperLimitSource !== 'string' || nutrient.upperLimitSource.trim() === '') {
+        report(`${path}.upperLimitSource`, 'is required when upperLimit is set (e.g. "EFSA")', entry);
+      }
+    });
+    checkUniqueIds(nutrients, 'nutrients', report);
+
+    return issues;
+  }
+
+  // ──────────────────────────────
+  // DRUG CLASSES
+  // ──────────────────────────────
+
+  function validateDrugClasses(json, issues = []) {
+    const report = reporter('drug-classes.json', issues);
+    const drugClasses = checkRoot(json, 'drugClasses', 'drug-classes.json', report);
+
+    drugClasses.forEach((dc, i) => {
+      checkFields(dc, DRUG_CLASS_FIELDS, `drugClasses[${i}]`, report, dc && dc.id);
+    });
+    checkUniqueIds(drugClasses, 'drugClasses', report);
+
+    return issues;
+  }
+
+  // ──────────────────────────────
+  // SUPPLEMENTS
+  // ──────────────────────────────
+
+  const isCount = n => typeof n === 'number' && n >= 0 && Number.isInteger(n);
+
+  /**
+   * One study count: a non-negative integer, { min, max } or
+   * { estimate, confidence }.
+   * @returns {boolean} true if the count is usable
+   */
+  function checkCount(value, path, report, entry) {
+    if (typeof value === 'number') {
+      if (!isCount(value)) report(path, `must be a non-negative integer (got ${value})`, entry);
+      return isCount(value);
+    }
+    if ('estimate' in value) {
+      const confidences = Object.keys(Scoring.CONFIDENCE_SPREAD);
+      if (!isCount(value.estimate)) {
+        report(`${path}.estimate`, `must be a non-negative integer (got ${value.estimate})`, entry);
+        return false;
+      }
+      if (!confidences.includes(value.confidence)) {
+        report(`${path}.confidence`, `must be one of ${confidences.join(', ')} (got ${JSON.stringify(value.confidence)})`, entry);
+        return false;
+      }
+      return true;
+    }
+    if (!isCount(value.min) || !isCount(value.max)) {
+      report(path, 'must be a number, { min, max } or { estimate, confidence } with non-negative integers', entry);
+      return false;
+    }
+    if (value.min > value.max) {
+      report(path, `min (${value.min}) must not exceed max (${value.max})`, entry);
+      return false;
+    }
+    return true;
+  }
+
+  function validateEvidence(evidence, path, report, entry) {
+    if (!checkFields(evidence, EVIDENCE_FIELDS, path, report, entry)) return;
+
+    const usable = Object.keys(EVIDENCE_FIELDS)
+      .filter(field => matchesType(evidence[field], 'count'))
+      .map(field => checkCount(evidence[field], `${path}.${field}`, report, entry))
+      .every(Boolean);
+    if (!usable) return;
+
+    // Subset rules hold at both ends of the ranges
+    ['min', 'max'].forEach(bound => {
+      const { totalStudies, humanStudies, rcts } = Scoring.evidenceAt(evidence, bound);
+      const at = bound === 'min' ? ' (lower bounds)' : ' (upper bounds)';
+      const suffix = Scoring.isUncertain(evidence) ? at : '';
+      if (rcts > humanStudies) {
+        report(`${path}.rcts`, `rcts (${rcts}) must not exceed humanStudies (${humanStudies})${suffix}`, entry);
+      }
+      if (humanStudies > totalStudies) {
+        report(`${path}.humanStudies`, `humanStudies (${humanStudies}) must not exceed totalStudies (${totalStudies})${suffix}`, entry);
+      }
+    });
+  }
+
+  /**
+   * Where imported counts came from: the search, the day it was run and
+   * how many records it returned.
+   */
+  function validateEvidenceSource(source, path, report, entry) {
+    if (!checkFields(source, EVIDENCE_SOURCE_FIELDS, path, report, entry)) return;
+    if (typeof source.date === 'string' && !ISO_DATE.test(source.date)) {
+      report(`${path}.date`, `must be a YYYY-MM-DD date (got "${source.date}")`, entry);
+    }
+    if (typeof source.records === 'number' && !isCount(source.records)) {
+      report(`${path}.records`, `must be a non-negative integer (got ${source.records})`, entry);
+    }
+  }
+
+  /**
+   * Outcome evidence is a subset of the supplement's studies: each outcome
+   * names one of the supplement's categories (at most once) and none of its
+   * counts exceeds the overall evidence.
+   */
+  function validateOutcomes(supp, path, report, entry) {
+    if (!Array.isArray(supp.outcomes)) {
+      report(path, `must be an array (got ${typeOf(supp.outcomes)})`, entry);
+      return;
+    }
+    const seen = new Set();
+    supp.outcomes.forEach((o, j) => {
+      const oPath = `${path}[${j}]`;
+      if (!checkFields(o, OUTCOME_FIELDS, oPath, report, entry)) return;
+      if (typeof o.category === 'string') {
+        if (Array.isArray(supp.categories) && !supp.categories.includes(o.category)) {
+          report(`${oPath}.category`, `"${o.category}" is not one of the supplement's categories`, entry);
+        }
+        if (seen.has(o.category)) {
+          report(`${oPath}.category`, `duplicate outcome for category "${o.category}"`, entry);
+        }
+        seen.add(o.category);
+      }
+      if (o.evidenceSource !== undefined) {
+        validateEvidenceSource(o.evidenceSource, `${oPath}.evidenceSource`, report, entry);
+      }
+      if (typeOf(o.evidence) !== 'object') return;
+      validateEvidence(o.evidence, `${oPath}.evidence`, report, entry);
+      if (typeOf(supp.evidence) !== 'object') return;
+      Object.keys(EVIDENCE_FIELDS).forEach(field => {
+        if (!matchesType(o.evidence[field], 'count') || !matchesType(supp.evidence[field], 'count')) return;
+        const value = Scoring.countRange(o.evidence[field]);
+        const overall = Scoring.countRange(supp.evidence[field]);
+        if (value.max > overall.max) {
+          report(`${oPath}.evidence.${field}`, `${field} (${Scoring.formatCount(o.evidence[field])}) must not exceed the overall evidence (${Scoring.formatCount(supp.evidence[field])})`, entry);
+        }
+      });
+    });
+  }
+
+  /**
+   * Check a nutrient reference and that `unit` can be converted to the
+   * nutrient's unit. Without a nutrient list only IU convertibility is checked.
+   */
+  function checkNutrientAmount(nutrientId, unit, nutrients, path, report, entry) {
+    if (typeof nutrientId !== 'string') {
+      report(path, `must be a string (got ${typeOf(nutrientId)})`, entry);
+      return;
+    }
+    const nutrient = nutrients && nutrients.get(nutrientId);
+    if (nutrients && !nutrient) {
+      report(path, `unknown nutrient "${nutrientId}" (not in nutrients.json)`, entry);
+      return;
+    }
+    const target = nutrient ? nutrient.unit : 'mg';
+    if (typeof unit === 'string' && !DoseUnits.compatible(unit, target, nutrientId)) {
+      const hint = unit === 'IU' ? ' — no IU conversion factor for this nutrient' : '';
+      report(path, `amount in ${unit} can't be converted to ${nutrientId} (${target})${hint}`, entry);
+    }
+  }
+
+  function validateRegimen(regimen, path, nutrients, report, entry) {
+    if (!checkFields(regimen, REGIMEN_FIELDS, path, report, entry)) return;
+
+    const { min, max } = regimen;
+    if (typeof min === 'number' && min <= 0) {
+      report(`${path}.min`, `must be greater than 0 (got ${min})`, entry);
+    }
+    if (typeof min === 'number' && typeof max === 'number' && min > max) {
+      report(`${path}.max`, `max (${max}) must not be below min (${min})`, entry);
+    }
+    checkEnum(regimen.unit, DosageVocab.REGIMEN_UNITS, `${path}.unit`, report, entry);
+    if (regimen.substance !== undefined) {
+      checkNutrientAmount(regimen.substance, regimen.unit, nutrients, `${path}.substance`, report, entry);
+    } else if (regimen.unit === 'IU') {
+      report(`${path}.substance`, 'is required when unit is IU (needed to convert IU to mass)', entry);
+    }
+    checkEnum(regimen.frequency, DosageVocab.FREQUENCY_VALUES, `${path}.frequency`, report, entry);
+    checkEnum(regimen.food, DosageVocab.FOOD_VALUES, `${path}.food`, report, entry);
+    if (Array.isArray(regimen.windows)) {
+      regimen.windows.forEach((w, i) => checkEnum(w, DosageVocab.WINDOW_VALUES, `${path}.windows[${i}]`, report, entry));
+    }
+  }
+
+  function checkDrugClassRefs(value, drugClassIds, path, report, entry) {
+    if (!matchesType(value, 'string[]')) {
+      report(path, `must be an array of strings (got ${typeOf(value)})`, entry);
+      return;
+    }
+    value.forEach((cid, j) => {
+      if (drugClassIds && !drugClassIds.has(cid)) {
+        report(`${path}[${j}]`, `unknown drug class "${cid}" (not in drug-classes.json)`, entry);
+      }
+    });
+  }
+
+  /**
+   * The optional structured fields of a key finding. An effect needs an
+   * outcome (forest plots are grouped by it) and a 95% CI around its value.
+   */
+  function validateFindingEffect(f, path, report, entry) {
+    if (f.outcome !== undefined && (typeof f.outcome !== 'string' || f.outcome.trim() === '')) {
+      report(`${path}.outcome`, 'must be a non-empty string', entry);
+    }
+    if (f.n !== undefined && !(Number.isInteger(f.n) && f.n > 0)) {
+      report(`${path}.n`, `must be a positive integer (got ${f.n})`, entry);
+    }
+    if (f.design !== undefined) {
+      checkEnum(f.design, Effects.STUDY_DESIGNS.map(d => d.value), `${path}.design`, report, entry);
+    }
+    if (f.effect === undefined) return;
+
+    const ePath = `${path}.effect`;
+    if (f.outcome === undefined) {
+      report(`${path}.outcome`, 'is required when effect is set', entry);
+    }
+    if (!checkFields(f.effect, EFFECT_FIELDS, ePath, report, entry)) return;
+    const { type, value, ci, unit } = f.effect;
+    checkEnum(type, Effects.EFFECT_TYPES.map(t => t.id), `${ePath}.type`, report, entry);
+    if (unit !== undefined && typeof unit !== 'string') {
+      report(`${ePath}.unit`, `must be a string (got ${typeOf(unit)})`, entry);
+    }
+    if (!Array.isArray(ci) || ci.length !== 2 || !ci.every(v => typeof v === 'number')) {
+      report(`${ePath}.ci`, 'must be [lower, upper] — two numbers', entry);
+      return;
+    }
+    if (typeof value !== 'number') return;
+    if (!(ci[0] <= value && value <= ci[1])) {
+      report(`${ePath}.ci`, `must contain the value (${value} is outside [${ci[0]}, ${ci[1]}])`, entry);
+    }
+    if (Effects.isRatio(type) && ci[0] <= 0) {
+      report(`${ePath}.ci`, `${type} is a ratio — its interval must be above 0`, entry);
+    }
+  }
+
+  /**
+   * A finding's GRADE block: every domain rated, and a starting level that
+   * comes from `design` unless `start` overrides it.
+   */
+  function validateGrade(f, path, report, entry) {
+    const gPath = `${path}.grade`;
+    if (typeOf(f.grade) !== 'object') {
+      report(gPath, `must be an object (got ${typeOf(f.grade)})`, entry);
+      return;
+    }
+    const concerns = Object.keys(Grading.CONCERNS);
+    Grading.DOMAINS.forEach(({ key }) => {
+      if (f.grade[key] === undefined) {
+        report(`${gPath}.${key}`, `is required (one of ${concerns.join(', ')})`, entry);
+      } else {
+        checkEnum(f.grade[key], concerns, `${gPath}.${key}`, report, entry);
+      }
+    });
+    if (f.grade.start !== undefined) {
+      checkEnum(f.grade.start, Grading.LEVELS.map(l => l.id), `${gPath}.start`, report, entry);
+    } else if (f.design === undefined) {
+      report(`${path}.design`, 'is required when grade is set (it decides the starting level), or set grade.start', entry);
+    }
+  }
+
+  /**
+   * A supplement's or stack's references: structured citations with ids
+   * unique within the entry. Returns the ids, for checking finding refs.
+   */
+  function validateReferences(references, path, report, entry) {
+    const ids = new Set();
+    if (!Array.isArray(references)) return ids;
+    references.forEach((ref, j) => {
+      const rPath = `${path}[${j}]`;
+      if (!checkFields(ref, REFERENCE_FIELDS, rPath, report, entry)) return;
+      if (typeof ref.id === 'string') ids.add(ref.id);
+      if (Array.isArray(ref.authors) && ref.authors.length === 0) {
+        report(`${rPath}.authors`, 'must list at least one author', entry);
+      }
+      if (typeof ref.year === 'number' && !(Number.isInteger(ref.year) && ref.year >= 1800 && ref.year <= 2100)) {
+        report(`${rPath}.year`, `must be a four-digit year (got ${ref.year})`, entry);
+      }
+      if (ref.etAl !== undefined && typeof ref.etAl !== 'boolean') {
+        report(`${rPath}.etAl`, `must be a boolean (got ${typeOf(ref.etAl)})`, entry);
+      }
+      REFERENCE_OPTIONAL.forEach(field => {
+        if (ref[field] !== undefined && (typeof ref[field] !== 'string' || ref[field].trim() === '')) {
+          report(`${rPath}.${field}`, 'must be a non-empty string', entry);
+        }
+      });
+      if (typeof ref.doi === 'string' && !DOI_PATTERN.test(ref.doi)) {
+        report(`${rPath}.doi`, `must be a bare DOI like "10.1136/bmj.i6583" (got "${ref.doi}")`, entry);
+      }
+      if (typeof ref.pmid === 'string' && !PMID_PATTERN.test(ref.pmid)) {
+        report(`${rPath}.pmid`, `must be a numeric PubMed id (got "${ref.pmid}")`, entry);
+      }
+    });
+    checkUniqueIds(references, path, report);
+    return ids;
+  }
+
+  function checkDate(value, path, report, entry) {
+    if (typeof value !== 'string') return;
+    const time = Dates.parseDate(value);
+    if (time === null) {
+      report(path, `must be a YYYY-MM-DD date (got "${value}")`, entry);
+    } else if (time > Dates.parseDate(Dates.today())) {
+      report(path, `must not be in the future (got ${value})`, entry);
+    }
+  }
+
+  /**
+   * Optional review date and changelog of a supplement or stack: real,
+   * past dates and changes listed newest first. An entry without
+   * lastReviewed has never been reviewed (Freshness counts it as stale).
+   */
+  function validateFreshness(record, path, report, entry) {
+    if (record.lastReviewed !== undefined && typeof record.lastReviewed !== 'string') {
+      report(`${path}.lastReviewed`, `must be a string (got ${typeOf(record.lastReviewed)})`, entry);
+    }
+    checkDate(record.lastReviewed, `${path}.lastReviewed`, report, entry);
+    if (record.changelog === undefined) return;
+    if (!Array.isArray(record.changelog)) {
+      report(`${path}.changelog`, `must be an array (got ${typeOf(record.changelog)})`, entry);
+      return;
+    }
+    record.changelog.forEach((change, j) => {
+      const cPath = `${path}.changelog[${j}]`;
+      if (!checkFields(change, CHANGE_FIELDS, cPath, report, entry)) return;
+      checkDate(change.date, `${cPath}.date`, report, entry);
+      const previous = record.changelog[j - 1];
+      if (previous && typeof previous.date === 'string' && typeof change.date === 'string' && change.date > previous.date) {
+        report(`${cPath}.date`, `changelog must be newest first (${change.date} is after ${previous.date})`, entry);
+      }
+    });
+  }
+
+  function validateInteraction(int, path, supplementIds, drugClassIds, report, entry) {
+    if (!checkFields(int, INTERACTION_FIELDS, path, report, entry)) return;
+    checkEnum(int.severity, SEVERITIES, `${path}.severity`, report, entry);
+
+    if (int.supplementIds !== undefined) {
+      if (!matchesType(int.supplementIds, 'string[]')) {
+        report(`${path}.supplementIds`, `must be an array of strings (got ${typeOf(int.supplementIds)})`, entry);
+      } else {
+        int.supplementIds.forEach((sid, k) => {
+          if (sid === entry) {
+            report(`${path}.supplementIds[${k}]`, 'must not point at the supplement itself', entry);
+          } else if (supplementIds && !supplementIds.has(sid)) {
+            report(`${path}.supplementIds[${k}]`, `unknown supplement "${sid}" (not in supplements.json)`, entry);
+          }
+        });
+      }
+    }
+    if (int.drugClasses !== undefined) {
+      checkDrugClassRefs(int.drugClasses, drugClassIds, `${path}.drugClasses`, report, entry);
+    }
+  }
+
+  function validateSupplement(supp, path, refs, report) {
+    const { categoryIds, nutrients, supplementIds, drugClassIds } = refs;
+    const entry = supp && supp.id;
+    if (!checkFields(supp, SUPPLEMENT_FIELDS, path, report, entry)) return;
+
+    if (Array.isArray(supp.categories)) {
+      if (supp.categories.length === 0) {
+        report(`${path}.categories`, 'must list at least one category', entry);
+      }
+      supp.categories.forEach((cid, j) => {
+        if (categoryIds && !categoryIds.has(cid)) {
+          report(`${path}.categories[${j}]`, `unknown category "${cid}" (not in categories.json)`, entry);
+        }
+      });
+    }
+
+    if (supp.drugClasses !== undefined) {
+      checkDrugClassRefs(supp.drugClasses, drugClassIds, `${path}.drugClasses`, report, entry);
+    }
+
+    if (Array.isArray(supp.forms)) {
+      supp.forms.forEach((form, j) => checkFields(form, FORM_FIELDS, `${path}.forms[${j}]`, report, entry));
+    }
+
+    if (supp.dosage !== undefined && checkFields(supp.dosage, DOSAGE_FIELDS, `${path}.dosage`, report, entry)) {
+      if (supp.dosage.regimen !== undefined) {
+        validateRegimen(supp.dosage.regimen, `${path}.dosage.regimen`, nutrients, report, entry);
+      }
+    }
+
+    if (supp.composition !== undefined) {
+      if (!Array.isArray(supp.composition)) {
+        report(`${path}.composition`, `must be an array (got ${typeOf(supp.composition)})`, entry);
+      } else {
+        supp.composition.forEach((c, j) => {
+          const cPath = `${path}.composition[${j}]`;
+          if (!checkFields(c, COMPOSITION_FIELDS, cPath, report, entry)) return;
+          if (typeof c.amount === 'number' && c.amount <= 0) {
+            report(`${cPath}.amount`, `must be greater than 0 (got ${c.amount})`, entry);
+          }
+          checkNutrientAmount(c.nutrient, c.unit, nutrients, `${cPath}.nutrient`, report, entry);
+        });
+      }
+    }
+
+    if (Array.isArray(supp.interactions)) {
+      supp.interactions.forEach((int, j) => {
+        validateInteraction(int, `${path}.interactions[${j}]`, supplementIds, drugClassIds, report, entry);
+      });
+    }
+
+    if (supp.evidence !== undefined) {
+      validateEvidence(supp.evidence, `${path}.evidence`, report, entry);
+    }
+
+    if (supp.evidenceSource !== undefined) {
+      validateEvidenceSource(supp.evidenceSource, `${path}.evidenceSource`, report, entry);
+    }
+
+    if (supp.outcomes !== undefined) {
+      validateOutcomes(supp, `${path}.outcomes`, report, entry);
+    }
+
+    const referenceIds = validateReferences(supp.references, `${path}.references`, report, entry);
+    validateFreshness(supp, path, report, entry);
+
+    if (Array.isArray(supp.keyFindings)) {
+      supp.keyFindings.forEach((f, j) => {
+        const fPath = `${path}.keyFindings[${j}]`;
+        if (!checkFields(f, FINDING_FIELDS, fPath, report, entry)) return;
+        checkEnum(f.quality, FINDING_QUALITIES, `${fPath}.quality`, report, entry);
+        if (f.ref !== undefined && !referenceIds.has(f.ref)) {
+          report(`${fPath}.ref`, `unknown reference "${f.ref}" (not in this supplement's references)`, entry);
+        }
+        validateFindingEffect(f, fPath, report, entry);
+        if (f.grade !== undefined) validateGrade(f, fPath, report, entry);
+      });
+    }
+  }
+
+  /**
+   * @param {Object} json - Parsed supplements.json
+   * @param {Set<string>} [categoryIds] - Known category ids for cross-reference checks
+   * @param {Map<string, Object>} [nutrients] - Known nutrients by id, for regimen.substance and composition
+   * @param {Set<string>} [drugClassIds] - Known drug class ids, for interaction targets and membership
+   * @param {Array} [issues] - Issue list to append to
+   */
+  function validateSupplements(json, categoryIds, nutrients, drugClassIds, issues = []) {
+    const report = reporter('supplements.json', issues);
+    const supplements = checkRoot(json, 'supplements', 'supplements.json', report);
+    const refs = { categoryIds, nutrients, supplementIds: idSet(json, 'supplements'), drugClassIds };
+
+    supplements.forEach((supp, i) => validateSupplement(supp, `supplements[${i}]`, refs, report));
+    checkUniqueIds(supplements, 'supplements', report);
+
+    return issues;
+  }
+
+  // ──────────────────────────────
+  // STACKS
+  // ──────────────────────────────
+
+  function validateStack(stack, path, supplementIds, categoryIds, synergyIds, report) {
+    const entry = stack && stack.id;
+    if (!checkFields(stack, STACK_FIELDS, path, report, entry)) return;
+
+    if (Array.isArray(stack.blocks)) {
+      checkUniqueIds(stack.blocks, `${path}.blocks`, report);
+      stack.blocks.forEach((block, j) => {
+        const blockPath = `${path}.blocks[${j}]`;
+        if (!checkFields(block, BLOCK_FIELDS, blockPath, report, entry)) return;
+        if (!Array.isArray(block.items)) return;
+
+        block.items.forEach((item, k) => {
+          const itemPath = `${blockPath}.items[${k}]`;
+          if (!checkFields(item, ITEM_FIELDS, itemPath, report, entry)) return;
+          if (!('supplementId' in item)) {
+            report(`${itemPath}.supplementId`, 'is required (use null if the supplement is not in the database)', entry);
+          } else if (item.supplementId !== null) {
+            if (typeof item.supplementId !== 'string') {
+              report(`${itemPath}.supplementId`, `must be a string or null (got ${typeOf(item.supplementId)})`, entry);
+            } else if (supplementIds && !supplementIds.has(item.supplementId)) {
+              report(`${itemPath}.supplementId`, `unknown supplement "${item.supplementId}" (not in supplements.json)`, entry);
+            }
+          }
+        });
+      });
+    }
+
+    if (Array.isArray(stack.synergies)) {
+      stack.synergies.forEach((sid, j) => {
+        if (synergyIds && typeof sid === 'string' && !synergyIds.has(sid)) {
+          report(`${path}.synergies[${j}]`, `unknown synergy "${sid}" (not in synergies.json)`, entry);
+        }
+      });
+    }
+
+    if (Array.isArray(stack.categoryPotency)) {
+      stack.categoryPotency.forEach((cp, j) => {
+        const cpPath = `${path}.categoryPotency[${j}]`;
+        if (!checkFields(cp, POTENCY_FIELDS, cpPath, report, entry)) return;
+        if (categoryIds && typeof cp.categoryId === 'string' && !categoryIds.has(cp.categoryId)) {
+          report(`${cpPath}.categoryId`, `unknown category "${cp.categoryId}" (not in categories.json)`, entry);
+        }
+        if (typeof cp.rating === 'number' && typeof cp.maxRating === 'number' && (cp.rating < 0 || cp.rating > cp.maxRating)) {
+          report(`${cpPath}.rating`, `must be between 0 and maxRating (${cp.maxRating})`, entry);
+        }
+      });
+    }
+
+    validateReferences(stack.references, `${path}.references`, report, entry);
+    validateFreshness(stack, path, report, entry);
+
+    if (stack.evidenceAssessment !== undefined) {
+      const eaPath = `${path}.evidenceAssessment`;
+      if (checkFields(stack.evidenceAssessment, ASSESSMENT_FIELDS, eaPath, report, entry)) {
+        const score = stack.evidenceAssessment.overallScore;
+        if (typeof score === 'number' && (score < 0 || score > 100)) {
+          report(`${eaPath}.overallScore`, `must be between 0 and 100 (got ${score})`, entry);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {Object} json - Parsed stacks.json
+   * @param {Set<string>} [supplementIds] - Known supplement ids
+   * @param {Set<string>} [categoryIds] - Known category ids
+   * @param {Set<string>} [synergyIds] - Known synergy ids
+   * @param {Array} [issues] - Issue list to append to
+   */
+  function validateStacks(json, supplementIds, categoryIds, synergyIds, issues = []) {
+    const report = reporter('stacks.json', issues);
+    const stacks = checkRoot(json, 'stacks', 'stacks.json', report);
+
+    stacks.forEach((stack, i) => validateStack(stack, `stacks[${i}]`, supplementIds, categoryIds, synergyIds, report));
+    checkUniqueIds(stacks, 'stacks', report);
+
+    return issues;
+  }
+
+  // ──────────────────────────────
+  // SYNERGIES
+  // ──────────────────────────────
+
+  /**
+   * @param {Object} json - Parsed synergies.json
+   * @param {Set<string>} [supplementIds] - Known supplement ids
+   * @param {Array} [issues] - Issue list to append to
+   */
+  function validateSynergies(json, supplementIds, issues = []) {
+    const report = reporter('synergies.json', issues);
+    const synergies = checkRoot(json, 'synergies', 'synergies.json', report);
+
+    synergies.forEach((syn, i) => {
+      const path = `synergies[${i}]`;
+      const entry = syn && syn.id;
+      if (!checkFields(syn, SYNERGY_FIELDS, path, report, entry)) return;
+      checkEnum(syn.strength, SYNERGY_STRENGTHS, `${path}.strength`, report, entry);
+      checkEnum(syn.evidenceLevel, EVIDENCE_LEVELS, `${path}.evidenceLevel`, report, entry);
+      if (!Array.isArray(syn.supplements)) return;
+      if (syn.supplements.length < 2) {
+        report(`${path}.supplements`, 'must list at least two supplements', entry);
+      }
+      syn.supplements.forEach((sid, j) => {
+        if (supplementIds && !supplementIds.has(sid)) {
+          report(`${path}.supplements[${j}]`, `unknown supplement "${sid}" (not in supplements.json)`, entry);
+        } else if (syn.supplements.indexOf(sid) !== j) {
+          report(`${path}.supplements[${j}]`, `"${sid}" is listed twice`, entry);
+        }
+      });
+    });
+    checkUniqueIds(synergies, 'synergies', report);
+
+    return issues;
+  }
+
+  // ──────────────────────────────
+  // FULL DATASET
+  // ──────────────────────────────
+
+  function idSet(json, key) {
+    const records = json && Array.isArray(json[key]) ? json[key] : [];
+    return new Set(records.filter(r => r && typeof r.id === 'string').map(r => r.id));
+  }
+
+  /**
+   * Validate the data files together, including cross-references.
+   * @param {Object} files - { categories, supplements, stacks, nutrients, drugClasses, synergies } — parsed JSON of each file
+   * @returns {Array} Issues ({ file, path, entry, message })
+   */
+  function validateAll(files) {
+    const issues = [];
+    const categoryIds = idSet(files.categories, 'categories');
+    const supplementIds = idSet(files.supplements, 'supplements');
+    let nutrients;
+    if (files.nutrients !== undefined) {
+      validateNutrients(files.nutrients, issues);
+      const records = Array.isArray(files.nutrients && files.nutrients.nutrients) ? files.nutrients.nutrients : [];
+      nutrients = new Map(records.filter(n => n && typeof n.id === 'string').map(n => [n.id, n]));
+    }
+    let drugClassIds;
+    if (files.drugClasses !== undefined) {
+      validateDrugClasses(files.drugClasses, issues);
+      drugClassIds = idSet(files.drugClasses, 'drugClasses');
+    }
+
+    validateCategories(files.categories, issues);
+    validateSupplements(files.supplements, categoryIds, nutrients, drugClassIds, issues);
+    let synergyIds;
+    if (files.synergies !== undefined) {
+      validateSynergies(files.synergies, supplementIds, issues);
+      synergyIds = idSet(files.synergies, 'synergies');
+    }
+    if (files.stacks !== undefined) {
+      validateStacks(files.stacks, supplementIds, categoryIds, synergyIds, issues);
+    }
+
+    return issues;
+  }
+
+  return {
+    validateAll,
+    validateCategories,
+    validateNutrients,
+    validateDrugClasses,
+    validateSupplements,
+    validateStacks,
+    validateSynergies,
+    SEVERITIES,
+    FINDING_QUALITIES
+  };
+
+})();
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataValidator;
+}
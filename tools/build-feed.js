@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Feed Builder CLI
+ *
+ * Writes feed.xml, an Atom feed with one entry per changelog item of every
+ * supplement and stack (newest first), and lists the entries that are due
+ * for review. Re-run it after editing a `changelog`, and commit the feed
+ * with the data change.
+ *
+ * Entry ids are tag URIs built from the supplement or stack id and the
+ * change date, so they stay stable wherever the site is hosted. Links are
+ * relative to --base-url (xml:base) when it is given.
+ *
+ * Several changes to one entry on one day are numbered from the oldest
+ * (…/2026-10-19, …/2026-10-19/2, …), so adding a change never renames a
+ * published entry.
+ *
+ * Usage:
+ *   node tools/build-feed.js [options] [dataDir]
+ *
+ *   --base-url <url>     Address the site is served from, e.g. https://example.org/supplements/
+ *   --stale-after <days> Review age that counts as stale (default: Freshness.STALE_AFTER_DAYS)
+ *   --limit <n>          Newest changes to include (default: 50)
+ *   --out <file>         Output file (default: feed.xml in the repo root)
+ *   --check              Don't write; exit with status 1 if the feed is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Freshness = require('../js/freshness.js');
+const { DEFAULT_DATA_DIR, readDataFiles } = require('./lib/data-files.js');
+
+const FEED_TITLE = 'Supplements Encyclopedia — Recent changes';
+const TAG_AUTHORITY = 'supplements-encyclopedia,2026';
+const DEFAULT_LIMIT = 50;
+const DEFAULT_OUT = path.join(__dirname, '..', 'feed.xml');
+
+function parseArgs(argv) {
+  const args = {
+    baseUrl: '',
+    staleAfterDays: Freshness.STALE_AFTER_DAYS,
+    limit: DEFAULT_LIMIT,
+    out: DEFAULT_OUT,
+    check: false,
+    dataDir: DEFAULT_DATA_DIR,
+    unknown: []
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--base-url') args.baseUrl = argv[++i] || '';
+    else if (arg === '--stale-after') args.staleAfterDays = Number(argv[++i]);
+    else if (arg === '--limit') args.limit = Number(argv[++i]);
+    else if (arg === '--out') args.out = path.resolve(argv[++i] || '');
+    else if (arg === '--check') args.check = true;
+    else if (arg.startsWith('--')) args.unknown.push(arg);
+    else args.dataDir = path.resolve(arg);
+  }
+  return args;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Changes carry a date only; Atom wants a timestamp
+function timestamp(date) {
+  return `${date}T00:00:00Z`;
+}
+
+/**
+ * The Atom document for a list of changes (Freshness.recentChanges).
+ * Only derived from the data, so an unchanged dataset gives an identical file.
+ */
+function buildFeed(changes, baseUrl) {
+  const updated = changes.length > 0 ? timestamp(changes[0].date) : timestamp('1970-01-01');
+  const base = baseUrl ? ` xml:base="${escapeXml(baseUrl)}"` : '';
+
+  const entries = changes.map(change => {
+    const key = `${change.kind}/${change.entry.id}/${change.date}`;
+    // The changelog is newest first: count this change and the older ones from the same day
+    const n = change.entry.changelog.slice(change.index).filter(c => c.date === change.date).length;
+    const id = `tag:${TAG_AUTHORITY}:${key}${n > 1 ? `/${n}` : ''}`;
+    const kind = change.kind === 'stack' ? 'Stack' : 'Supplement';
+    return [
+      '  <entry>',
+      `    <id>${id}</id>`,
+      `    <title>${escapeXml(change.entry.name)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(change.url)}"/>`,
+      `    <updated>${timestamp(change.date)}</updated>`,
+      `    <category term="${change.kind}" label="${kind}"/>`,
+      `    <summary>${escapeXml(change.summary)}</summary>`,
+      '  </entry>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${base}>`,
+    `  <id>tag:${TAG_AUTHORITY}:changes</id>`,
+    `  <title>${escapeXml(FEED_TITLE)}</title>`,
+    '  <link rel="alternate" type="text/html" href="index.html"/>',
+    '  <link rel="self" type="application/atom+xml" href="feed.xml"/>',
+    `  <updated>${updated}</updated>`,
+    '  <author><name>Supplements Encyclopedia editors</name></author>',
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.unknown.length > 0) {
+    console.error(`Unknown option${args.unknown.length !== 1 ? 's' : ''}: ${args.unknown.join(', ')}`);
+    console.error('Usage: node tools/build-feed.js [--base-url <url>] [--stale-after <days>] [--limit <n>] [--out <file>] [--check] [dataDir]');
+    return 1;
+  }
+  if (!(args.staleAfterDays > 0) || !(args.limit > 0)) {
+    console.error('--stale-after and --limit must be positive numbers');
+    return 1;
+  }
+
+  const { files, errors } = readDataFiles(args.dataDir, ['supplements', 'stacks']);
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`${e.file}: ${e.message}`));
+    return 1;
+  }
+  const supplements = files.supplements.supplements;
+  const stacks = files.stacks.stacks;
+
+  const changes = Freshness.recentChanges(supplements, stacks, args.limit);
+  const feed = buildFeed(changes, args.baseUrl);
+  const relOut = path.relative(process.cwd(), args.out);
+
+  if (args.check) {
+    const current = fs.existsSync(args.out) ? fs.readFileSync(args.out, 'utf8') : '';
+    if (current !== feed) {
+      console.error(`✗ ${relOut} is out of date — run node tools/build-feed.js`);
+      return 1;
+    }
+    console.log(`✓ ${relOut} is up to date`);
+  } else {
+    fs.writeFileSync(args.out, feed);
+    console.log(`Wrote ${relOut} — ${changes.length} change${changes.length !== 1 ? 's' : ''}`);
+  }
+
+  const stale = [...supplements, ...stacks]
+    .map(entry => ({ entry, status: Freshness.reviewStatus(entry, { staleAfterDays: args.staleAfterDays }) }))
+    .filter(({ status }) => status.stale);
+  if (stale.length > 0) {
+    console.log(`\nDue for review (not reviewed in ${args.staleAfterDays} days):`);
+    stale.forEach(({ entry, status }) => {
+      console.log(`  ${entry.id.padEnd(28)} ${status.date ? `last reviewed ${status.date} (${status.days} days ago)` : 'never reviewed'}`);
+    });
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+/**
+ * Dataset Diff CLI
+ *
+ * Compares two versions of supplements.json and reports what changed for
+ * each supplement in terms a content reviewer cares about, rather than as
+ * a line diff:
+ *
+ *   - entries added or removed
+ *   - evidence score and tier (EvidenceScoring.assess), overall and per outcome
+ *   - interactions added or removed (matched by `substance`) and severity changes
+ *   - dosage text changes, including the structured regimen
+ *
+ * Each version is a supplements.json file, a data directory holding one,
+ * or a git revision and path such as main:data/supplements.json, so a
+ * branch can be reviewed before it is merged:
+ *
+ *   node tools/diff-data.js main:data/supplements.json data/
+ *
+ * Usage:
+ *   node tools/diff-data.js <old> <new> [options]
+ *
+ *   --format <markdown|json>  Output format (default: markdown)
+ *   --out <file>              Write the report to a file instead of stdout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const EvidenceScoring = require('../js/evidence.js');
+const Dosage = require('../js/dosage.js');
+const { DATA_FILES, readJSON } = require('./lib/data-files.js');
+
+const FORMATS = ['markdown', 'json'];
+const DOSAGE_FIELDS = ['standard', 'loading', 'optimal', 'timing', 'notes'];
+const REPO_ROOT = path.join(__dirname, '..');
+
+function parseArgs(argv) {
+  const args = { versions: [], format: 'markdown', out: '' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') args.format = argv[++i] || '';
+    else if (arg === '--out') args.out = path.resolve(argv[++i] || '');
+    else args.versions.push(arg);
+  }
+  return args;
+}
+
+/**
+ * Load one version of supplements.json.
+ * @param {string} spec - File, data directory or "<rev>:<path>"
+ * @returns {{ supplements: (Array|undefined), error: (string|null) }}
+ */
+function loadVersion(spec) {
+  let json;
+  if (fs.existsSync(spec)) {
+    const file = fs.statSync(spec).isDirectory() ? path.join(spec, DATA_FILES.supplements) : spec;
+    const result = readJSON(file);
+    if (result.error) return { supplements: undefined, error: result.error };
+    json = result.json;
+  } else if (spec.includes(':')) {
+    try {
+      json = JSON.parse(execFileSync('git', ['show', spec], { cwd: REPO_ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] }));
+    } catch (err) {
+      const reason = err.stderr ? String(err.stderr).trim() : err.message;
+      return { supplements: undefined, error: reason || 'cannot read from git' };
+    }
+  } else {
+    return { supplements: undefined, error: 'no such file or directory' };
+  }
+  if (!json || !Array.isArray(json.supplements)) {
+    return { supplements: undefined, error: 'no "supplements" array' };
+  }
+  return { supplements: json.supplements, error: null };
+}
+
+// ──────────────────────────────
+// COMPARISON
+// ──────────────────────────────
+
+function scoreOf(evidence) {
+  const { score, tier } = EvidenceScoring.assess(evidence);
+  return { score, tier };
+}
+
+// null when neither the score nor the tier moved
+function scoreChange(oldEvidence, newEvidence) {
+  const before = scoreOf(oldEvidence);
+  const after = scoreOf(newEvidence);
+  if (before.score === after.score && before.tier === after.tier) return null;
+  return { old: before, new: after, delta: after.score - before.score };
+}
+
+/**
+ * Score changes of the per-outcome evidence, matched by category.
+ * An outcome only on one side compares against nothing (score null).
+ */
+function outcomeChanges(oldSupp, newSupp) {
+  const before = new Map((oldSupp.outcomes || []).map(o => [o.category, o]));
+  const after = new Map((newSupp.outcomes || []).map(o => [o.category, o]));
+  const categories = [...new Set([...before.keys(), ...after.keys()])];
+
+  return categories.map(category => {
+    const o = before.get(category);
+    const n = after.get(category);
+    const outcome = (n || o).outcome;
+    if (!o || !n) {
+      return { category, outcome, old: o ? scoreOf(o.evidence) : null, new: n ? scoreOf(n.evidence) : null, delta: null };
+    }
+    const change = scoreChange(o.evidence, n.evidence);
+    return change ? { category, outcome, ...change } : null;
+  }).filter(Boolean);
+}
+
+function interactionKey(interaction) {
+  return interaction.substance.trim().toLowerCase();
+}
+
+function interactionChanges(oldSupp, newSupp) {
+  const before = new Map((oldSupp.interactions || []).map(i => [interactionKey(i), i]));
+  const after = new Map((newSupp.interactions || []).map(i => [interactionKey(i), i]));
+  const summary = i => ({ substance: i.substance, severity: i.severity });
+
+  const added = [...after.keys()].filter(key => !before.has(key)).map(key => summary(after.get(key)));
+  const removed = [...before.keys()].filter(key => !after.has(key)).map(key => summary(before.get(key)));
+  const severity = [...after.keys()]
+    .filter(key => before.has(key) && before.get(key).severity !== after.get(key).severity)
+    .map(key => ({ substance: after.get(key).substance, old: before.get(key).severity, new: after.get(key).severity }));
+
+  if (added.length + removed.length + severity.length === 0) return null;
+  return { added, removed, severity };
+}
+
+// "200–400 mg · Once daily · Evening · With or without food"
+function regimenText(regimen) {
+  if (!regimen) return '';
+  const { amount, frequency, windows, food } = Dosage.describe(regimen);
+  return [amount, frequency, windows, food].filter(Boolean).join(' · ');
+}
+
+function dosageChanges(oldSupp, newSupp) {
+  const before = oldSupp.dosage || {};
+  const after = newSupp.dosage || {};
+  const changes = DOSAGE_FIELDS
+    .filter(field => (before[field] || '') !== (after[field] || ''))
+    .map(field => ({ field, old: before[field] || '', new: after[field] || '' }));
+
+  const oldRegimen = regimenText(before.regimen);
+  const newRegimen = regimenText(after.regimen);
+  if (oldRegimen !== newRegimen) changes.push({ field: 'regimen', old: oldRegimen, new: newRegimen });
+  return changes;
+}
+
+/**
+ * Semantic changes between two lists of supplements.
+ * @param {Array} oldSupplements
+ * @param {Array} newSupplements
+ * @returns {Object} { added, removed, changed } where added and removed
+ *   hold { id, name, score, tier } and each changed entry holds
+ *   { id, name, evidence, outcomes, interactions, dosage } (evidence and
+ *   interactions are null when unchanged)
+ */
+function diffSupplements(oldSupplements, newSupplements) {
+  const before = new Map(oldSupplements.map(s => [s.id, s]));
+  const after = new Map(newSupplements.map(s => [s.id, s]));
+  const entry = s => ({ id: s.id, name: s.name, ...scoreOf(s.evidence) });
+
+  const added = newSupplements.filter(s => !before.has(s.id)).map(entry);
+  const removed = oldSupplements.filter(s => !after.has(s.id)).map(entry);
+
+  const changed = newSupplements.filter(s => before.has(s.id)).map(s => {
+    const old = before.get(s.id);
+    const change = {
+      id: s.id,
+      name: s.name,
+      evidence: scoreChange(old.evidence, s.evidence),
+      outcomes: outcomeChanges(old, s),
+      interactions: interactionChanges(old, s),
+      dosage: dosageChanges(old, s)
+    };
+    const hasChanges = change.evidence || change.outcomes.length > 0 || change.interactions || change.dosage.length > 0;
+    return hasChanges ? change : null;
+  }).filter(Boolean);
+
+  return { added, removed, changed };
+}
+
+// ──────────────────────────────
+// REPORTS
+// ──────────────────────────────
+
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+function scoreLine(change) {
+  const tier = change.old.tier === change.new.tier
+    ? `tier ${change.new.tier}`
+    : `**tier ${change.old.tier} → ${change.new.tier}**`;
+  return `score ${change.old.score} → ${change.new.score} (${signed(change.delta)}), ${tier}`;
+}
+
+function quote(text) {
+  return text ? `“${text}”` : '_(none)_';
+}
+
+function markdownEntry(change) {
+  const lines = [`### ${change.name} (\`${change.id}\`)`, ''];
+
+  if (change.evidence) lines.push(`- **Evidence:** ${scoreLine(change.evidence)}`);
+  change.outcomes.forEach(o => {
+    const label = `**${o.outcome}** (\`${o.category}\`)`;
+    if (!o.old) lines.push(`- ${label}: outcome added — score ${o.new.score}, tier ${o.new.tier}`);
+    else if (!o.new) lines.push(`- ${label}: outcome removed (was score ${o.old.score}, tier ${o.old.tier})`);
+    else lines.push(`- ${label}: ${scoreLine(o)}`);
+  });
+
+  if (change.interactions) {
+    lines.push('- **Interactions:**');
+    change.interactions.added.forEach(i => lines.push(`  - added: ${i.substance} (${i.severity})`));
+    change.interactions.removed.forEach(i => lines.push(`  - removed: ${i.substance} (${i.severity})`));
+    change.interactions.severity.forEach(i => lines.push(`  - ${i.substance}: ${i.old} → **${i.new}**`));
+  }
+
+  if (change.dosage.length > 0) {
+    lines.push('- **Dosage:**');
+    change.dosage.forEach(d => lines.push(`  - \`${d.field}\`: ${quote(d.old)} → ${quote(d.new)}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The diff as a Markdown review comment.
+ */
+function toMarkdown(diff, labels) {
+  const tierChanges = diff.changed.filter(c => c.evidence && c.evidence.old.tier !== c.evidence.new.tier).length;
+  const lines = [
+    '# Supplement data changes',
+    '',
+    `\`${labels.old}\` → \`${labels.new}\``,
+    '',
+    `${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed` +
+      (tierChanges > 0 ? ` (${tierChanges} tier change${tierChanges !== 1 ? 's' : ''})` : '')
+  ];
+
+  if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+    lines.push('', 'No changes to evidence, interactions or dosage.');
+  }
+  if (diff.added.length > 0) {
+    lines.push('', '## Added', '');
+    diff.added.forEach(s => lines.push(`- **${s.name}** (\`${s.id}\`) — score ${s.score}, tier ${s.tier}`));
+  }
+  if (diff.removed.length > 0) {
+    lines.push('', '## Removed', '');
+    diff.removed.forEach(s => lines.push(`- **${s.name}** (\`${s.id}\`) — was score ${s.score}, tier ${s.tier}`));
+  }
+  if (diff.changed.length > 0) {
+    lines.push('', '## Changed');
+    diff.changed.forEach(change => lines.push('', markdownEntry(change)));
+  }
+  return lines.join('\n') + '\n';
+}
+
+function toJSON(diff, labels) {
+  return JSON.stringify({ old: labels.old, new: labels.new, ...diff }, null, 2) + '\n';
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (args.versions.length !== 2) {
+    console.error('Usage: node tools/diff-data.js <old> <new> [--format markdown|json] [--out <file>]');
+    return 1;
+  }
+  if (!FORMATS.includes(args.format)) {
+    console.error(`--format must be one of: ${FORMATS.join(', ')}`);
+    return 1;
+  }
+
+  const [oldSpec, newSpec] = args.versions;
+  const before = loadVersion(oldSpec);
+  const after = loadVersion(newSpec);
+  const failed = [[oldSpec, before], [newSpec, after]].filter(([, version]) => version.error);
+  if (failed.length > 0) {
+    failed.forEach(([spec, version]) => console.error(`${spec}: ${version.error}`));
+    return 1;
+  }
+
+  const diff = diffSupplements(before.supplements, after.supplements);
+  const labels = { old: oldSpec, new: newSpec };
+  const report = args.format === 'json' ? toJSON(diff, labels) : toMarkdown(diff, labels);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, report);
+    console.log(`Wrote ${path.relative(process.cwd(), args.out)}`);
+  } else {
+    process.stdout.write(report);
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,408 @@
+#!/usr/bin/env node
+/**
+ * PubMed Import CLI
+ *
+ * Proposes `evidence` counts for one supplement from PubMed search results
+ * saved to disk, so the numbers can be reproduced instead of typed in from
+ * a search page. Run the search on PubMed, "Save" all results, then:
+ *
+ *   node tools/import-pubmed.js magnesium pubmed-magnesium.txt \
+ *     --query '"magnesium" AND (supplement OR supplementation)'
+ *
+ * Accepted exports (several files are merged, duplicates dropped by PMID):
+ *   .txt / .nbib   PubMed format (MEDLINE tags: PMID, PT, MH)
+ *   .xml           PubMed XML (<PubmedArticle> records)
+ *   .csv           CSV — has no publication types or MeSH terms unless a
+ *                  "Publication Type" column was added, so meta-analyses,
+ *                  systematic reviews and RCTs are recognized from titles
+ *                  and humanStudies is left as it is
+ *
+ * Records are classified by publication type:
+ *   metaAnalyses       Meta-Analysis
+ *   systematicReviews  Systematic Review, unless also a meta-analysis (the
+ *                      score adds both, so no record counts twice)
+ *   rcts               Randomized Controlled Trial
+ *   humanStudies       MeSH "Humans", or a clinical publication type
+ *   totalStudies       every record
+ *
+ * The proposal is printed next to the current numbers. With --write the
+ * counts replace the entry's `evidence` (or, with --category, that
+ * outcome's evidence) and the query, date and record count are saved
+ * beside it as `evidenceSource`. Outcome counts must not exceed the overall
+ * evidence, so --write refuses a proposal that would break that (for
+ * either side) unless --force is given.
+ *
+ * Usage:
+ *   node tools/import-pubmed.js <supplementId> <file...> [options]
+ *
+ *   --query <text>     The PubMed search that produced the files (required with --write)
+ *   --date <YYYY-MM-DD>  When the search was run (default: today)
+ *   --category <id>    Update the outcome evidence for this category instead
+ *   --data <dir>       Data directory (default: data/)
+ *   --write            Save the proposal to supplements.json (default: dry run)
+ *   --force            With --write, save even if outcome counts would exceed the overall evidence
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_DATA_DIR, DATA_FILES, readDataFiles, writeJSON } = require('./lib/data-files.js');
+const EvidenceScoring = require('../js/evidence.js');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Publication types that mean human participants even without the MeSH tag
+const CLINICAL_TYPES = [
+  'Randomized Controlled Trial',
+  'Clinical Trial',
+  'Clinical Trial, Phase I',
+  'Clinical Trial, Phase II',
+  'Clinical Trial, Phase III',
+  'Clinical Trial, Phase IV',
+  'Controlled Clinical Trial',
+  'Pragmatic Clinical Trial',
+  'Equivalence Trial',
+  'Multicenter Study',
+  'Observational Study',
+  'Case Reports'
+];
+
+// Title patterns for exports without publication types (CSV)
+const TITLE_TYPES = [
+  { type: 'Meta-Analysis', pattern: /meta-?analys[ie]s/i },
+  { type: 'Systematic Review', pattern: /systematic (literature )?review/i },
+  { type: 'Randomized Controlled Trial', pattern: /randomi[sz]ed\b.*\b(trial|study)/i }
+];
+
+function parseArgs(argv) {
+  const args = { supplementId: null, files: [], query: '', date: '', category: '', dataDir: DEFAULT_DATA_DIR, write: false, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--write') args.write = true;
+    else if (arg === '--force') args.force = true;
+    else if (arg === '--query') args.query = argv[++i] || '';
+    else if (arg === '--date') args.date = argv[++i] || '';
+    else if (arg === '--category') args.category = argv[++i] || '';
+    else if (arg === '--data') args.dataDir = path.resolve(argv[++i] || '');
+    else if (!args.supplementId) args.supplementId = arg;
+    else args.files.push(path.resolve(arg));
+  }
+  return args;
+}
+
+// ──────────────────────────────
+// PARSERS
+// ──────────────────────────────
+// Each returns [{ pmid, title, types: [string], humans: boolean|null }]
+// where humans is null when the export does not say.
+
+/**
+ * PubMed format: "TAG - value" lines, continuation lines indented six
+ * spaces, records separated by blank lines.
+ */
+function parseMedline(text) {
+  const records = [];
+  let record = null;
+  let lastTag = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const tagged = line.match(/^([A-Z][A-Z0-9 ]{1,3})- (.*)$/);
+    if (tagged) {
+      const tag = tagged[1].trim();
+      if (tag === 'PMID') {
+        record = { pmid: tagged[2].trim(), title: '', types: [], humans: false };
+        records.push(record);
+      }
+      if (!record) return;
+      lastTag = tag;
+      const value = tagged[2].trim();
+      if (tag === 'TI') record.title = value;
+      if (tag === 'PT') record.types.push(value);
+      if (tag === 'MH') {
+        // Headings may be starred (major topic) or carry subheadings ("Magnesium/therapeutic use")
+        if (value.replace(/^\*/, '').split('/')[0] === 'Humans') record.humans = true;
+      }
+    } else if (/^\s{6}\S/.test(line) && record && lastTag === 'TI') {
+      record.title += ` ${line.trim()}`;
+    }
+  });
+  return records;
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * PubMed XML: one <PubmedArticle> (or <PubmedBookArticle>) per record.
+ */
+function parseXml(text) {
+  const blocks = text.match(/<Pubmed(Book)?Article>[\s\S]*?<\/Pubmed(Book)?Article>/g) || [];
+  return blocks.map(block => {
+    const pmid = block.match(/<PMID[^>]*>(\d+)<\/PMID>/);
+    const title = block.match(/<(Article|Book)Title[^>]*>([\s\S]*?)<\/(Article|Book)Title>/);
+    const types = [...block.matchAll(/<PublicationType[^>]*>([\s\S]*?)<\/PublicationType>/g)].map(m => decodeXml(m[1]));
+    const headings = [...block.matchAll(/<DescriptorName[^>]*>([\s\S]*?)<\/DescriptorName>/g)].map(m => decodeXml(m[1]));
+    return {
+      pmid: pmid ? pmid[1] : '',
+      title: title ? decodeXml(title[2]) : '',
+      types,
+      humans: headings.includes('Humans')
+    };
+  }).filter(r => r.pmid);
+}
+
+// Quoted fields may hold commas, doubled quotes and line breaks
+function csvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+/**
+ * CSV as saved from PubMed (PMID, Title, Authors, …). A "Publication Type"
+ * column, if present, is read as ";"-separated types.
+ */
+function parseCsv(text) {
+  const [header, ...rows] = csvRows(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+  const column = name => header.findIndex(h => h.trim().toLowerCase() === name);
+  const pmidCol = column('pmid');
+  const titleCol = column('title');
+  const typeCol = Math.max(column('publication type'), column('publication types'));
+  if (pmidCol < 0) throw new Error('no "PMID" column');
+
+  return rows.map(row => {
+    const title = titleCol >= 0 ? row[titleCol] || '' : '';
+    const types = typeCol >= 0
+      ? (row[typeCol] || '').split(';').map(t => t.trim()).filter(Boolean)
+      : TITLE_TYPES.filter(t => t.pattern.test(title)).map(t => t.type);
+    return {
+      pmid: (row[pmidCol] || '').trim(),
+      title,
+      types,
+      humans: null,
+      fromTitle: typeCol < 0
+    };
+  }).filter(r => r.pmid);
+}
+
+function parseFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.xml' || /^\s*<(\?xml|!DOCTYPE|PubmedArticleSet)/.test(text)) return parseXml(text);
+  if (ext === '.csv') return parseCsv(text);
+  return parseMedline(text);
+}
+
+// ──────────────────────────────
+// CLASSIFICATION
+// ──────────────────────────────
+
+/**
+ * Count records per evidence field.
+ * @param {Array} records - Parsed records, one per PMID
+ * @returns {Object} { counts: { totalStudies, … }, unknown: [field], fromTitles }
+ *   where unknown lists the fields the export cannot tell (left unchanged)
+ */
+function classify(records) {
+  const counts = { totalStudies: records.length, humanStudies: 0, rcts: 0, metaAnalyses: 0, systematicReviews: 0 };
+  let humansKnown = true;
+
+  records.forEach(r => {
+    const types = r.types || [];
+    const meta = types.includes('Meta-Analysis');
+    if (meta) counts.metaAnalyses++;
+    else if (types.includes('Systematic Review')) counts.systematicReviews++;
+    if (types.includes('Randomized Controlled Trial')) counts.rcts++;
+
+    if (r.humans === null) humansKnown = false;
+    else if (r.humans || types.some(t => CLINICAL_TYPES.includes(t))) counts.humanStudies++;
+  });
+
+  return {
+    counts,
+    unknown: humansKnown ? [] : ['humanStudies'],
+    fromTitles: records.some(r => r.fromTitle)
+  };
+}
+
+/**
+ * Outcome counts above the overall evidence — the same check as
+ * validate-data, so a write can't leave the data invalid unnoticed.
+ * @param {Array} outcomes - [{ category, evidence }]
+ * @param {Object} overall - The supplement's evidence
+ * @returns {Array} [{ category, field, outcome, overall }]
+ */
+function outcomeConflicts(outcomes, overall) {
+  const conflicts = [];
+  outcomes.forEach(o => {
+    EvidenceScoring.COUNT_FIELDS.forEach(field => {
+      if (!o.evidence || o.evidence[field] === undefined || overall[field] === undefined) return;
+      if (EvidenceScoring.countRange(o.evidence[field]).max > EvidenceScoring.countRange(overall[field]).max) {
+        conflicts.push({ category: o.category, field, outcome: o.evidence[field], overall: overall[field] });
+      }
+    });
+  });
+  return conflicts;
+}
+
+// ──────────────────────────────
+// MAIN
+// ──────────────────────────────
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  if (!args.supplementId || args.files.length === 0) {
+    console.error('Usage: node tools/import-pubmed.js <supplementId> <file...> [--query <text>] [--date YYYY-MM-DD] [--category <id>] [--data <dir>] [--write [--force]]');
+    return 1;
+  }
+  const date = args.date || today();
+  if (!ISO_DATE.test(date)) {
+    console.error(`--date must be YYYY-MM-DD (got "${date}")`);
+    return 1;
+  }
+  if (args.write && !args.query.trim()) {
+    console.error('--query is required with --write — the search string is the provenance of the numbers');
+    return 1;
+  }
+
+  const { files, errors } = readDataFiles(args.dataDir, ['supplements']);
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`${e.file}: ${e.message}`));
+    return 1;
+  }
+  const supp = files.supplements.supplements.find(s => s.id === args.supplementId);
+  if (!supp) {
+    console.error(`Unknown supplement "${args.supplementId}"`);
+    return 1;
+  }
+  let target = supp;
+  if (args.category) {
+    target = (supp.outcomes || []).find(o => o.category === args.category);
+    if (!target) {
+      console.error(`${supp.id} has no outcome entry for category "${args.category}" — add one to "outcomes" first`);
+      return 1;
+    }
+  }
+
+  // Merge files, one record per PMID
+  const byPmid = new Map();
+  for (const file of args.files) {
+    let records;
+    try {
+      records = parseFile(file);
+    } catch (err) {
+      console.error(`${path.relative(process.cwd(), file)}: ${err.code === 'ENOENT' ? 'file not found' : err.message}`);
+      return 1;
+    }
+    console.log(`  ${path.relative(process.cwd(), file)}: ${records.length} record${records.length !== 1 ? 's' : ''}`);
+    records.forEach(r => { if (!byPmid.has(r.pmid)) byPmid.set(r.pmid, r); });
+  }
+  const records = [...byPmid.values()];
+  if (records.length === 0) {
+    console.error('\nNo records found — is this a PubMed export?');
+    return 1;
+  }
+
+  const { counts, unknown, fromTitles } = classify(records);
+  const current = target.evidence || {};
+  const proposed = { ...current };
+  EvidenceScoring.COUNT_FIELDS.forEach(field => {
+    if (!unknown.includes(field)) proposed[field] = counts[field];
+  });
+
+  const label = args.category ? `${supp.name} — ${target.outcome}` : supp.name;
+  console.log(`\n${label}: ${records.length} unique record${records.length !== 1 ? 's' : ''}\n`);
+  console.log(`  ${'Field'.padEnd(20)}${'Current'.padStart(12)}${'Proposed'.padStart(12)}`);
+  EvidenceScoring.COUNT_FIELDS.forEach(field => {
+    const before = current[field] === undefined ? '—' : EvidenceScoring.formatCount(current[field]);
+    const after = unknown.includes(field) ? '(unchanged)' : EvidenceScoring.formatCount(proposed[field]);
+    const mark = before !== after && !unknown.includes(field) ? '  *' : '';
+    console.log(`  ${field.padEnd(20)}${before.padStart(12)}${after.padStart(12)}${mark}`);
+  });
+  const before = EvidenceScoring.assess(current);
+  const after = EvidenceScoring.assess(proposed);
+  console.log(`\n  Score ${before.score} (${before.tier}) → ${after.score} (${after.tier})`);
+
+  if (unknown.length > 0) {
+    console.log(`\n  ${unknown.join(', ')}: not in this export (CSV has no MeSH terms) — use a PubMed-format or XML export to count it`);
+  }
+  if (fromTitles) {
+    console.log('  Publication types were guessed from titles (CSV without a "Publication Type" column) — check the proposal');
+  }
+  if (proposed.rcts > proposed.humanStudies || proposed.humanStudies > proposed.totalStudies) {
+    console.log('  Warning: the proposal breaks rcts ≤ humanStudies ≤ totalStudies — check the export');
+  }
+
+  const conflicts = args.category
+    ? outcomeConflicts([{ category: target.category, evidence: proposed }], supp.evidence || {})
+    : outcomeConflicts(supp.outcomes || [], proposed);
+  if (conflicts.length > 0) {
+    console.log(`\n  Warning: ${conflicts.length} outcome count${conflicts.length !== 1 ? 's' : ''} would exceed the overall evidence:`);
+    conflicts.forEach(c => {
+      console.log(`    outcomes[${c.category}].${c.field}: ${EvidenceScoring.formatCount(c.outcome)} > ${EvidenceScoring.formatCount(c.overall)}`);
+    });
+  }
+
+  if (!args.write) {
+    console.log('\nDry run — re-run with --query "<search>" --write to save.');
+    return 0;
+  }
+  if (conflicts.length > 0 && !args.force) {
+    console.error('\nNot written — bring the outcome and overall counts in line first, or re-run with --force to save anyway (validate-data fails until they agree).');
+    return 1;
+  }
+
+  target.evidence = proposed;
+  const source = { database: 'PubMed', query: args.query.trim(), date, records: records.length };
+  // Keep evidenceSource right after evidence
+  const rebuilt = {};
+  Object.keys(target).forEach(key => {
+    if (key === 'evidenceSource') return;
+    rebuilt[key] = target[key];
+    if (key === 'evidence') rebuilt.evidenceSource = source;
+  });
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, rebuilt);
+
+  writeJSON(path.join(args.dataDir, DATA_FILES.supplements), files.supplements);
+  console.log(`\nWrote ${DATA_FILES.supplements} — run node tools/validate-data.js`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,77 @@
+/**
+ * Data file helpers for the Node command-line tools.
+ *
+ * Reads the JSON files in data/ (reporting parse errors with the file
+ * name instead of throwing) and writes them back in the hand-edited
+ * layout the files already use (js/data-layout.js), so tool output
+ * produces minimal diffs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { formatJSON } = require('../../js/data-layout.js');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+const DATA_FILES = {
+  categories: 'categories.json',
+  supplements: 'supplements.json',
+  stacks: 'stacks.json',
+  nutrients: 'nutrients.json',
+  synergies: 'synergies.json',
+  drugClasses: 'drug-classes.json'
+};
+
+/**
+ * Read and parse one JSON file.
+ * @param {string} filePath - Absolute or cwd-relative path
+ * @returns {{ json: (Object|undefined), error: (string|null) }}
+ */
+function readJSON(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    return { json: undefined, error: `cannot read file (${err.code || err.message})` };
+  }
+  try {
+    return { json: JSON.parse(text), error: null };
+  } catch (err) {
+    return { json: undefined, error: `invalid JSON: ${err.message}` };
+  }
+}
+
+/**
+ * Read every data file from a directory.
+ * @param {string} [dataDir] - Directory holding the data files (defaults to data/)
+ * @param {Array<string>} [keys] - Which files to read (defaults to all)
+ * @returns {{ files: Object, errors: Array<{ file, message }> }}
+ */
+function readDataFiles(dataDir = DEFAULT_DATA_DIR, keys = Object.keys(DATA_FILES)) {
+  const files = {};
+  const errors = [];
+  keys.forEach(key => {
+    const { json, error } = readJSON(path.join(dataDir, DATA_FILES[key]));
+    if (error) errors.push({ file: DATA_FILES[key], message: error });
+    files[key] = json;
+  });
+  return { files, errors };
+}
+
+/**
+ * Write a data file back in the repo's layout.
+ * @param {string} filePath
+ * @param {Object} json
+ */
+function writeJSON(filePath, json) {
+  fs.writeFileSync(filePath, formatJSON(json));
+}
+
+module.exports = {
+  DEFAULT_DATA_DIR,
+  DATA_FILES,
+  readJSON,
+  readDataFiles,
+  formatJSON,
+  writeJSON
+};
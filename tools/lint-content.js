@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * Editorial Linter CLI
+ *
+ * Runs the WORKFLOW.md editorial rules over data/supplements.json and
+ * data/stacks.json and prints each violation with a suggested fix.
+ *
+ * Usage:
+ *   node tools/lint-content.js [--fix] [--rule <id>[,<id>…]] [dataDir]
+ *
+ *   --fix    Apply mechanical fixes (en-dash ranges, unit spacing, μg,
+ *            source separators) and rewrite the data files
+ *   --rule   Only report the given rule ids
+ *
+ * Exits with status 1 if any violation remains.
+ */
+
+const path = require('path');
+const EditorialLinter = require('../js/linter.js');
+const { DEFAULT_DATA_DIR, DATA_FILES, readDataFiles, writeJSON } = require('./lib/data-files.js');
+
+function parseArgs(argv) {
+  const args = { fix: false, rules: null, dataDir: DEFAULT_DATA_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--fix') args.fix = true;
+    else if (arg === '--rule') args.rules = new Set((argv[++i] || '').split(',').filter(Boolean));
+    else args.dataDir = path.resolve(arg);
+  }
+  return args;
+}
+
+/**
+ * Apply fixable issues to their records and write the touched files.
+ * @returns {number} Number of fixes applied
+ */
+function applyFixes(files, issues, dataDir) {
+  const collections = { 'supplements.json': files.supplements.supplements, 'stacks.json': files.stacks.stacks };
+  const touched = new Set();
+  let applied = 0;
+
+  issues.filter(i => i.fixed !== undefined).forEach(issue => {
+    applied += EditorialLinter.applyFixes(collections[issue.file][issue.index], [issue]);
+    touched.add(issue.file);
+  });
+
+  touched.forEach(file => {
+    const key = Object.keys(DATA_FILES).find(k => DATA_FILES[k] === file);
+    writeJSON(path.join(dataDir, file), files[key]);
+  });
+  return applied;
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const { files, errors } = readDataFiles(args.dataDir, ['supplements', 'stacks']);
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`${e.file}: ${e.message}`));
+    return 1;
+  }
+
+  const filterRules = list => (args.rules ? list.filter(i => args.rules.has(i.rule)) : list);
+  let issues = filterRules(EditorialLinter.lintAll(files));
+
+  if (args.fix) {
+    const applied = applyFixes(files, issues, args.dataDir);
+    if (applied > 0) console.log(`Applied ${applied} fix${applied !== 1 ? 'es' : ''}.\n`);
+    issues = filterRules(EditorialLinter.lintAll(files));
+  }
+
+  if (issues.length === 0) {
+    console.log('✓ No editorial issues found');
+    return 0;
+  }
+
+  let currentFile = null;
+  let currentEntry = null;
+  issues.forEach(issue => {
+    if (issue.file !== currentFile) {
+      console.log(`${currentFile ? '\n' : ''}${issue.file}`);
+      currentFile = issue.file;
+      currentEntry = null;
+    }
+    if (issue.entry !== currentEntry) {
+      console.log(`  ${issue.entry}`);
+      currentEntry = issue.entry;
+    }
+    const fixable = issue.fixed !== undefined ? ' (fixable)' : '';
+    console.log(`    ${issue.path}  [${issue.rule}] ${issue.message}${fixable}`);
+    console.log(`      → ${issue.suggestion}`);
+  });
+
+  // Per-rule summary
+  const counts = {};
+  issues.forEach(i => { counts[i.rule] = (counts[i.rule] || 0) + 1; });
+  const fixableCount = issues.filter(i => i.fixed !== undefined).length;
+  console.log(`\n✗ ${issues.length} issue${issues.length !== 1 ? 's' : ''}: ` +
+    Object.entries(counts).map(([rule, n]) => `${rule} ×${n}`).join(', '));
+  if (fixableCount > 0) console.log(`  ${fixableCount} fixable with --fix`);
+  return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Interaction Migration CLI
+ *
+ * Converts free-text `interactions[].substance` entries in
+ * data/supplements.json into explicit targets — `supplementIds` for
+ * supplements in the database and `drugClasses` for ids from
+ * data/drug-classes.json — by matching names and aliases as whole words.
+ *
+ * Entries that already have targets are left alone, so the tool can be
+ * re-run after new entries are added. Anything it can't resolve is
+ * listed for manual review (external substances with no matching class
+ * are fine to leave without targets).
+ *
+ * Usage:
+ *   node tools/migrate-interactions.js [--write] [dataDir]
+ *
+ *   --write  Save the resolved targets to supplements.json (default: dry run)
+ */
+
+const path = require('path');
+const { DEFAULT_DATA_DIR, DATA_FILES, readDataFiles, writeJSON } = require('./lib/data-files.js');
+
+// Aliases shorter than this ("Mg", "Cr") match too much free text
+const MIN_TERM_LENGTH = 3;
+
+function parseArgs(argv) {
+  const args = { write: false, dataDir: DEFAULT_DATA_DIR };
+  argv.forEach(arg => {
+    if (arg === '--write') args.write = true;
+    else args.dataDir = path.resolve(arg);
+  });
+  return args;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whole-word, case-insensitive matcher for a list of terms.
+ * Allows a plural "s" so "Statins" matches "statin".
+ */
+function termMatcher(terms) {
+  const usable = terms.filter(t => t.length >= MIN_TERM_LENGTH).map(escapeRegExp);
+  if (usable.length === 0) return () => false;
+  const re = new RegExp(`(^|[^\\w-])(${usable.join('|')})s?(?=$|[^\\w-])`, 'i');
+  return text => re.test(text);
+}
+
+/**
+ * Terms a supplement is known by: id, name, the parts of a
+ * "Localized (English)" name, and aliases.
+ */
+function supplementTerms(supp) {
+  const nameParts = supp.name.split(/[()]/).map(p => p.trim()).filter(Boolean);
+  return [supp.id, supp.name, ...nameParts, ...supp.aliases];
+}
+
+function resolve(interaction, self, supplementMatchers, classMatchers) {
+  const text = interaction.substance;
+  return {
+    supplementIds: supplementMatchers.filter(m => m.id !== self.id && m.test(text)).map(m => m.id),
+    drugClasses: classMatchers.filter(m => m.test(text)).map(m => m.id)
+  };
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const { files, errors } = readDataFiles(args.dataDir, ['supplements', 'drugClasses']);
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`${e.file}: ${e.message}`));
+    return 1;
+  }
+
+  const supplements = files.supplements.supplements;
+  const supplementMatchers = supplements.map(s => ({ id: s.id, test: termMatcher(supplementTerms(s)) }));
+  const classMatchers = files.drugClasses.drugClasses.map(c => ({ id: c.id, test: termMatcher([c.name, ...c.aliases]) }));
+
+  let resolvedCount = 0;
+  let skipped = 0;
+  const unresolved = [];
+
+  supplements.forEach(supp => {
+    supp.interactions = supp.interactions.map(interaction => {
+      if (interaction.supplementIds || interaction.drugClasses) {
+        skipped++;
+        return interaction;
+      }
+      const targets = resolve(interaction, supp, supplementMatchers, classMatchers);
+      if (targets.supplementIds.length === 0 && targets.drugClasses.length === 0) {
+        unresolved.push({ supp, interaction });
+        return interaction;
+      }
+
+      resolvedCount++;
+      const parts = [
+        targets.supplementIds.length > 0 ? `supplements: ${targets.supplementIds.join(', ')}` : '',
+        targets.drugClasses.length > 0 ? `classes: ${targets.drugClasses.join(', ')}` : ''
+      ].filter(Boolean);
+      console.log(`  ${supp.id.padEnd(28)} "${interaction.substance}" → ${parts.join('; ')}`);
+
+      const migrated = { ...interaction };
+      if (targets.supplementIds.length > 0) migrated.supplementIds = targets.supplementIds;
+      if (targets.drugClasses.length > 0) migrated.drugClasses = targets.drugClasses;
+      return migrated;
+    });
+  });
+
+  console.log(`\n${resolvedCount} interaction${resolvedCount !== 1 ? 's' : ''} resolved` +
+    (skipped > 0 ? `, ${skipped} already migrated` : ''));
+
+  if (unresolved.length > 0) {
+    console.log(`\nUnresolved (${unresolved.length}) — review manually, add a drug class, or leave as external:`);
+    unresolved.forEach(({ supp, interaction }) => {
+      console.log(`  ${supp.id.padEnd(28)} "${interaction.substance}" (${interaction.severity})`);
+    });
+  }
+
+  if (args.write && resolvedCount > 0) {
+    writeJSON(path.join(args.dataDir, DATA_FILES.supplements), files.supplements);
+    console.log(`\nWrote ${DATA_FILES.supplements}`);
+  } else if (resolvedCount > 0) {
+    console.log('\nDry run — re-run with --write to save.');
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+/**
+ * Reference Migration CLI
+ *
+ * Converts the author-date citation strings in the `references` arrays of
+ * data/supplements.json and data/stacks.json into structured reference
+ * objects (see js/references.js), and points each key finding at the
+ * reference it summarizes with `"ref": "<id>"` — matched by a reference's
+ * first author and year both appearing in the finding's `source`.
+ *
+ * References that are already objects and findings that already have a
+ * `ref` are left alone, so the tool can be re-run. Citations it can't
+ * parse and findings it can't match are listed for manual review. DOIs and
+ * PMIDs are not in the old strings; add them by hand.
+ *
+ * Usage:
+ *   node tools/migrate-references.js [--write] [dataDir]
+ *
+ *   --write  Save the converted files (default: dry run)
+ */
+
+const path = require('path');
+const { DEFAULT_DATA_DIR, DATA_FILES, readDataFiles, writeJSON } = require('./lib/data-files.js');
+
+// "Authors (Year). Title. Journal, locator."
+const CITATION = /^(.+?) \((\d{4})\)\. (.+)([.?!]) ([^.]+?), (.+)\.$/;
+// "17(12), 1161–1169" / "14, 18" / "2018, 5802634"
+const LOCATOR = /^([\w-]+)(?:\(([^)]+)\))?(?:, (.+))?$/;
+
+function parseArgs(argv) {
+  const args = { write: false, dataDir: DEFAULT_DATA_DIR };
+  argv.forEach(arg => {
+    if (arg === '--write') args.write = true;
+    else args.dataDir = path.resolve(arg);
+  });
+  return args;
+}
+
+// "Rawson, E.S. & Venezia, A.C." → ["Rawson, E.S.", "Venezia, A.C."]
+function parseAuthors(text) {
+  const etAl = / et al\.$/.test(text);
+  const authors = text.replace(/ et al\.$/, '').split(/ & |(?<=\.), /).map(a => a.trim()).filter(Boolean);
+  return { authors, etAl };
+}
+
+function slug(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Parse one citation string.
+ * @returns {Object|null} A reference without its id, or null if unparseable
+ */
+function parseCitation(text) {
+  const match = text.match(CITATION);
+  if (!match) return null;
+  const [, authorText, year, title, end, journal, rest] = match;
+  const { authors, etAl } = parseAuthors(authorText);
+  const ref = { authors };
+  if (etAl) ref.etAl = true;
+  // A title ending in "?" or "!" keeps it; the closing period is formatting
+  Object.assign(ref, { year: Number(year), title: end === '.' ? title : title + end, journal });
+
+  const locator = rest.match(LOCATOR);
+  if (locator) {
+    const [, volume, issue, pages] = locator;
+    ref.volume = volume;
+    if (issue) ref.issue = issue;
+    if (pages) ref.pages = pages.replace(/(\d)-(\d)/, '$1–$2');
+  } else {
+    ref.note = rest;
+  }
+  return ref;
+}
+
+/**
+ * Convert an entry's references in place.
+ * @returns {Object} { converted, unparsed: [string] }
+ */
+function migrateReferences(entry) {
+  const taken = new Set((entry.references || []).filter(r => typeof r === 'object').map(r => r.id));
+  let converted = 0;
+  const unparsed = [];
+
+  entry.references = (entry.references || []).map(text => {
+    if (typeof text !== 'string') return text;
+    const parsed = parseCitation(text);
+    if (!parsed) {
+      unparsed.push(text);
+      return text;
+    }
+    const base = `${slug(parsed.authors[0].split(',')[0])}-${parsed.year}`;
+    let id = base;
+    for (let n = 0; taken.has(id); n++) id = `${base}${'abcdefghij'[n]}`;
+    taken.add(id);
+    converted++;
+    return { id, ...parsed };
+  });
+  return { converted, unparsed };
+}
+
+/**
+ * Point findings at the reference whose first author and year their
+ * source mentions.
+ * @returns {Object} { linked, unmatched: [finding] }
+ */
+function linkFindings(supp) {
+  const refs = supp.references.filter(r => typeof r === 'object');
+  let linked = 0;
+  const unmatched = [];
+
+  supp.keyFindings = supp.keyFindings.map(f => {
+    if (f.ref) return f;
+    const ref = refs.find(r => f.source.includes(r.authors[0].split(',')[0]) && f.source.includes(String(r.year)));
+    if (!ref) {
+      unmatched.push(f);
+      return f;
+    }
+    linked++;
+    // Keep `ref` beside `source` so the finding reads in order
+    const migrated = {};
+    Object.keys(f).forEach(key => {
+      migrated[key] = f[key];
+      if (key === 'source') migrated.ref = ref.id;
+    });
+    return migrated;
+  });
+  return { linked, unmatched };
+}
+
+function main(argv) {
+  const args = parseArgs(argv);
+  const { files, errors } = readDataFiles(args.dataDir, ['supplements', 'stacks']);
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(`${e.file}: ${e.message}`));
+    return 1;
+  }
+
+  let converted = 0;
+  let linked = 0;
+  const unparsed = [];
+  const unmatched = [];
+
+  [...files.supplements.supplements, ...files.stacks.stacks].forEach(entry => {
+    const result = migrateReferences(entry);
+    converted += result.converted;
+    result.unparsed.forEach(text => unparsed.push({ entry, text }));
+    if (!entry.keyFindings) return;
+
+    const links = linkFindings(entry);
+    linked += links.linked;
+    links.unmatched.forEach(f => unmatched.push({ entry, f }));
+  });
+
+  console.log(`${converted} reference${converted !== 1 ? 's' : ''} converted, ${linked} finding${linked !== 1 ? 's' : ''} linked`);
+
+  if (unparsed.length > 0) {
+    console.log(`\nUnparsed citations (${unparsed.length}) — convert by hand:`);
+    unparsed.forEach(({ entry, text }) => console.log(`  ${entry.id.padEnd(28)} ${text}`));
+  }
+  if (unmatched.length > 0) {
+    console.log(`\nFindings without a matching reference (${unmatched.length}) — add the reference or set "ref" by hand:`);
+    unmatched.forEach(({ entry, f }) => console.log(`  ${entry.id.padEnd(28)} ${f.source}`));
+  }
+
+  if (args.write && converted + linked > 0) {
+    writeJSON(path.join(args.dataDir, DATA_FILES.supplements), files.supplements);
+    writeJSON(path.join(args.dataDir, DATA_FILES.stacks), files.stacks);
+    console.log(`\nWrote ${DATA_FILES.supplements} and ${DATA_FILES.stacks}`);
+  } else if (converted + linked > 0) {
+    console.log('\nDry run — re-run with --write to save.');
+  }
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Dataset Validator CLI
+ *
+ * Checks data/categories.json, data/supplements.json, data/stacks.json,
+ * data/nutrients.json, data/drug-classes.json and data/synergies.json
+ * against the schemas in WORKFLOW.md, including cross-references between
+ * files (category ids, stack supplementIds and synergy ids, nutrient ids,
+ * interaction targets) and evidence count ordering.
+ *
+ * Usage:
+ *   node tools/validate-data.js [dataDir]
+ *
+ * Exits with status 1 if any issue is found.
+ */
+
+const path = require('path');
+const DataValidator = require('../js/validator.js');
+const { DEFAULT_DATA_DIR, readDataFiles } = require('./lib/data-files.js');
+
+function formatIssue(issue) {
+  const entry = issue.entry ? ` (${issue.entry})` : '';
+  return `  ${issue.path}${entry}: ${issue.message}`;
+}
+
+function main(argv) {
+  const dataDir = argv[0] ? path.resolve(argv[0]) : DEFAULT_DATA_DIR;
+  const { files, errors } = readDataFiles(dataDir);
+
+  const issues = errors.map(e => ({ file: e.file, path: '(file)', entry: null, message: e.message }));
+  if (errors.length === 0) {
+    issues.push(...DataValidator.validateAll(files));
+  }
+
+  if (issues.length === 0) {
+    const count = files.supplements.supplements.length;
+    console.log(`✓ Data valid — ${count} supplements, ${files.categories.categories.length} categories, ${files.stacks.stacks.length} stacks, ${files.nutrients.nutrients.length} nutrients, ${files.drugClasses.drugClasses.length} drug classes, ${files.synergies.synergies.length} synergies`);
+    return 0;
+  }
+
+  // Group by file for readability
+  const byFile = {};
+  issues.forEach(issue => {
+    (byFile[issue.file] = byFile[issue.file] || []).push(issue);
+  });
+  Object.entries(byFile).forEach(([file, fileIssues]) => {
+    console.error(`${path.join(path.relative(process.cwd(), dataDir) || '.', file)}`);
+    fileIssues.forEach(issue => console.error(formatIssue(issue)));
+  });
+  console.error(`\n✗ ${issues.length} issue${issues.length !== 1 ? 's' : ''} found`);
+  return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));